@@ -14,6 +14,8 @@ export const BENCHMARK_CONFIG = {
   EXPECTED_IMAGE: 'expected.png',
   ACTUAL_IMAGE: 'actual.png',
   DIFF_IMAGE: 'diff.png',
+  HISTORY_FILE: 'history.jsonl',
+  HISTORY_DIR: 'history',
   
   // Accuracy thresholds
   ACCURACY_THRESHOLDS: {
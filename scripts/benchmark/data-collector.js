@@ -671,36 +671,47 @@ export class DataCollector {
   }
 
   /**
-   * Extract historical data from results
+   * Extract historical data from results/history.jsonl
    * @param {string} componentPath - Path to component directory
    * @returns {Object[]} Historical data points
    */
   extractHistoricalData(componentPath) {
     const resultsDir = path.join(componentPath, 'results');
+    const historyPath = path.join(resultsDir, BENCHMARK_CONFIG.HISTORY_FILE);
     const historical = [];
 
-    if (!fs.existsSync(resultsDir)) {
+    if (!fs.existsSync(historyPath)) {
       return historical;
     }
 
     try {
-      // Look for backup or versioned files
-      const files = fs.readdirSync(resultsDir);
-      const versionedFiles = files.filter(file => 
-        file.includes('backup') || 
-        file.includes('_v') || 
-        file.match(/\d{4}-\d{2}-\d{2}/)
-      );
-
-      for (const file of versionedFiles) {
-        const filePath = path.join(resultsDir, file);
-        const stats = fs.statSync(filePath);
-        
+      // history.jsonl is appended by figma_compare, one comparison per line
+      const lines = fs.readFileSync(historyPath, 'utf8').split('\n').filter(line => line.trim());
+
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+
+        // Archived files are pruned by retention, so only list folders that still exist
+        const archivePath = entry.archiveDir ? path.join(resultsDir, entry.archiveDir) : null;
+        const files = archivePath && fs.existsSync(archivePath)
+          ? fs.readdirSync(archivePath).map(filename => ({ filename, type: this.inferFileType(filename) }))
+          : [];
+
         historical.push({
-          filename: file,
-          timestamp: stats.mtime,
-          size: stats.size,
-          type: this.inferFileType(file)
+          timestamp: entry.timestamp,
+          score: entry.score ?? null,
+          metric: entry.metric || 'pixelmatch',
+          matchPercentage: entry.matchPercentage ?? null,
+          passed: entry.passed ?? null,
+          threshold: entry.threshold ?? null,
+          gitCommit: entry.gitCommit || null,
+          archiveDir: files.length > 0 ? entry.archiveDir : null,
+          files
         });
       }
 
@@ -723,6 +734,8 @@ export class DataCollector {
     if (filename.includes('expected')) return 'expected';
     if (filename.includes('actual')) return 'actual';
     if (filename.includes('diff')) return 'diff';
+    if (filename.includes('heatmap')) return 'heatmap';
+    if (filename.endsWith('.json')) return 'data';
     if (filename.includes('backup')) return 'backup';
     return 'unknown';
   }
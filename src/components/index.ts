@@ -24,10 +24,26 @@ for (const path in componentModules) {
   }
 }
 
+// 🧪 自动导入组件 fixtures - 具名的 props / slots 组合，通过 ?fixture=<id> 使用
+const fixtureModules = (import.meta as any).glob('./*/fixtures.{json,js}', { eager: true })
+
+const fixtureMap: Record<string, Record<string, any>> = {}
+
+for (const path in fixtureModules) {
+  const componentName = path.replace('./','').replace(/\/fixtures\.(json|js)$/,'')
+
+  // 同时存在时 fixtures.json 优先，与截图工具的查找顺序一致
+  if (path.endsWith('.js') && fixtureMap[componentName]) continue
+  fixtureMap[componentName] = (fixtureModules[path] as any).default
+}
+
 
 // 🎯 导出所有发现的组件
 export const components = componentMap
 
+// 🧪 导出所有发现的 fixtures
+export const fixtures = fixtureMap
+
 // 📦 默认导出 - 自动包含所有组件
 export default componentMap
 
@@ -46,6 +62,7 @@ export const FigmaComponentsPlugin = {
 // 📊 导出组件信息函数
 export const getComponentList = (): string[] => Object.keys(componentMap)
 export const getComponentCount = (): number => Object.keys(componentMap).length
+export const getComponentFixture = (name: string, id: string): any => fixtureMap[name]?.[id]
 
 // 🔍 开发时调试信息
 if (typeof window !== 'undefined') {
@@ -10,9 +10,14 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { FigmaCompareTool } from './tools/figma-compare.js';
+import { FigmaCompareBatchTool } from './tools/figma-compare-batch.js';
 import { SnapDOMScreenshotTool } from './tools/snapdom-screenshot.js';
+import { RestoreCheckTool } from './tools/restore-check.js';
+import { StyleAuditTool } from './tools/style-audit.js';
+import { ApproveBaselineTool } from './tools/approve-baseline.js';
 import { OptimizeSVGTool } from './tools/optimize-svg.js';
 import { OptimizeImageTool } from './tools/optimize-image.js';
+import { toMcpContent } from './utils/image-content.js';
 
 
 class VueFigmaToolsServer {
@@ -31,7 +36,11 @@ class VueFigmaToolsServer {
 
     this.tools = {
       'figma_compare': new FigmaCompareTool(),
+      'figma_compare_batch': new FigmaCompareBatchTool(),
       'snapdom_screenshot': new SnapDOMScreenshotTool(),
+      'restore_check': new RestoreCheckTool(),
+      'style_audit': new StyleAuditTool(),
+      'approve_baseline': new ApproveBaselineTool(),
       'optimize_svg': new OptimizeSVGTool(),
       'optimize_image': new OptimizeImageTool()
     };
@@ -63,12 +72,7 @@ class VueFigmaToolsServer {
       try {
         const result = await this.tools[name].execute(args);
         return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
+          content: toMcpContent(result),
         };
       } catch (error) {
         throw new McpError(
@@ -260,19 +260,44 @@ export class ComparisonDataService {
 
   /**
    * 获取组件的历史对比数据
+   * 读取 figma_compare 在 results 目录中追加的 history.jsonl，按时间从旧到新返回最近的记录
    * @param {string} componentName - 组件名称
    * @param {number} limit - 返回记录数限制
-   * @returns {Promise<Array>} 历史对比数据
+   * @returns {Promise<Array>} 历史对比数据，还没有历史时为空数组
    */
   async getComparisonHistory(componentName, limit = 10) {
     try {
-      const response = await fetch(`/api/reports/${componentName}/history?limit=${limit}`);
-      
+      const response = await fetch(`/src/components/${componentName}/results/history.jsonl`);
+
+      if (response.status === 404) {
+        return [];
+      }
+
       if (!response.ok) {
         throw new Error(`Failed to load history for ${componentName}: ${response.statusText}`);
       }
-      
-      return await response.json();
+
+      // Vite 的 SPA 回退会用 200 和 index.html 响应不存在的文件，此时同样表示还没有历史
+      const body = await response.text();
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType.includes('text/html') || body.trimStart().startsWith('<')) {
+        return [];
+      }
+
+      // 每行一条 JSON 记录，写入中断产生的残缺行直接跳过
+      const entries = body
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+
+      return entries.slice(-limit);
     } catch (error) {
       console.error('Failed to load comparison history:', error);
       throw new Error(`无法加载组件 ${componentName} 的历史数据: ${error.message}`);
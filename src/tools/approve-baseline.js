@@ -0,0 +1,102 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { Baseline } from '../utils/baseline.js';
+import { resolveFixture, fixtureResultsDir, FIXTURES_DIR } from '../utils/component-fixtures.js';
+
+export class ApproveBaselineTool {
+  constructor() {
+    this.description = 'Approve the current actual.png as the regression baseline (baseline.png + baseline.json) so later figma_compare runs with against: "baseline" detect regressions';
+    this.inputSchema = {
+      type: 'object',
+      properties: {
+        componentName: {
+          type: 'string',
+          description: 'Name of the component whose screenshot is approved'
+        },
+        projectPath: {
+          type: 'string',
+          description: 'Path to the Vue project (required)'
+        },
+        fixture: {
+          type: 'string',
+          description: `Approve the screenshot of this fixture (results/${FIXTURES_DIR}/<id>/actual.png) instead of the default render (optional)`
+        },
+        note: {
+          type: 'string',
+          description: 'Why this render is approved, stored in baseline.json (optional)'
+        },
+        requirePassed: {
+          type: 'boolean',
+          default: false,
+          description: 'Refuse to approve unless the latest figma_compare run after the screenshot passed its quality gates'
+        },
+        outputPath: {
+          type: 'string',
+          description: 'Custom results directory (optional). If not provided, defaults to src/components/{componentName}/results'
+        }
+      },
+      required: ['componentName', 'projectPath']
+    };
+  }
+
+  async execute(args) {
+    if (!args.componentName) {
+      throw new Error('❌ 参数错误: componentName 是必传参数，请提供组件名称');
+    }
+
+    if (!args.projectPath) {
+      throw new Error('❌ 参数错误: projectPath 是必传参数，请提供项目路径');
+    }
+
+    try {
+      await fs.access(args.projectPath);
+    } catch (error) {
+      throw new Error(`❌ 项目路径不存在: ${args.projectPath}`);
+    }
+
+    const { componentName, projectPath, note, requirePassed = false, outputPath } = args;
+    const fixture = args.fixture !== undefined ? await resolveFixture(projectPath, componentName, args.fixture) : null;
+
+    try {
+      console.log(chalk.cyan('✅ Approve Baseline'));
+      console.log(chalk.cyan(`Component: ${componentName}`));
+      console.log(chalk.gray('='.repeat(50)));
+
+      const resultsDir = fixtureResultsDir(
+        outputPath || path.join(projectPath, 'src', 'components', componentName, 'results'),
+        fixture && fixture.id
+      );
+      const { metadata, baselinePath, metadataPath } = await Baseline.approve(resultsDir, {
+        componentName,
+        projectPath,
+        note,
+        requirePassed
+      });
+
+      console.log(chalk.green(`📌 Baseline approved: ${baselinePath}`));
+      if (metadata.comparison) {
+        console.log(chalk.gray(`   Latest comparison: ${metadata.comparison.metric} ${metadata.comparison.score.toFixed(2)} (${metadata.comparison.passed ? 'passed' : 'failed'})`));
+      }
+      if (metadata.previous) {
+        console.log(chalk.gray(`   Replaced baseline approved at ${metadata.previous.approvedAt}`));
+      }
+
+      return {
+        success: true,
+        componentName,
+        fixture: fixture ? fixture.id : null,
+        baselinePath,
+        metadataPath,
+        baseline: metadata
+      };
+    } catch (error) {
+      console.error(chalk.red('❌ Baseline approval failed:'), error.message);
+      return {
+        success: false,
+        error: error.message,
+        componentName
+      };
+    }
+  }
+}
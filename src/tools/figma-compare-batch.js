@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { ComponentScanner } from '../../scripts/benchmark/component-scanner.js';
+import { FigmaCompareTool } from './figma-compare.js';
+import { SUPPORTED_METRICS } from '../utils/image-metrics.js';
+import { BASELINE_FILE } from '../utils/baseline.js';
+
+// 对比是 CPU 密集型操作，默认只并行少量组件
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 8;
+
+// 转发给每个 figma_compare 调用的参数；outputPath、componentName 等按组件区分的参数不能共享
+const SHARED_COMPARE_OPTIONS = ['against', 'threshold', 'analysisLevel', 'metric', 'alignment', 'aspectRatioTolerance'];
+
+export class FigmaCompareBatchTool {
+  constructor() {
+    this.description = 'Batch Figma comparison: compare every component that has results/expected.png and results/actual.png and return a ranked summary';
+    this.inputSchema = {
+      type: 'object',
+      properties: {
+        projectPath: {
+          type: 'string',
+          description: 'Path to the Vue project (required)'
+        },
+        componentNames: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Components to compare. If omitted, all components under src/components with both expected.png and actual.png are compared'
+        },
+        concurrency: {
+          type: 'number',
+          default: DEFAULT_CONCURRENCY,
+          description: `Number of comparisons run at the same time (1-${MAX_CONCURRENCY})`
+        },
+        against: {
+          type: 'string',
+          enum: ['figma', 'baseline'],
+          default: 'figma',
+          description: `Compare with the Figma export (expected.png) or with the approved ${BASELINE_FILE}; components without the reference image are skipped`
+        },
+        threshold: {
+          type: 'number',
+          default: 0.1,
+          description: 'Comparison threshold (0-1, lower is more strict)'
+        },
+        analysisLevel: {
+          type: 'string',
+          enum: ['basic', 'full'],
+          default: 'basic',
+          description: 'Analysis level used for every component (see figma_compare)'
+        },
+        metric: {
+          type: 'string',
+          enum: SUPPORTED_METRICS,
+          default: 'pixelmatch',
+          description: 'Metric that drives pass/fail and ranking (see figma_compare)'
+        },
+        alignment: {
+          type: 'object',
+          description: 'Alignment options applied to every component (see figma_compare)'
+        },
+        aspectRatioTolerance: {
+          type: 'number',
+          description: 'Aspect-ratio tolerance applied to every component (see figma_compare)'
+        }
+      },
+      required: ['projectPath']
+    };
+  }
+
+  async execute(args) {
+    if (!args.projectPath) {
+      throw new Error('❌ 参数错误: projectPath 是必传参数，请提供项目路径');
+    }
+
+    try {
+      await fs.access(args.projectPath);
+    } catch (error) {
+      throw new Error(`❌ 项目路径不存在: ${args.projectPath}`);
+    }
+
+    const {
+      projectPath,
+      componentNames,
+      concurrency = DEFAULT_CONCURRENCY
+    } = args;
+
+    const compareOptions = Object.fromEntries(
+      SHARED_COMPARE_OPTIONS.filter(key => args[key] !== undefined).map(key => [key, args[key]])
+    );
+
+    if (componentNames !== undefined &&
+      (!Array.isArray(componentNames) || componentNames.some(name => typeof name !== 'string' || !name))) {
+      throw new Error('❌ 参数错误: componentNames 必须是组件名称字符串数组');
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+      throw new Error(`❌ 参数错误: concurrency 必须是 1-${MAX_CONCURRENCY} 之间的整数，收到: ${concurrency}`);
+    }
+
+    // 共享参数只校验一次，参数错误时直接失败，而不是每个组件各返回一次相同的错误
+    FigmaCompareTool.validateOptions(compareOptions);
+
+    console.log(chalk.cyan('🎯 Figma Batch Comparison'));
+    console.log(chalk.gray('='.repeat(50)));
+
+    const { comparable, skipped } = this.discoverComponents(projectPath, componentNames, compareOptions.against);
+    console.log(chalk.blue(`🔍 ${comparable.length} components to compare, ${skipped.length} skipped`));
+
+    const compareTool = new FigmaCompareTool();
+    const startTime = Date.now();
+    const results = await this.runWithConcurrency(comparable, concurrency, async componentName => {
+      try {
+        return await compareTool.execute({ ...compareOptions, componentName, projectPath });
+      } catch (error) {
+        return { success: false, error: error.message, componentName };
+      }
+    });
+
+    const ranking = this.rankResults(results);
+    const compared = results.filter(result => result.success);
+    const summary = {
+      total: comparable.length,
+      compared: compared.length,
+      passed: compared.filter(result => result.passed).length,
+      failed: compared.filter(result => !result.passed).length,
+      errors: results.length - compared.length,
+      skipped: skipped.length,
+      averageScore: compared.length > 0
+        ? compared.reduce((sum, result) => sum + result.score, 0) / compared.length
+        : null,
+      durationMs: Date.now() - startTime
+    };
+
+    console.log(chalk.green(`✅ Batch comparison completed: ${summary.passed}/${summary.compared} passed`));
+
+    return {
+      success: true,
+      projectPath,
+      metric: compareOptions.metric || 'pixelmatch',
+      summary,
+      ranking,
+      summaryTable: this.formatSummaryTable(ranking),
+      skipped,
+      results
+    };
+  }
+
+  /**
+   * 按 benchmark 组件扫描器的目录约定查找可对比的组件
+   * @returns {{comparable: string[], skipped: Array<{componentName: string, reason: string}>}}
+   */
+  discoverComponents(projectPath, componentNames, against = 'figma') {
+    const scanner = new ComponentScanner(path.join(projectPath, 'src', 'components'));
+    const components = scanner.scanComponents();
+    const byName = new Map(components.map(component => [component.name, component]));
+    const names = componentNames || components.map(component => component.name);
+
+    const comparable = [];
+    const skipped = [];
+
+    names.forEach(componentName => {
+      const component = byName.get(componentName);
+      if (!component) {
+        skipped.push({ componentName, reason: 'component directory not found' });
+      } else if (against === 'baseline' && !existsSync(path.join(component.path, 'results', BASELINE_FILE))) {
+        skipped.push({ componentName, reason: `results/${BASELINE_FILE} not found (approve_baseline)` });
+      } else if (against !== 'baseline' && !component.hasExpected) {
+        skipped.push({ componentName, reason: 'results/expected.png not found' });
+      } else if (!component.hasActual) {
+        skipped.push({ componentName, reason: 'results/actual.png not found' });
+      } else {
+        comparable.push(componentName);
+      }
+    });
+
+    return { comparable, skipped };
+  }
+
+  /**
+   * 以固定并发数依次处理任务，结果顺序与输入一致
+   */
+  async runWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runNext = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+    return results;
+  }
+
+  /**
+   * 按得分从低到高排序，最需要修复的组件排在最前，失败的对比放在最后
+   */
+  rankResults(results) {
+    const compared = results
+      .filter(result => result.success)
+      .sort((a, b) => a.score - b.score);
+    const errored = results.filter(result => !result.success);
+
+    return [...compared, ...errored].map((result, index) => ({
+      rank: index + 1,
+      componentName: result.componentName,
+      score: result.success ? result.score : null,
+      matchPercentage: result.success ? result.matchPercentage : null,
+      diffPixels: result.success ? result.diffPixels : null,
+      passed: result.success ? result.passed : false,
+      failedChecks: result.success ? result.gate.failedChecks.map(check => check.check) : undefined,
+      error: result.success ? undefined : result.error,
+      diffImagePath: result.diffImagePath
+    }));
+  }
+
+  formatSummaryTable(ranking) {
+    const lines = [
+      '| Rank | Component | Score | Match | Diff Pixels | Status |',
+      '|------|-----------|-------|-------|-------------|--------|'
+    ];
+
+    ranking.forEach(entry => {
+      if (entry.error) {
+        lines.push(`| ${entry.rank} | ${entry.componentName} | - | - | - | ❌ ${entry.error.split('\n')[0]} |`);
+        return;
+      }
+      lines.push(`| ${entry.rank} | ${entry.componentName} | ${entry.score.toFixed(2)} | ${entry.matchPercentage.toFixed(2)}% | ${entry.diffPixels.toLocaleString()} | ${entry.passed ? '✅ passed' : '🚨 failed'} |`);
+    });
+
+    return lines.join('\n');
+  }
+}
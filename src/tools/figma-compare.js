@@ -5,6 +5,34 @@ import sharp from 'sharp';
 import pixelmatch from 'pixelmatch';
 import { PNG } from 'pngjs';
 import { ensureDirectory } from '../utils/path-config.js';
+import { ComparisonAnalyzer } from '../utils/comparison-analyzer.js';
+import { ReportGenerator } from '../utils/report-generator.js';
+import { ImageMetrics, SUPPORTED_METRICS } from '../utils/image-metrics.js';
+import { ImageAligner } from '../utils/image-alignment.js';
+import { ComparisonMask } from '../utils/comparison-mask.js';
+import { ComparisonVisualizer } from '../utils/comparison-visualizer.js';
+import { DomMap } from '../utils/dom-map.js';
+import { FigmaNodeMap } from '../utils/figma-node-map.js';
+import { TextAnalyzer, DEFAULT_TEXT_TOLERANCE } from '../utils/text-analyzer.js';
+import { QualityGate, DEFAULT_QUALITY_GATES } from '../utils/quality-gate.js';
+import { PROJECT_CONFIG_FILE, loadProjectConfig } from '../utils/project-config.js';
+import { ComparisonHistory, DEFAULT_HISTORY_RETENTION } from '../utils/comparison-history.js';
+import { Baseline, BASELINE_FILE, REGRESSION_DIR } from '../utils/baseline.js';
+import { InteractionStates, STATES_DIR } from '../utils/interaction-states.js';
+import { resolveFixture, fixtureResultsDir, FIXTURES_DIR } from '../utils/component-fixtures.js';
+import { ViewportMatrix, VIEWPORTS_DIR, VIEWPORTS_FILE } from '../utils/viewport-matrix.js';
+import { CaptureStability } from '../utils/capture-stability.js';
+import {
+  createImageContent,
+  DEFAULT_IMAGE_MAX_DIMENSION,
+  IMAGE_CONTENT_TYPES
+} from '../utils/image-content.js';
+
+// snapdom_screenshot 默认以 3 倍 deviceScaleFactor 截图，1 设计稿 px = 3 截图 px；视口矩阵的倍率见 viewports.json
+const CAPTURE_SCALE = 3;
+
+// 允许的宽高比相对误差，超出时拒绝拉伸对比
+const DEFAULT_ASPECT_RATIO_TOLERANCE = 0.02;
 
 export class FigmaCompareTool {
   constructor() {
@@ -28,12 +56,224 @@ export class FigmaCompareTool {
         outputPath: {
           type: 'string',
           description: 'Custom output directory for results (optional). If not provided, defaults to src/components/{componentName}/results'
+        },
+        against: {
+          type: 'string',
+          enum: ['figma', 'baseline'],
+          default: 'figma',
+          description: `figma: compare actual.png with the Figma export expected.png; baseline: compare with the approved ${BASELINE_FILE} (see approve_baseline) to detect regressions, writing all outputs to results/${REGRESSION_DIR}/`
+        },
+        fixture: {
+          type: 'string',
+          description: `Fixture from the component's fixtures.json / fixtures.js: compares the images in results/${FIXTURES_DIR}/<id>/ (expected.png exported from the matching Figma variant, actual.png from snapdom_screenshot with the same fixture)`
+        },
+        viewport: {
+          type: 'string',
+          description: `Name of a viewport captured by snapdom_screenshot viewports: compares actual.<name>.png with the Figma export expected.<name>.png at the scale recorded in ${VIEWPORTS_FILE} and writes outputs to results/${VIEWPORTS_DIR}/<name>/`
+        },
+        state: {
+          type: 'string',
+          description: `Interaction state captured by snapdom_screenshot states (hover, focus, active, disabled or a custom name): compares actual.<state>.png with the Figma export expected.<state>.png and writes outputs to results/${STATES_DIR}/<state>/ (combined with viewport: actual.<viewport>.<state>.png)`
+        },
+        analysisLevel: {
+          type: 'string',
+          enum: ['basic', 'full'],
+          default: 'basic',
+          description: 'basic: match percentage and diff.png only; full: also return diff regions, color differences and prioritized suggestions, and write comparison-report.json/.md, heatmap.png and thumbnails'
+        },
+        metric: {
+          type: 'string',
+          enum: SUPPORTED_METRICS,
+          default: 'pixelmatch',
+          description: 'Metric that drives the minScore quality gate (default score >= 98): pixelmatch match percentage, ssim (structural similarity x100), mae (100 - mean channel error %), deltaE (percentage of pixels with CIEDE2000 below the just-noticeable difference)'
+        },
+        alignment: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean', default: false, description: 'Search for a global x/y offset and also compare the aligned images (writes diff-aligned.png)' },
+            maxOffset: { type: 'number', default: 3, description: 'Largest translation to search, in design px' },
+            perRegion: { type: 'boolean', default: false, description: 'Also search a local offset for each diff region and report shifted regions as position fixes' },
+            scoreWith: { type: 'string', enum: ['raw', 'aligned'], default: 'raw', description: 'Which comparison drives pass/fail' }
+          },
+          description: 'Alignment-tolerant comparison that detects and compensates for small offsets'
+        },
+        ignoreRegions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              x: { type: 'number' },
+              y: { type: 'number' },
+              width: { type: 'number' },
+              height: { type: 'number' }
+            },
+            required: ['x', 'y', 'width', 'height']
+          },
+          description: 'Rectangles in design px (scaled automatically for the 3x capture) excluded from scoring, e.g. timestamps or avatars'
+        },
+        ignoreSelectors: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'CSS selectors excluded from scoring. Boxes are resolved by snapdom_screenshot (pass the same ignoreSelectors there) and read from actual.ignore.json'
+        },
+        focusRegions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              x: { type: 'number' },
+              y: { type: 'number' },
+              width: { type: 'number' },
+              height: { type: 'number' }
+            },
+            required: ['x', 'y', 'width', 'height']
+          },
+          description: 'Rectangles in design px; when set, only these areas are scored'
+        },
+        subtractNoise: {
+          type: 'boolean',
+          default: false,
+          description: 'Exclude the pixels that changed between repeated captures (actual.noise.png written by snapdom_screenshot with verifyStability) from scoring, so render noise does not move the score'
+        },
+        aspectRatioTolerance: {
+          type: 'number',
+          default: DEFAULT_ASPECT_RATIO_TOLERANCE,
+          description: 'Maximum relative aspect-ratio difference between expected.png and actual.png before the comparison is refused instead of stretching (0.02 = 2%)'
+        },
+        visualizations: {
+          type: 'object',
+          properties: {
+            composite: { type: 'boolean', default: false, description: 'Write composite.png: expected | actual | diff in one labelled strip' },
+            overlay: { type: 'boolean', default: false, description: 'Write overlay.png: 50% onion-skin blend of expected and actual' },
+            swipe: { type: 'number', default: 0, description: 'Write swipe/region-<n>.png zoomed close-ups (expected | actual | diff) for the top N diff regions' },
+            padding: { type: 'number', default: 8, description: 'Padding around each close-up, in design px' }
+          },
+          description: 'Extra images that make diff.png easier to interpret'
+        },
+        regionCrops: {
+          type: 'object',
+          properties: {
+            count: { type: 'number', default: 0, description: 'Number of most severe diff regions to export (0 disables)' },
+            padding: { type: 'number', default: 8, description: 'Padding around each crop, in design px' }
+          },
+          description: 'Write regions/region-<n>-expected.png, -actual.png and -diff.png crops for the worst diff regions and list them with design-px coordinates'
+        },
+        qualityGates: {
+          type: 'object',
+          properties: {
+            minScore: { type: 'number', default: DEFAULT_QUALITY_GATES.minScore, description: 'Minimum score of the selected metric (0-100)' },
+            maxRegionArea: { type: ['number', 'null'], default: null, description: 'Maximum bounding-box area of a single diff region, in design px²' },
+            maxColorDelta: { type: ['number', 'null'], default: null, description: 'Maximum mean CIEDE2000 ΔE of the diff pixels within a single diff region' },
+            minSsim: { type: ['number', 'null'], default: null, description: 'Minimum SSIM (0-1)' },
+            statusLevels: {
+              type: 'object',
+              properties: {
+                excellent: { type: 'number', default: DEFAULT_QUALITY_GATES.statusLevels.excellent },
+                good: { type: 'number', default: DEFAULT_QUALITY_GATES.statusLevels.good },
+                needsImprovement: { type: 'number', default: DEFAULT_QUALITY_GATES.statusLevels.needsImprovement }
+              },
+              description: 'Match percentage cut-offs for the report status'
+            }
+          },
+          description: `Quality gates that decide pass/fail. Merged over ${PROJECT_CONFIG_FILE} (qualityGates, with per-component overrides under qualityGates.components) and the component metadata.json (qualityGates); values given here win`
+        },
+        history: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean', default: true, description: 'Append this run to results/history.jsonl' },
+            retention: { type: 'number', default: DEFAULT_HISTORY_RETENTION, description: 'Number of archived runs kept under results/history/<timestamp>/ (0 keeps history.jsonl only)' }
+          },
+          description: `Comparison history: each run is appended to history.jsonl (timestamp, score, metrics, threshold, git commit) and its diff images are archived. Defaults can be set under history in ${PROJECT_CONFIG_FILE}`
+        },
+        textAware: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean', default: false, description: 'Compare each text box from dom-map.json separately (requires a screenshot taken with domMap: true)' },
+            tolerance: { type: 'number', default: DEFAULT_TEXT_TOLERANCE, description: 'Allowed glyph-box difference (baseline, horizontal position, width) in design px' }
+          },
+          description: 'Text-aware comparison: inside text boxes whose glyph geometry, ink color and ink coverage match the design, pixels with only a small luminance difference are excluded from the score as anti-aliasing noise; baseline shifts, width overflow, wrong line wrapping, truncation, color and weight mismatches are reported under text'
+        },
+        figmaNodePath: {
+          type: 'string',
+          description: 'Path to a locally saved Figma node JSON (REST /files or /nodes response, or a single node). Diff regions are labelled with the overlapping Figma nodes and their declared fills, strokes, corner radius and typography'
+        },
+        figmaNodeId: {
+          type: 'string',
+          description: 'Node in figmaNodePath that expected.png was exported from (optional, defaults to the first node with a bounding box)'
+        },
+        returnImages: {
+          type: 'boolean',
+          default: false,
+          description: 'Also return the result images as MCP image content (base64 PNG) so vision-capable clients can inspect them directly'
+        },
+        imageTypes: {
+          type: 'array',
+          items: { type: 'string', enum: IMAGE_CONTENT_TYPES },
+          default: IMAGE_CONTENT_TYPES,
+          description: 'Images returned when returnImages is true: diff (diff.png), composite (expected | actual | diff side by side), heatmap (analysisLevel full only)'
+        },
+        imageMaxDimension: {
+          type: 'number',
+          default: DEFAULT_IMAGE_MAX_DIMENSION,
+          description: 'Returned images are downscaled so that neither side exceeds this many px'
         }
       },
       required: ['componentName', 'projectPath']
     };
   }
 
+  /**
+   * 校验与组件无关的对比参数，figma_compare_batch 在启动并发对比前也会调用一次
+   * @param {Object} options - threshold、against、analysisLevel、metric、alignment、aspectRatioTolerance
+   * @returns {{alignment: Object}} 合并默认值后的 alignment
+   */
+  static validateOptions({
+    threshold = 0.1,
+    against = 'figma',
+    analysisLevel = 'basic',
+    metric = 'pixelmatch',
+    alignment: alignmentOptions,
+    aspectRatioTolerance = DEFAULT_ASPECT_RATIO_TOLERANCE
+  }) {
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      throw new Error(`❌ 参数错误: threshold 必须是 0-1 之间的数值，收到: ${threshold}`);
+    }
+
+    if (!['figma', 'baseline'].includes(against)) {
+      throw new Error(`❌ 参数错误: against 只支持 figma 或 baseline，收到: ${against}`);
+    }
+
+    if (!['basic', 'full'].includes(analysisLevel)) {
+      throw new Error(`❌ 参数错误: analysisLevel 只支持 basic 或 full，收到: ${analysisLevel}`);
+    }
+
+    if (!SUPPORTED_METRICS.includes(metric)) {
+      throw new Error(`❌ 参数错误: metric 只支持 ${SUPPORTED_METRICS.join(' / ')}，收到: ${metric}`);
+    }
+
+    if (!Number.isFinite(aspectRatioTolerance) || aspectRatioTolerance < 0) {
+      throw new Error(`❌ 参数错误: aspectRatioTolerance 必须是非负数，收到: ${aspectRatioTolerance}`);
+    }
+
+    const alignment = {
+      enabled: false,
+      maxOffset: 3,
+      perRegion: false,
+      scoreWith: 'raw',
+      ...alignmentOptions
+    };
+
+    if (!['raw', 'aligned'].includes(alignment.scoreWith)) {
+      throw new Error(`❌ 参数错误: alignment.scoreWith 只支持 raw 或 aligned，收到: ${alignment.scoreWith}`);
+    }
+
+    if (alignment.scoreWith === 'aligned' && !alignment.enabled) {
+      throw new Error('❌ 参数错误: alignment.scoreWith 为 aligned 时需要同时设置 alignment.enabled: true');
+    }
+
+    return { alignment };
+  }
+
   async execute(args) {
     // 验证必传参数
     if (!args.componentName) {
@@ -55,42 +295,296 @@ export class FigmaCompareTool {
       componentName,
       projectPath,
       threshold = 0.1,
-      outputPath
+      outputPath,
+      against = 'figma',
+      viewport,
+      state,
+      analysisLevel = 'basic',
+      metric = 'pixelmatch',
+      ignoreRegions = [],
+      ignoreSelectors = [],
+      focusRegions = [],
+      subtractNoise = false,
+      aspectRatioTolerance = DEFAULT_ASPECT_RATIO_TOLERANCE,
+      visualizations = {},
+      regionCrops = {},
+      figmaNodePath,
+      figmaNodeId,
+      returnImages = false,
+      imageTypes = IMAGE_CONTENT_TYPES,
+      imageMaxDimension = DEFAULT_IMAGE_MAX_DIMENSION
     } = args;
 
+    const { alignment } = FigmaCompareTool.validateOptions(args);
+
+    if (state !== undefined && !InteractionStates.isValidName(state)) {
+      throw new Error(`❌ 参数错误: state 只能由字母、数字、- 或 _ 组成，收到: ${state}`);
+    }
+
+    if (state && against === 'baseline') {
+      throw new Error('❌ 参数错误: state 暂不支持与 against: baseline 同时使用，基准只记录默认状态的截图');
+    }
+
+    if (viewport !== undefined && !ViewportMatrix.isValidName(viewport)) {
+      throw new Error(`❌ 参数错误: viewport 只能由字母、数字、- 或 _ 组成，收到: ${viewport}`);
+    }
+
+    if (viewport && against === 'baseline') {
+      throw new Error('❌ 参数错误: viewport 暂不支持与 against: baseline 同时使用，基准只记录默认视口的截图');
+    }
+
+    ComparisonMask.validateRegions(ignoreRegions, 'ignoreRegions');
+    ComparisonMask.validateRegions(focusRegions, 'focusRegions');
+
+    if (!Array.isArray(ignoreSelectors) || ignoreSelectors.some(selector => typeof selector !== 'string')) {
+      throw new Error('❌ 参数错误: ignoreSelectors 必须是 CSS 选择器字符串数组');
+    }
+
+    const textAware = {
+      enabled: false,
+      tolerance: DEFAULT_TEXT_TOLERANCE,
+      ...args.textAware
+    };
+
+    if (!Number.isFinite(textAware.tolerance) || textAware.tolerance < 0) {
+      throw new Error(`❌ 参数错误: textAware.tolerance 必须是非负数，收到: ${textAware.tolerance}`);
+    }
+
+    const { swipe = 0, padding = 8 } = visualizations;
+    if (!Number.isInteger(swipe) || swipe < 0) {
+      throw new Error(`❌ 参数错误: visualizations.swipe 必须是非负整数，收到: ${swipe}`);
+    }
+
+    if (!Number.isFinite(padding) || padding < 0) {
+      throw new Error(`❌ 参数错误: visualizations.padding 必须是非负数，收到: ${padding}`);
+    }
+
+    const { count: cropCount = 0, padding: cropPadding = 8 } = regionCrops;
+    if (!Number.isInteger(cropCount) || cropCount < 0) {
+      throw new Error(`❌ 参数错误: regionCrops.count 必须是非负整数，收到: ${cropCount}`);
+    }
+
+    if (!Number.isFinite(cropPadding) || cropPadding < 0) {
+      throw new Error(`❌ 参数错误: regionCrops.padding 必须是非负数，收到: ${cropPadding}`);
+    }
+
+    if (!Array.isArray(imageTypes) || imageTypes.some(type => !IMAGE_CONTENT_TYPES.includes(type))) {
+      throw new Error(`❌ 参数错误: imageTypes 只支持 ${IMAGE_CONTENT_TYPES.join(' / ')}`);
+    }
+
+    if (!Number.isFinite(imageMaxDimension) || imageMaxDimension <= 0) {
+      throw new Error(`❌ 参数错误: imageMaxDimension 必须是正数，收到: ${imageMaxDimension}`);
+    }
+
+    // 提前读取 Figma 节点文件，路径或节点 ID 错误时直接报参数错误
+    const figmaNodes = figmaNodePath ? await FigmaNodeMap.load(figmaNodePath, figmaNodeId) : null;
+
+    // fixture 的截图、设计稿和所有输出都在 results/fixtures/<id>/ 中
+    const fixture = args.fixture !== undefined ? await resolveFixture(projectPath, componentName, args.fixture) : null;
+
+    // 按项目与组件配置合并质量门禁
+    const qualityGate = await QualityGate.load(projectPath, componentName, args.qualityGates);
+
+    const { config: projectConfig } = await loadProjectConfig(projectPath);
+    const history = {
+      enabled: true,
+      retention: DEFAULT_HISTORY_RETENTION,
+      ...projectConfig.history,
+      ...args.history
+    };
+
+    if (!Number.isInteger(history.retention) || history.retention < 0) {
+      throw new Error(`❌ 参数错误: history.retention 必须是非负整数，收到: ${history.retention}`);
+    }
+
     try {
       console.log(chalk.cyan('🎯 Figma Component Comparison'));
       console.log(chalk.cyan(`Component: ${componentName}`));
       console.log(chalk.gray('='.repeat(50)));
 
-      const resultsDir = outputPath || path.join(projectPath, 'src', 'components', componentName, 'results');
+      if (fixture) {
+        console.log(chalk.cyan(`Fixture: ${fixture.id}`));
+        if (fixture.warning) console.log(chalk.yellow(`⚠️  ${fixture.warning}`));
+      }
+
+      const resultsDir = fixtureResultsDir(
+        outputPath || path.join(projectPath, 'src', 'components', componentName, 'results'),
+        fixture && fixture.id
+      );
       await ensureDirectory(resultsDir);
 
-      // Check if actual.png exists
-      const actualPath = path.join(resultsDir, 'actual.png');
+      // 与基准对比时，差异图、报告和历史写入 regression/；视口写入 viewports/<name>/，交互状态再写入其下的 states/<state>/，
+      // 不覆盖默认视口、默认状态与设计稿对比的结果
+      let outputDir = resultsDir;
+      if (against === 'baseline') {
+        outputDir = path.join(resultsDir, REGRESSION_DIR);
+      } else {
+        if (viewport) outputDir = path.join(outputDir, VIEWPORTS_DIR, viewport);
+        if (state) outputDir = path.join(outputDir, STATES_DIR, state);
+      }
+      await ensureDirectory(outputDir);
+
+      // 视口截图的 deviceScaleFactor 由 snapdom_screenshot 记录在 viewports.json 中
+      let captureScale = CAPTURE_SCALE;
+      if (viewport) {
+        const viewportEntry = await ViewportMatrix.load(resultsDir, viewport);
+        if (!viewportEntry) {
+          throw new Error(`Viewport ${viewport} not found in ${path.join(resultsDir, VIEWPORTS_FILE)}\n\nPlease capture it first using snapdom_screenshot with viewports: [{ "name": "${viewport}", "width": ..., "height": ... }]`);
+        }
+        captureScale = viewportEntry.scale;
+        console.log(chalk.blue(`📐 Viewport ${viewport}: ${viewportEntry.width}×${viewportEntry.height} @${captureScale}x`));
+      }
+      const baseline = against === 'baseline' ? await Baseline.load(resultsDir) : null;
+      if (baseline) {
+        console.log(chalk.blue(`📌 Comparing against baseline approved at ${baseline.approvedAt}`));
+      }
+
+      // Check if actual.png (or actual.<state>.png) exists
+      const actualFile = InteractionStates.fileName(InteractionStates.fileName('actual.png', viewport), state);
+      const actualPath = path.join(resultsDir, actualFile);
       try {
         await fs.access(actualPath);
-        console.log(chalk.green('✅ Found existing screenshot: actual.png'));
+        console.log(chalk.green(`✅ Found existing screenshot: ${actualFile}`));
       } catch (error) {
-        throw new Error(`Screenshot not found: ${actualPath}\n\nPlease take a screenshot first using the snapDOM screenshot tool:\n  snapdom_screenshot_vue-figma-tools --componentName ${componentName}`);
+        throw new Error(state
+          ? `Screenshot not found: ${actualPath}\n\nPlease capture the state first using snapdom_screenshot with states: ["${state}"]${fixture ? ` and fixture: "${fixture.id}"` : ''}`
+          : `Screenshot not found: ${actualPath}\n\nPlease take a screenshot first using the snapDOM screenshot tool:\n  snapdom_screenshot_vue-figma-tools --componentName ${componentName}${fixture ? ` --fixture ${fixture.id}` : ''}`);
       }
 
       // 执行图片对比
       console.log(chalk.blue('🔍 Performing image comparison...'));
+      // 选择器对应的区域由 snapdom_screenshot 截图时解析并保存
+      const ignoreFile = actualFile.replace(/\.png$/, '.ignore.json');
+      const selectorRegions = await this.resolveIgnoreSelectors(resultsDir, ignoreSelectors, ignoreFile);
+      if (selectorRegions.unresolved.length > 0) {
+        console.log(chalk.yellow(`⚠️  Selectors not found in ${ignoreFile}: ${selectorRegions.unresolved.join(', ')}`));
+      }
+
+      // 噪声底图由 snapdom_screenshot 的 verifyStability 生成，与截图同名
+      let noise = null;
+      if (subtractNoise) {
+        const stability = await CaptureStability.load(actualPath);
+        if (stability.stale) {
+          console.log(chalk.yellow(`⚠️  ${path.basename(stability.path)} is older than ${actualFile}, comparing without the noise floor (capture again with verifyStability)`));
+        } else if (!stability.report) {
+          throw new Error(`Stability report not found: ${stability.path}\n\nPlease take the screenshot again using snapdom_screenshot with verifyStability: 3 so the noise floor is recorded.`);
+        } else if (stability.report.sizeMismatch) {
+          console.log(chalk.yellow('⚠️  Repeated captures changed size, the noise floor cannot be subtracted'));
+        } else {
+          noise = { report: stability.report, noisePng: stability.noisePng, path: stability.path };
+        }
+      }
+
+      // 文本感知模式依赖截图时记录的文本行盒
+      const { domMap, stale: domMapStale } = await DomMap.load(actualPath);
+      if (domMapStale) {
+        console.log(chalk.yellow('⚠️  dom-map.json is older than actual.png, skipping element attribution (capture again with domMap: true)'));
+      }
+
+      let textBoxes = null;
+      if (textAware.enabled) {
+        if (domMap) {
+          textBoxes = domMap.textBoxes();
+        } else {
+          console.log(chalk.yellow('⚠️  textAware needs a current dom-map.json (capture with domMap: true), comparing without it'));
+        }
+      }
+
       const comparisonResult = await this.compareImages({
         resultsDir,
-        threshold
+        outputDir,
+        expectedFile: against === 'baseline' ? BASELINE_FILE : InteractionStates.fileName(InteractionStates.fileName('expected.png', viewport), state),
+        actualFile,
+        captureScale,
+        threshold,
+        alignment,
+        ignoreRegions: [...ignoreRegions, ...selectorRegions.regions],
+        focusRegions,
+        noisePng: noise && noise.noisePng,
+        aspectRatioTolerance,
+        textBoxes,
+        textTolerance: textAware.tolerance
       });
 
+      if (noise) {
+        comparisonResult.noise = {
+          ...comparisonResult.noise,
+          stable: noise.report.stable,
+          captures: noise.report.captures,
+          reportPath: noise.path
+        };
+      }
+
+      if (ignoreSelectors.length > 0) {
+        comparisonResult.masking = {
+          ignoreRegions: [...ignoreRegions, ...selectorRegions.regions],
+          focusRegions,
+          excludedPixels: comparisonResult.mask ? comparisonResult.mask.excludedPixels : 0,
+          ignoreSelectors,
+          unresolvedSelectors: selectorRegions.unresolved
+        };
+      }
+
       console.log(chalk.green('✅ Comparison completed successfully!'));
       console.log(chalk.yellow(`📊 还原度: ${comparisonResult.matchPercentage.toFixed(2)}%`));
+      console.log(chalk.gray(`   SSIM: ${comparisonResult.metrics.ssim.toFixed(4)} | MAE: ${comparisonResult.metrics.channelMAE.mean.toFixed(2)} | ΔE00 mean: ${comparisonResult.metrics.perceptual.meanDeltaE.toFixed(3)}`));
       console.log(chalk.gray(`📁 Diff image saved: ${comparisonResult.paths.diff}`));
 
+      if (comparisonResult.text) {
+        const { summary, issues } = comparisonResult.text;
+        console.log(chalk.blue(`🔤 Text-aware: ${summary.textBoxes} text boxes, ${summary.excluded} anti-aliasing only (${summary.excludedPixels} pixels excluded from score), ${summary.withIssues} with layout issues`));
+        issues.slice(0, 5).forEach(entry => {
+          console.log(chalk.gray(`   ${entry.selector} "${entry.text}": ${entry.issues.join(', ')}`));
+        });
+      }
+
+      if (comparisonResult.alignment) {
+        const { alignment: alignmentResult } = comparisonResult;
+        console.log(chalk.blue(`🧭 ${alignmentResult.description}`));
+        console.log(chalk.gray(`   Raw: ${alignmentResult.raw.matchPercentage.toFixed(2)}% | Aligned: ${alignmentResult.aligned.matchPercentage.toFixed(2)}%`));
+      }
+
       // Check quality level
-      if (comparisonResult.matchPercentage < 98) {
-        console.log(chalk.red('🚨 还原度未达到98%标准！'));
+      const scored = alignment.scoreWith === 'aligned' ? comparisonResult.alignment.aligned : comparisonResult;
+      const score = ImageMetrics.scoreFor(metric, {
+        matchPercentage: scored.matchPercentage,
+        ...scored.metrics
+      });
+
+      // 完整分析：差异区域、颜色差异、优化建议及报告文件
+      let analysis = null;
+      if (analysisLevel === 'full') {
+        console.log(chalk.blue('🔬 Running full difference analysis...'));
+        analysis = await this.analyzeDifferences({
+          componentName,
+          resultsDir: outputDir,
+          inputImages: comparisonResult.paths,
+          images: comparisonResult.images,
+          mask: comparisonResult.mask,
+          threshold,
+          alignRegions: alignment.perRegion,
+          maxOffset: Math.round(alignment.maxOffset * comparisonResult.pixelRatio),
+          pixelRatio: comparisonResult.pixelRatio,
+          statusLevels: qualityGate.gates.statusLevels
+        });
+        console.log(chalk.green(`📑 Report saved: ${analysis.reportPath}`));
+      }
+
+      // 质量门禁：区域相关的检查使用与 regionCrops / swipe 相同编号的差异区域
+      const gate = qualityGate.evaluate({
+        score,
+        metric,
+        metrics: scored.metrics,
+        regions: qualityGate.needsRegions
+          ? this.measureRegions({ comparisonResult, analysis, threshold })
+          : []
+      });
+      const { passed } = gate;
+      if (!passed) {
+        console.log(chalk.red(`🚨 未通过质量门禁！(${metric}: ${score.toFixed(2)})`));
+        gate.failedChecks.forEach(check => console.log(chalk.red(`   ✗ ${check.message}`)));
       } else {
-        console.log(chalk.green('🎉 恭喜！已达到98%还原度标准！'));
+        console.log(chalk.green(`🎉 恭喜！已通过质量门禁！(${metric}: ${score.toFixed(2)})`));
       }
 
       // 保存还原度数据到JSON文件
@@ -99,25 +593,174 @@ export class FigmaCompareTool {
         diffPixels: comparisonResult.diffPixels,
         totalPixels: comparisonResult.totalPixels,
         dimensions: comparisonResult.dimensions,
+        metrics: comparisonResult.metrics,
+        against,
+        fixture: fixture ? fixture.id : null,
+        viewport: viewport || null,
+        state: state || null,
+        metric,
+        score,
+        passed,
+        gate,
+        alignment: comparisonResult.alignment,
+        masking: comparisonResult.masking,
+        noise: comparisonResult.noise,
+        text: comparisonResult.text,
+        normalization: comparisonResult.normalization,
+        analysisLevel,
         timestamp: new Date().toISOString(),
         componentName: componentName
       };
+
+      if (analysis) {
+        comparisonData.status = analysis.status;
+        comparisonData.reportPath = analysis.reportPath;
+      }
       
-      const comparisonDataPath = path.join(resultsDir, 'comparison-data.json');
+      if (baseline) {
+        comparisonData.baseline = { approvedAt: baseline.approvedAt, sha256: baseline.sha256, gitCommit: baseline.gitCommit };
+      }
+
+      const comparisonDataPath = path.join(outputDir, 'comparison-data.json');
       await fs.writeFile(comparisonDataPath, JSON.stringify(comparisonData, null, 2));
       console.log(chalk.green(`📊 还原度数据已保存: ${comparisonDataPath}`));
 
-      return {
+      // 追加历史记录并归档本次的差异图，保留还原过程的轨迹
+      let historyRecord = null;
+      if (history.enabled) {
+        historyRecord = await new ComparisonHistory(outputDir, { retention: history.retention }).record({
+          timestamp: comparisonData.timestamp,
+          componentName,
+          against,
+          fixture: fixture ? fixture.id : null,
+          viewport: viewport || null,
+          state: state || null,
+          metric,
+          score,
+          passed,
+          failedChecks: gate.failedChecks.map(check => check.check),
+          matchPercentage: comparisonResult.matchPercentage,
+          diffPixels: comparisonResult.diffPixels,
+          totalPixels: comparisonResult.totalPixels,
+          metrics: comparisonResult.metrics,
+          threshold,
+          analysisLevel
+        }, {
+          projectPath,
+          files: [
+            'diff.png',
+            'comparison-data.json',
+            ...(comparisonResult.alignment ? ['diff-aligned.png'] : []),
+            ...(analysis && analysis.heatmapPath ? ['heatmap.png'] : [])
+          ]
+        });
+        console.log(chalk.gray(`🕘 History updated: ${historyRecord.historyPath}`));
+      }
+
+      const result = {
         success: true,
         componentName,
+        against,
+        fixture: fixture ? fixture.id : null,
+        viewport: viewport || null,
+        state: state || null,
         matchPercentage: comparisonResult.matchPercentage,
         diffPixels: comparisonResult.diffPixels,
         totalPixels: comparisonResult.totalPixels,
+        metrics: comparisonResult.metrics,
+        metric,
+        score,
+        passed,
+        gate,
+        masking: comparisonResult.masking,
+        noise: comparisonResult.noise,
+        text: comparisonResult.text,
+        pixelRatio: comparisonResult.pixelRatio,
 
         diffImagePath: comparisonResult.paths.diff,
         comparisonDataPath: comparisonDataPath
       };
 
+      if (baseline) {
+        result.baseline = baseline;
+      }
+
+      if (historyRecord) {
+        result.history = {
+          path: historyRecord.historyPath,
+          archiveDir: historyRecord.archiveDir,
+          gitCommit: historyRecord.entry.gitCommit
+        };
+      }
+
+      if (comparisonResult.alignment) {
+        result.alignment = comparisonResult.alignment;
+      }
+
+      if (analysis) {
+        result.analysis = analysis;
+      }
+
+      // 基础模式下的局部对齐：直接在 alignment 中列出发生偏移的区域
+      if (alignment.perRegion) {
+        const regions = analysis
+          ? analysis.regions
+          : await this.findShiftedRegions({
+            images: comparisonResult.images,
+            threshold,
+            maxOffset: Math.round(alignment.maxOffset * comparisonResult.pixelRatio),
+            pixelRatio: comparisonResult.pixelRatio
+          });
+        result.alignment = {
+          ...result.alignment,
+          regions: regions.filter(region => region.offset)
+        };
+      }
+
+      if (visualizations.composite || visualizations.overlay || swipe > 0) {
+        result.visualizations = await this.generateVisualizations({
+          resultsDir: outputDir,
+          comparisonResult,
+          analysis,
+          threshold,
+          composite: visualizations.composite,
+          overlay: visualizations.overlay,
+          swipe,
+          padding
+        });
+      }
+
+      if (cropCount > 0) {
+        result.regionCrops = await this.exportRegionCrops({
+          resultsDir: outputDir,
+          comparisonResult,
+          analysis,
+          threshold,
+          count: cropCount,
+          padding: cropPadding
+        });
+      }
+
+      // snapdom_screenshot 使用 domMap: true 截图时，把差异区域关联到页面元素；提供 figmaNodePath 时关联到设计节点
+      if (domMap || figmaNodes) {
+        result.attribution = this.attributeRegions({ comparisonResult, analysis, threshold, domMap, figmaNodes });
+        result.attribution.slice(0, 3).forEach(entry => {
+          if (entry.summary) console.log(chalk.blue(`🧩 ${entry.summary}`));
+          if (entry.figmaSummary) console.log(chalk.magenta(`🎨 ${entry.figmaSummary}`));
+        });
+      }
+
+      if (returnImages) {
+        result.imageContent = await this.buildImageContent({
+          comparisonResult,
+          analysis,
+          imageTypes,
+          maxDimension: imageMaxDimension
+        });
+      }
+
+      return result;
+
     } catch (error) {
       console.error(chalk.red('❌ Comparison failed:'), error.message);
       return {
@@ -134,75 +777,555 @@ export class FigmaCompareTool {
 
 
 
-  async compareImages({ resultsDir, threshold }) {
-    const expectedPath = path.join(resultsDir, 'expected.png');
-    const actualPath = path.join(resultsDir, 'actual.png');
-    const diffPath = path.join(resultsDir, 'diff.png');
+  async compareImages({
+    resultsDir,
+    outputDir = resultsDir,
+    expectedFile = 'expected.png',
+    actualFile = 'actual.png',
+    captureScale = CAPTURE_SCALE,
+    threshold,
+    alignment = { enabled: false },
+    ignoreRegions = [],
+    focusRegions = [],
+    noisePng = null,
+    aspectRatioTolerance,
+    textBoxes = null,
+    textTolerance = DEFAULT_TEXT_TOLERANCE
+  }) {
+    const expectedPath = path.join(resultsDir, expectedFile);
+    const actualPath = path.join(resultsDir, actualFile);
+    const diffPath = path.join(outputDir, 'diff.png');
 
     // Check if expected image exists
     try {
       await fs.access(expectedPath);
     } catch (error) {
-      throw new Error(`Expected image not found: ${expectedPath}. Please ensure the Figma design image is downloaded.`);
+      throw new Error(expectedFile === BASELINE_FILE
+        ? `Baseline not found: ${expectedPath}. Approve a screenshot with approve_baseline first.`
+        : `Expected image not found: ${expectedPath}. Please ensure the Figma design image is downloaded.`);
     }
 
-    // Ensure actual image is in correct format and size
-    await this.normalizeImage(actualPath, expectedPath);
-
-    // Load images
-    const expectedBuffer = await fs.readFile(expectedPath);
-    const actualBuffer = await fs.readFile(actualPath);
-
-    const expectedPng = PNG.sync.read(expectedBuffer);
-    const actualPng = PNG.sync.read(actualBuffer);
+    // Ensure both images are in correct format and size (in memory, originals are preserved)
+    const { expectedPng, actualPng, pixelRatio, normalization } = await this.normalizeImages(expectedPath, actualPath, {
+      aspectRatioTolerance,
+      captureScale
+    });
 
     const { width, height } = expectedPng;
     const diffPng = new PNG({ width, height });
 
+    // 文本感知：几何、颜色和覆盖率一致的文本框内只有亮度差很小的抗锯齿像素被排除，其余像素照常计分
+    let text = null;
+    let textPixels = null;
+    if (textBoxes) {
+      const { excludedPixels, ...analysis } = new TextAnalyzer({ pixelRatio, tolerance: textTolerance }).analyze(expectedPng, actualPng, textBoxes);
+      text = { ...analysis, tolerance: textTolerance };
+      textPixels = excludedPixels;
+    }
+
+    // 重复截图之间变化的像素属于渲染噪声，换算到比较尺寸后一起排除
+    const unstablePixels = noisePng ? CaptureStability.resample(noisePng, width, height) : null;
+    let excludedPixels = unstablePixels || textPixels;
+    if (unstablePixels && textPixels) {
+      excludedPixels = unstablePixels.map((unstable, index) => unstable | textPixels[index]);
+    }
+
+    // 忽略/聚焦区域：计分副本中被排除的像素用期望图片覆盖，不参与任何统计；actualPng 保持原样用于展示
+    const mask = ComparisonMask.fromRegions({
+      width,
+      height,
+      pixelRatio,
+      ignoreRegions,
+      focusRegions,
+      excludedPixels
+    });
+    const scoredPng = mask ? mask.neutralize(actualPng, expectedPng) : actualPng;
+    if (mask) {
+      console.log(chalk.gray(`🙈 Masked ${mask.excludedPixels} of ${width * height} pixels`));
+    }
+
     // Compare images with optimized settings for 3x scale
     console.log(chalk.blue(`🔍 Comparing images at ${width} × ${height} resolution...`));
 
     const diffPixels = pixelmatch(
       expectedPng.data,
-      actualPng.data,
+      scoredPng.data,
       diffPng.data,
       width,
       height,
-      {
-        threshold: threshold * 1.2, // 提高阈值以忽略更多文本渲染差异
-        includeAA: false, // 忽略抗锯齿像素差异，减少文本渲染差异
-        alpha: 0.1, // 提高alpha值以减少细微差异的影响
-        aaColor: [255, 255, 0], // Yellow for anti-aliasing differences
-        diffColor: [255, 0, 0], // Red for significant differences
-        diffColorAlt: [255, 128, 0] // Orange for alternative differences
-      }
+      this.getPixelmatchOptions(threshold)
     );
 
+    if (mask) {
+      mask.paint(diffPng);
+    }
+
     // Save diff image
     await fs.writeFile(diffPath, PNG.sync.write(diffPng));
 
-    const totalPixels = width * height;
-    const matchPercentage = ((totalPixels - diffPixels) / totalPixels) * 100;
+    const totalPixels = mask ? mask.includedPixels : width * height;
+    const matchPercentage = totalPixels > 0 ? ((totalPixels - diffPixels) / totalPixels) * 100 : 100;
 
     console.log(chalk.green(`✅ Comparison completed`));
     console.log(chalk.yellow(`📊 Match: ${matchPercentage.toFixed(2)}% (${diffPixels}/${totalPixels} pixels differ)`));
 
-    return {
+    // 结构与感知指标，用于区分布局问题和文本抗锯齿噪声
+    const metrics = new ImageMetrics().computeAll(expectedPng, scoredPng, mask);
+
+    const result = {
       matchPercentage,
       diffPixels,
       totalPixels,
       dimensions: { width, height },
+      metrics,
+      pixelRatio,
+      normalization,
       paths: {
         expected: expectedPath,
         actual: actualPath,
         diff: diffPath
+      },
+      // 解码后的图片与遮罩供后续分析复用，不写入结果数据；scoredPng 是遮罩后的计分副本，只用于重新计分
+      images: { expectedPng, actualPng, scoredPng, diffPng },
+      mask
+    };
+
+    if (text) {
+      result.text = text;
+    }
+
+    if (unstablePixels) {
+      const noisePixels = unstablePixels.reduce((sum, value) => sum + value, 0);
+      console.log(chalk.gray(`🌫️  Noise floor: ${noisePixels} unstable pixels excluded`));
+      result.noise = { unstablePixels: noisePixels };
+    }
+
+    if (mask) {
+      result.masking = {
+        ignoreRegions,
+        focusRegions,
+        excludedPixels: mask.excludedPixels
+      };
+    }
+
+    if (alignment.enabled) {
+      result.alignment = await this.compareAligned({
+        expectedPng,
+        actualPng,
+        resultsDir: outputDir,
+        threshold,
+        maxOffset: Math.round(alignment.maxOffset * pixelRatio),
+        pixelRatio,
+        mask,
+        raw: { matchPercentage, diffPixels, metrics }
+      });
+    }
+
+    return result;
+  }
+
+  getPixelmatchOptions(threshold) {
+    return {
+      threshold: threshold * 1.2, // 提高阈值以忽略更多文本渲染差异
+      includeAA: false, // 忽略抗锯齿像素差异，减少文本渲染差异
+      alpha: 0.1, // 提高alpha值以减少细微差异的影响
+      aaColor: [255, 255, 0], // Yellow for anti-aliasing differences
+      diffColor: [255, 0, 0], // Red for significant differences
+      diffColorAlt: [255, 128, 0] // Orange for alternative differences
+    };
+  }
+
+  /**
+   * 搜索全局平移并对齐后再次比较，同时保留原始与对齐后的两组分数
+   */
+  async compareAligned({ expectedPng, actualPng, resultsDir, threshold, maxOffset, pixelRatio, mask, raw }) {
+    console.log(chalk.blue(`🧭 Searching best alignment within ±${maxOffset}px...`));
+
+    const aligner = new ImageAligner({ maxOffset });
+    const offset = aligner.findBestOffset(expectedPng, actualPng);
+    const designX = Number((offset.dx / pixelRatio).toFixed(2));
+    const designY = Number((offset.dy / pixelRatio).toFixed(2));
+
+    const alignment = {
+      offset: {
+        x: offset.dx,
+        y: offset.dy,
+        designX,
+        designY
+      },
+      description: ImageAligner.describeOffset(designX, designY),
+      raw: {
+        matchPercentage: raw.matchPercentage,
+        diffPixels: raw.diffPixels,
+        metrics: raw.metrics
+      },
+      aligned: {
+        matchPercentage: raw.matchPercentage,
+        diffPixels: raw.diffPixels,
+        metrics: raw.metrics,
+        diffImagePath: null
       }
     };
+
+    if (offset.dx === 0 && offset.dy === 0) {
+      return alignment;
+    }
+
+    const { width, height } = expectedPng;
+    const shiftedPng = ImageAligner.shiftImage(actualPng, expectedPng, offset.dx, offset.dy);
+    const alignedPng = mask ? mask.neutralize(shiftedPng, expectedPng) : shiftedPng;
+    const alignedDiffPng = new PNG({ width, height });
+    const diffPixels = pixelmatch(
+      expectedPng.data,
+      alignedPng.data,
+      alignedDiffPng.data,
+      width,
+      height,
+      this.getPixelmatchOptions(threshold)
+    );
+
+    if (mask) {
+      mask.paint(alignedDiffPng);
+    }
+
+    const alignedDiffPath = path.join(resultsDir, 'diff-aligned.png');
+    await fs.writeFile(alignedDiffPath, PNG.sync.write(alignedDiffPng));
+
+    const totalPixels = mask ? mask.includedPixels : width * height;
+    alignment.aligned = {
+      matchPercentage: totalPixels > 0 ? ((totalPixels - diffPixels) / totalPixels) * 100 : 100,
+      diffPixels,
+      metrics: new ImageMetrics().computeAll(expectedPng, alignedPng, mask),
+      diffImagePath: alignedDiffPath
+    };
+
+    return alignment;
   }
 
+  /**
+   * 仅识别差异区域并搜索局部偏移（基础分析模式下使用）
+   */
+  async findShiftedRegions({ images, threshold, maxOffset, pixelRatio }) {
+    const { expectedPng, scoredPng } = images;
+    const { width, height } = expectedPng;
+    const diffPng = new PNG({ width, height });
+    const options = this.getPixelmatchOptions(threshold);
+
+    pixelmatch(expectedPng.data, scoredPng.data, diffPng.data, width, height, options);
 
+    const analyzer = new ComparisonAnalyzer({ ...options, maxOffset, pixelRatio });
+    const regions = analyzer.identifyDiffRegions(expectedPng, scoredPng, diffPng).slice(0, 10);
+
+    return analyzer.applyRegionOffsets(expectedPng, scoredPng, regions).map(region => ({
+      x: region.x,
+      y: region.y,
+      width: region.width,
+      height: region.height,
+      pixelCount: region.pixelCount,
+      severity: region.severity,
+      type: region.type,
+      description: region.description,
+      offset: region.offset
+    }));
+  }
+
+  /**
+   * 使用 ComparisonAnalyzer 做区域级分析，并通过 ReportGenerator 写出完整报告
+   * 返回给 MCP 的数据只保留最重要的区域和颜色差异，完整数据见 comparison-report.json
+   */
+  async analyzeDifferences({ componentName, resultsDir, inputImages, images, mask = null, threshold, alignRegions = false, maxOffset, pixelRatio, statusLevels }) {
+
+    // 与 compareImages 使用相同的 pixelmatch 参数，保证两种模式的还原度一致
+    const analyzer = new ComparisonAnalyzer({
+      ...this.getPixelmatchOptions(threshold),
+      alignRegions,
+      maxOffset,
+      pixelRatio
+    });
+    const analysisResult = await analyzer.analyzeImages(images.expectedPng, images.scoredPng, { mask });
+
+    const reportGenerator = new ReportGenerator({ statusLevels });
+    const report = await reportGenerator.generateReport(componentName, analysisResult, resultsDir, {
+      images: inputImages && { expected: inputImages.expected, actual: inputImages.actual }
+    });
+
+    return {
+      status: report.summary.status,
+      totalIssues: report.summary.totalIssues,
+      totalRegions: analysisResult.regions.length,
+      regions: analysisResult.regions.slice(0, 10).map(region => ({
+        x: region.x,
+        y: region.y,
+        width: region.width,
+        height: region.height,
+        pixelCount: region.pixelCount,
+        severity: region.severity,
+        type: region.type,
+        description: region.description,
+        offset: region.offset,
+        expectedColors: region.expectedColors,
+        actualColors: region.actualColors
+      })),
+      colorDifferences: analysisResult.colorAnalysis.slice(0, 10).map(colorDiff => ({
+        expectedColor: colorDiff.expectedColor,
+        actualColor: colorDiff.actualColor,
+        pixelCount: colorDiff.pixelCount
+      })),
+      suggestions: analysisResult.suggestions,
+      reportPath: path.join(resultsDir, 'comparison-report.json'),
+      markdownReportPath: path.join(resultsDir, 'comparison-report.md'),
+      heatmapPath: report.images.heatmap || null
+    };
+  }
+
+  /**
+   * 生成 composite.png、overlay.png 以及前 N 个差异区域的放大特写
+   * 返回的区域坐标同时给出比较像素与设计稿 px
+   */
+  async generateVisualizations({ resultsDir, comparisonResult, analysis, threshold, composite, overlay, swipe, padding }) {
+    const { images, pixelRatio } = comparisonResult;
+    const visualizer = new ComparisonVisualizer({ scale: pixelRatio });
+    const visualizationResult = {};
+
+    if (composite) {
+      visualizationResult.compositePath = path.join(resultsDir, 'composite.png');
+      await fs.writeFile(visualizationResult.compositePath, await this.createComposite(comparisonResult));
+      console.log(chalk.gray(`🖼️  Composite saved: ${visualizationResult.compositePath}`));
+    }
+
+    if (overlay) {
+      visualizationResult.overlayPath = path.join(resultsDir, 'overlay.png');
+      const overlayPng = visualizer.createOverlay(images.expectedPng, images.actualPng);
+      await fs.writeFile(visualizationResult.overlayPath, PNG.sync.write(overlayPng));
+      console.log(chalk.gray(`🧅 Overlay saved: ${visualizationResult.overlayPath}`));
+    }
+
+    if (swipe > 0) {
+      // 每次重新生成，避免残留上一次运行的特写
+      const swipeDir = path.join(resultsDir, 'swipe');
+      await fs.rm(swipeDir, { recursive: true, force: true });
+      await ensureDirectory(swipeDir);
+
+      const regions = this.getTopRegions({ images, analysis, threshold }).slice(0, swipe);
+      const { width, height } = images.expectedPng;
+      visualizationResult.swipe = [];
+
+      for (const [index, region] of regions.entries()) {
+        const rect = ComparisonVisualizer.padRect(region, Math.round(padding * pixelRatio), width, height);
+        const closeUp = await visualizer.createCloseUp(images, rect);
+        const closeUpPath = path.join(swipeDir, `region-${index + 1}.png`);
+        await fs.writeFile(closeUpPath, closeUp.buffer);
+
+        visualizationResult.swipe.push({
+          index: index + 1,
+          path: closeUpPath,
+          severity: region.severity,
+          type: region.type,
+          description: region.description,
+          region: { x: region.x, y: region.y, width: region.width, height: region.height },
+          design: this.toDesignRect(region, pixelRatio),
+          zoom: closeUp.zoom
+        });
+      }
+      console.log(chalk.gray(`🔎 ${regions.length} close-ups saved: ${swipeDir}`));
+    }
 
-  async normalizeImage(actualPath, expectedPath) {
+    return visualizationResult;
+  }
+
+  /**
+   * 按严重程度导出前 N 个差异区域的原尺寸裁剪图：regions/region-<n>-expected.png、-actual.png、-diff.png
+   */
+  async exportRegionCrops({ resultsDir, comparisonResult, analysis, threshold, count, padding }) {
+    const { images, pixelRatio } = comparisonResult;
+    const { width, height } = images.expectedPng;
+
+    // 每次重新生成，避免残留上一次运行的裁剪图
+    const regionsDir = path.join(resultsDir, 'regions');
+    await fs.rm(regionsDir, { recursive: true, force: true });
+    await ensureDirectory(regionsDir);
+
+    const regions = this.getTopRegions({ images, analysis, threshold }).slice(0, count);
+    const crops = [];
+
+    for (const [index, region] of regions.entries()) {
+      const rect = ComparisonVisualizer.padRect(region, Math.round(padding * pixelRatio), width, height);
+      const paths = {};
+
+      for (const [name, png] of [['expected', images.expectedPng], ['actual', images.actualPng], ['diff', images.diffPng]]) {
+        paths[name] = path.join(regionsDir, `region-${index + 1}-${name}.png`);
+        await fs.writeFile(paths[name], PNG.sync.write(ComparisonVisualizer.cropPng(png, rect)));
+      }
+
+      crops.push({
+        index: index + 1,
+        severity: region.severity,
+        type: region.type,
+        description: region.description,
+        pixelCount: region.pixelCount,
+        design: this.toDesignRect(region, pixelRatio),
+        crop: this.toDesignRect(rect, pixelRatio),
+        paths
+      });
+    }
+
+    console.log(chalk.gray(`✂️  ${crops.length} region crops saved: ${regionsDir}`));
+    return crops;
+  }
+
+  /**
+   * 把前 10 个差异区域关联到与之重叠的页面元素和 Figma 节点，编号与 regionCrops、swipe 一致
+   */
+  attributeRegions({ comparisonResult, analysis, threshold, domMap = null, figmaNodes = null }) {
+    const { images, pixelRatio } = comparisonResult;
+
+    return this.getTopRegions({ images, analysis, threshold }).slice(0, 10).map((region, index) => {
+      const design = this.toDesignRect(region, pixelRatio);
+      const entry = {
+        index: index + 1,
+        severity: region.severity,
+        type: region.type,
+        design
+      };
+
+      if (domMap) {
+        entry.elements = domMap.findOverlapping(design);
+        entry.summary = DomMap.describe(index + 1, entry.elements);
+      }
+
+      if (figmaNodes) {
+        entry.figmaNodes = figmaNodes.findOverlapping(design);
+        entry.figmaSummary = FigmaNodeMap.describe(index + 1, entry.figmaNodes);
+      }
+
+      return entry;
+    });
+  }
+
+  /**
+   * 带标签的 期望 | 实际 | 差异 拼图
+   */
+  async createComposite(comparisonResult) {
+    const { images, pixelRatio } = comparisonResult;
+    const visualizer = new ComparisonVisualizer({ scale: pixelRatio });
+
+    return visualizer.createComposite([
+      { label: 'Expected', png: images.expectedPng },
+      { label: 'Actual', png: images.actualPng },
+      { label: 'Diff', png: images.diffPng }
+    ]);
+  }
+
+  /**
+   * 按严重程度排序的差异区域；完整分析时直接复用分析结果
+   */
+  getTopRegions({ images, analysis, threshold }) {
+    if (analysis) {
+      return analysis.regions;
+    }
+
+    const analyzer = new ComparisonAnalyzer(this.getPixelmatchOptions(threshold));
+    return analyzer.identifyDiffRegions(images.expectedPng, images.actualPng, images.diffPng);
+  }
+
+  /**
+   * 统计质量门禁需要的区域数据：设计稿 px² 面积与差异像素的平均 ΔE00
+   */
+  measureRegions({ comparisonResult, analysis, threshold }) {
+    const { images, pixelRatio } = comparisonResult;
+    const analyzer = new ComparisonAnalyzer(this.getPixelmatchOptions(threshold));
+    const metrics = new ImageMetrics();
+    const isDiffPixel = idx => analyzer.isDiffPixel(images.diffPng.data, idx);
+
+    return this.getTopRegions({ images, analysis, threshold }).map((region, index) => {
+      const design = this.toDesignRect(region, pixelRatio);
+      return {
+        index: index + 1,
+        design,
+        area: design.width * design.height,
+        colorDelta: metrics.computeRegionDeltaE(images.expectedPng, images.actualPng, region, isDiffPixel)
+      };
+    });
+  }
+
+  /**
+   * 比较像素矩形换算为设计稿 px
+   */
+  toDesignRect({ x, y, width, height }, pixelRatio) {
+    const round = value => Number((value / pixelRatio).toFixed(2));
+    return { x: round(x), y: round(y), width: round(width), height: round(height) };
+  }
+
+  /**
+   * 生成返回给客户端的图片内容块
+   * 热力图只在 full 分析时生成，其余情况跳过
+   */
+  async buildImageContent({ comparisonResult, analysis, imageTypes, maxDimension }) {
+    const imageContent = [];
+
+    if (imageTypes.includes('diff')) {
+      imageContent.push(await createImageContent(comparisonResult.paths.diff, {
+        label: 'diff.png (red: differences, orange: actual darker, yellow: anti-aliasing)',
+        maxDimension
+      }));
+    }
+
+    if (imageTypes.includes('composite')) {
+      const composite = await this.createComposite(comparisonResult);
+      imageContent.push(await createImageContent(composite, {
+        label: 'expected | actual | diff',
+        maxDimension
+      }));
+    }
+
+    if (imageTypes.includes('heatmap') && analysis && analysis.heatmapPath) {
+      imageContent.push(await createImageContent(analysis.heatmapPath, {
+        label: 'heatmap.png (difference density)',
+        maxDimension
+      }));
+    }
+
+    return imageContent;
+  }
+
+  /**
+   * 从 snapdom_screenshot 保存的 actual.ignore.json（交互状态为 actual.<state>.ignore.json）中读取选择器对应的区域（设计稿 px）
+   * @returns {Promise<{regions: Array, unresolved: Array<string>}>}
+   */
+  async resolveIgnoreSelectors(resultsDir, selectors, ignoreFile = 'actual.ignore.json') {
+    if (selectors.length === 0) {
+      return { regions: [], unresolved: [] };
+    }
+
+    const ignoreFilePath = path.join(resultsDir, ignoreFile);
+    let stored;
+    try {
+      stored = JSON.parse(await fs.readFile(ignoreFilePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Ignore boxes not found: ${ignoreFilePath}\n\nPlease take the screenshot again with the same ignoreSelectors so their boxes are recorded.`);
+    }
+
+    const regions = [];
+    const unresolved = [];
+    selectors.forEach(selector => {
+      const boxes = stored.selectors && stored.selectors[selector];
+      if (!boxes || boxes.length === 0) {
+        unresolved.push(selector);
+        return;
+      }
+      regions.push(...boxes);
+    });
+
+    return { regions, unresolved };
+  }
+
+  /**
+   * 将期望图片与实际截图统一到相同尺寸
+   * 只在内存中处理，不会改写 expected.png / actual.png，重复对比也不会叠加重采样误差
+   * captureScale 为截图的 deviceScaleFactor，设计稿按 1x 导出时放大到截图尺寸
+   * @returns {Promise<{expectedPng: PNG, actualPng: PNG, pixelRatio: number, normalization: Object}>}
+   */
+  async normalizeImages(expectedPath, actualPath, { aspectRatioTolerance = DEFAULT_ASPECT_RATIO_TOLERANCE, captureScale = CAPTURE_SCALE } = {}) {
     // Get both image metadata
     const expectedMeta = await sharp(expectedPath).metadata();
     const actualMeta = await sharp(actualPath).metadata();
@@ -211,10 +1334,37 @@ export class FigmaCompareTool {
     console.log(chalk.gray(`   Expected: ${expectedMeta.width} × ${expectedMeta.height} pixels`));
     console.log(chalk.gray(`   Actual: ${actualMeta.width} × ${actualMeta.height} pixels`));
 
+    const normalization = {
+      applied: false,
+      resized: null,
+      scale: { x: 1, y: 1 },
+      kernel: null,
+      expectedSize: { width: expectedMeta.width, height: expectedMeta.height },
+      actualSize: { width: actualMeta.width, height: actualMeta.height }
+    };
+
     // Check if images are already the same size
     if (expectedMeta.width === actualMeta.width && expectedMeta.height === actualMeta.height) {
       console.log(chalk.green('✅ Images are already the same size, no normalization needed'));
-      return;
+      return {
+        expectedPng: await this.readPng(sharp(expectedPath)),
+        actualPng: await this.readPng(sharp(actualPath)),
+        pixelRatio: captureScale,
+        normalization
+      };
+    }
+
+    // 宽高比差异过大说明截图范围与设计稿不一致，拉伸只会制造虚假的差异
+    const expectedAspectRatio = expectedMeta.width / expectedMeta.height;
+    const actualAspectRatio = actualMeta.width / actualMeta.height;
+    const aspectRatioDelta = Math.abs(actualAspectRatio - expectedAspectRatio) / expectedAspectRatio;
+    if (aspectRatioDelta > aspectRatioTolerance) {
+      throw new Error(
+        `Aspect ratio mismatch: expected ${expectedMeta.width}×${expectedMeta.height} (${expectedAspectRatio.toFixed(4)}), ` +
+        `actual ${actualMeta.width}×${actualMeta.height} (${actualAspectRatio.toFixed(4)}), ` +
+        `difference ${(aspectRatioDelta * 100).toFixed(2)}% exceeds tolerance ${(aspectRatioTolerance * 100).toFixed(2)}%. ` +
+        'Check the screenshot selector and the exported Figma frame instead of stretching the images.'
+      );
     }
 
     // Calculate scale factors
@@ -226,34 +1376,56 @@ export class FigmaCompareTool {
 
     // For 3x scale images, we should resize the expected image to match actual size
     // This preserves the high-resolution actual screenshot for accurate comparison
-    if (Math.abs(scaleX - 3) < 0.1 && Math.abs(scaleY - 3) < 0.1) {
-      console.log(chalk.blue('🔄 Detected 3x scale difference, upscaling expected image...'));
-      await sharp(expectedPath)
-        .resize(actualMeta.width, actualMeta.height, {
+    if (Math.abs(scaleX - captureScale) < 0.1 && Math.abs(scaleY - captureScale) < 0.1) {
+      console.log(chalk.blue(`🔄 Detected ${captureScale}x scale difference, upscaling expected image in memory...`));
+      const expectedPng = await this.readPng(
+        sharp(expectedPath).resize(actualMeta.width, actualMeta.height, {
           fit: 'fill',
           kernel: sharp.kernel.nearest // Use nearest neighbor to preserve pixel accuracy
         })
-        .ensureAlpha()
-        .png()
-        .toFile(expectedPath + '.tmp');
-
-      await fs.rename(expectedPath + '.tmp', expectedPath);
-      console.log(chalk.green('✅ Expected image upscaled to match actual 3x resolution'));
-    } else {
-      // For other cases, resize actual to match expected
-      console.log(chalk.blue('🔄 Resizing actual image to match expected size...'));
-      await sharp(actualPath)
-        .resize(expectedMeta.width, expectedMeta.height, { fit: 'fill' })
-        .ensureAlpha()
-        .png()
-        .toFile(actualPath + '.tmp');
-
-      await fs.rename(actualPath + '.tmp', actualPath);
-      console.log(chalk.green('✅ Actual image resized to match expected size'));
-    }
-  }
+      );
 
+      console.log(chalk.green(`✅ Expected image upscaled to match actual ${captureScale}x resolution (expected.png unchanged)`));
+      return {
+        expectedPng,
+        actualPng: await this.readPng(sharp(actualPath)),
+        pixelRatio: captureScale,
+        normalization: {
+          ...normalization,
+          applied: true,
+          resized: 'expected',
+          scale: { x: scaleX, y: scaleY },
+          kernel: sharp.kernel.nearest
+        }
+      };
+    }
 
+    // For other cases, resize actual to match expected
+    console.log(chalk.blue('🔄 Resizing actual image to match expected size in memory...'));
+    const actualPng = await this.readPng(
+      sharp(actualPath).resize(expectedMeta.width, expectedMeta.height, {
+        fit: 'fill',
+        kernel: sharp.kernel.lanczos3
+      })
+    );
 
+    console.log(chalk.green('✅ Actual image resized to match expected size (actual.png unchanged)'));
+    return {
+      expectedPng: await this.readPng(sharp(expectedPath)),
+      actualPng,
+      // 截图被缩放到设计稿尺寸后，每个设计稿 px 对应的比较像素随之变化
+      pixelRatio: captureScale * expectedMeta.width / actualMeta.width,
+      normalization: {
+        ...normalization,
+        applied: true,
+        resized: 'actual',
+        scale: { x: 1 / scaleX, y: 1 / scaleY },
+        kernel: sharp.kernel.lanczos3
+      }
+    };
+  }
 
+  async readPng(image) {
+    return PNG.sync.read(await image.ensureAlpha().png().toBuffer());
+  }
 }
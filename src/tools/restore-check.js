@@ -0,0 +1,322 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { ensureDirectory } from '../utils/path-config.js';
+import { SUPPORTED_METRICS } from '../utils/image-metrics.js';
+import { createImageContent } from '../utils/image-content.js';
+import { resolveFixture, fixtureResultsDir } from '../utils/component-fixtures.js';
+import { SnapDOMScreenshotTool } from './snapdom-screenshot.js';
+import { FigmaCompareTool } from './figma-compare.js';
+
+// 迭代记录文件，保存在组件 results 目录中
+const ITERATION_FILE = 'restore-check.json';
+
+// 迭代记录中保留的最近运行次数
+const MAX_ITERATION_HISTORY = 50;
+
+export class RestoreCheckTool {
+  constructor() {
+    this.description = 'Screenshot the component from the dev server, compare it with expected.png and return score, top diff regions, an embedded diff thumbnail and the score change since the previous run in one call';
+    this.inputSchema = {
+      type: 'object',
+      properties: {
+        componentName: {
+          type: 'string',
+          description: 'Name of the component to check'
+        },
+        projectPath: {
+          type: 'string',
+          description: 'Path to the Vue project (required)'
+        },
+        selector: {
+          type: 'string',
+          description: 'Custom CSS selector to screenshot (optional)'
+        },
+        fixture: {
+          type: 'string',
+          description: 'Fixture from the component fixtures.json / fixtures.js; screenshot, comparison and iterations use results/fixtures/<id>/ (see snapdom_screenshot)'
+        },
+        viewport: {
+          type: 'object',
+          properties: {
+            width: { type: 'number', default: 1440 },
+            height: { type: 'number', default: 800 }
+          },
+          description: 'Viewport size for screenshot'
+        },
+        devServer: {
+          type: 'object',
+          description: 'Dev server options { port, autoStart, url } (see snapdom_screenshot)'
+        },
+        threshold: {
+          type: 'number',
+          default: 0.1,
+          description: 'Comparison threshold (0-1, lower is more strict)'
+        },
+        metric: {
+          type: 'string',
+          enum: SUPPORTED_METRICS,
+          default: 'pixelmatch',
+          description: 'Metric that drives pass/fail (see figma_compare)'
+        },
+        alignment: {
+          type: 'object',
+          description: 'Alignment options (see figma_compare)'
+        },
+        ignoreSelectors: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'CSS selectors of dynamic content excluded from scoring'
+        },
+        ignoreRegions: {
+          type: 'array',
+          items: { type: 'object' },
+          description: 'Rectangles in design px excluded from scoring (see figma_compare)'
+        },
+        focusRegions: {
+          type: 'array',
+          items: { type: 'object' },
+          description: 'Rectangles in design px; when set, only these areas are scored (see figma_compare)'
+        },
+        figmaNodePath: {
+          type: 'string',
+          description: 'Path to a locally saved Figma node JSON used to label diff regions with design nodes (see figma_compare)'
+        },
+        figmaNodeId: {
+          type: 'string',
+          description: 'Node in figmaNodePath that expected.png was exported from (optional)'
+        },
+        topRegions: {
+          type: 'number',
+          default: 5,
+          description: 'Number of diff regions returned, most severe first'
+        },
+        thumbnailSize: {
+          type: 'number',
+          default: 240,
+          description: 'Maximum width/height in px of the embedded diff thumbnail (0 disables it)'
+        }
+      },
+      required: ['componentName', 'projectPath']
+    };
+  }
+
+  async execute(args) {
+    if (!args.componentName) {
+      throw new Error('❌ 参数错误: componentName 是必传参数，请提供组件名称');
+    }
+
+    if (!args.projectPath) {
+      throw new Error('❌ 参数错误: projectPath 是必传参数，请提供项目路径');
+    }
+
+    try {
+      await fs.access(args.projectPath);
+    } catch (error) {
+      throw new Error(`❌ 项目路径不存在: ${args.projectPath}`);
+    }
+
+    // 之后会创建 results 目录，组件名拼错时不能在错误的位置生成目录
+    const componentDir = path.join(args.projectPath, 'src', 'components', args.componentName);
+    try {
+      await fs.access(componentDir);
+    } catch (error) {
+      throw new Error(`❌ 组件目录不存在: ${componentDir}`);
+    }
+
+    const {
+      componentName,
+      projectPath,
+      selector,
+      fixture,
+      viewport,
+      devServer,
+      threshold = 0.1,
+      metric = 'pixelmatch',
+      alignment,
+      ignoreSelectors = [],
+      ignoreRegions = [],
+      focusRegions = [],
+      figmaNodePath,
+      figmaNodeId,
+      topRegions = 5,
+      thumbnailSize = 240
+    } = args;
+
+    if (!Number.isInteger(topRegions) || topRegions < 0) {
+      throw new Error(`❌ 参数错误: topRegions 必须是非负整数，收到: ${topRegions}`);
+    }
+
+    if (!Number.isFinite(thumbnailSize) || thumbnailSize < 0) {
+      throw new Error(`❌ 参数错误: thumbnailSize 必须是非负数，收到: ${thumbnailSize}`);
+    }
+
+    console.log(chalk.cyan('🔁 Restore Check'));
+    console.log(chalk.cyan(`Component: ${componentName}`));
+    console.log(chalk.gray('='.repeat(50)));
+
+    if (fixture !== undefined) {
+      await resolveFixture(projectPath, componentName, fixture);
+    }
+
+    // 截图与对比共用同一个 results 目录，避免两次调用路径不一致
+    const resultsDir = fixtureResultsDir(path.join(projectPath, 'src', 'components', componentName, 'results'), fixture);
+    await ensureDirectory(resultsDir);
+
+    const screenshot = await new SnapDOMScreenshotTool().execute({
+      componentName,
+      projectPath,
+      outputPath: path.join(resultsDir, 'actual.png'),
+      viewport,
+      devServer,
+      selector,
+      fixture,
+      ignoreSelectors,
+      domMap: true
+    });
+
+    if (!screenshot.success) {
+      return {
+        success: false,
+        stage: 'screenshot',
+        componentName,
+        error: screenshot.error,
+        solutions: screenshot.solutions
+      };
+    }
+
+    const comparison = await new FigmaCompareTool().execute({
+      componentName,
+      projectPath,
+      fixture,
+      threshold,
+      metric,
+      alignment,
+      ignoreSelectors,
+      ignoreRegions,
+      focusRegions,
+      figmaNodePath,
+      figmaNodeId,
+      analysisLevel: 'full'
+    });
+
+    if (!comparison.success) {
+      return {
+        success: false,
+        stage: 'compare',
+        componentName,
+        error: comparison.error,
+        screenshotPath: screenshot.screenshot.path
+      };
+    }
+
+    const iteration = await this.recordIteration(resultsDir, comparison);
+    if (iteration.delta === null) {
+      console.log(chalk.blue(`🔢 Iteration ${iteration.iteration}`));
+    } else {
+      const color = iteration.delta >= 0 ? chalk.green : chalk.red;
+      console.log(color(`🔢 Iteration ${iteration.iteration}: ${iteration.delta >= 0 ? '+' : ''}${iteration.delta.toFixed(2)} vs previous run`));
+    }
+
+    const result = {
+      success: true,
+      componentName,
+      fixture: fixture || null,
+      score: comparison.score,
+      metric: comparison.metric,
+      passed: comparison.passed,
+      gate: comparison.gate,
+      matchPercentage: comparison.matchPercentage,
+      iteration,
+      topRegions: this.summarizeRegions(comparison, topRegions),
+      suggestions: comparison.analysis.suggestions,
+      paths: {
+        actual: screenshot.screenshot.path,
+        diff: comparison.diffImagePath,
+        report: comparison.analysis.markdownReportPath,
+        comparisonData: comparison.comparisonDataPath
+      }
+    };
+
+    if (comparison.alignment) {
+      result.alignment = comparison.alignment;
+    }
+
+    if (comparison.attribution) {
+      result.attribution = comparison.attribution.slice(0, topRegions);
+    }
+
+    // 缩略图作为 MCP 图片内容返回
+    if (thumbnailSize > 0) {
+      result.imageContent = [
+        await createImageContent(comparison.diffImagePath, {
+          label: 'diff.png thumbnail',
+          maxDimension: thumbnailSize
+        })
+      ];
+    }
+
+    return result;
+  }
+
+  /**
+   * 取最严重的若干差异区域，并附上设计稿 px 坐标
+   */
+  summarizeRegions(comparison, limit) {
+    const { pixelRatio } = comparison;
+
+    return comparison.analysis.regions.slice(0, limit).map(region => ({
+      severity: region.severity,
+      type: region.type,
+      description: region.description,
+      pixelCount: region.pixelCount,
+      design: {
+        x: Math.round(region.x / pixelRatio),
+        y: Math.round(region.y / pixelRatio),
+        width: Math.round(region.width / pixelRatio),
+        height: Math.round(region.height / pixelRatio)
+      },
+      offset: region.offset
+    }));
+  }
+
+  /**
+   * 更新迭代计数，并计算与上一次运行的得分差
+   * 指标不同时得分不可比较，delta 为 null
+   */
+  async recordIteration(resultsDir, comparison) {
+    const iterationPath = path.join(resultsDir, ITERATION_FILE);
+
+    let state = { iteration: 0, runs: [] };
+    try {
+      state = JSON.parse(await fs.readFile(iterationPath, 'utf8'));
+    } catch (error) {
+      // 第一次运行
+    }
+
+    const previous = state.runs[state.runs.length - 1] || null;
+    const run = {
+      iteration: state.iteration + 1,
+      score: comparison.score,
+      metric: comparison.metric,
+      matchPercentage: comparison.matchPercentage,
+      passed: comparison.passed,
+      timestamp: new Date().toISOString()
+    };
+
+    state = {
+      iteration: run.iteration,
+      runs: [...state.runs, run].slice(-MAX_ITERATION_HISTORY)
+    };
+    await fs.writeFile(iterationPath, JSON.stringify(state, null, 2));
+
+    const comparable = previous && previous.metric === run.metric;
+    return {
+      iteration: run.iteration,
+      previousScore: comparable ? previous.score : null,
+      delta: comparable ? run.score - previous.score : null,
+      improved: comparable ? run.score > previous.score : null,
+      recordPath: iterationPath
+    };
+  }
+}
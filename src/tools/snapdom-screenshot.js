@@ -1,8 +1,18 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { createRequire } from 'module';
 import chalk from 'chalk';
 import { ensureDirectory } from '../utils/path-config.js';
 import { puppeteerManager } from '../utils/puppeteer-manager.js';
+import { createImageContent, DEFAULT_IMAGE_MAX_DIMENSION } from '../utils/image-content.js';
+import { DomMap } from '../utils/dom-map.js';
+import { InteractionStates, STATE_ACTIONS } from '../utils/interaction-states.js';
+import { ViewportMatrix, VIEWPORTS_FILE, DEFAULT_VIEWPORT_SCALE } from '../utils/viewport-matrix.js';
+import { resolveFixture, fixtureResultsDir, FIXTURES_DIR } from '../utils/component-fixtures.js';
+import { DevServer, DevServerError, DEFAULT_DEV_SERVER_PORT } from '../utils/dev-server.js';
+import { RenderReadiness, DEFAULT_READINESS, ANIMATION_MODES } from '../utils/render-readiness.js';
+import { DeterministicRendering, DEFAULT_DETERMINISTIC } from '../utils/deterministic-rendering.js';
+import { CaptureStability, STABILITY_INTERVAL, MAX_STABILITY_CAPTURES } from '../utils/capture-stability.js';
 import {
   PuppeteerLaunchError,
   NetworkError,
@@ -11,6 +21,15 @@ import {
   MemoryError
 } from '../utils/puppeteer-errors.js';
 
+// 截图方式：puppeteer 使用 element.screenshot，snapdom 在页面中注入 @zumer/snapdom 渲染
+const CAPTURE_METHODS = ['puppeteer', 'snapdom'];
+
+// 注入页面的 snapDOM 浏览器构建（挂载为 window.snapdom）
+const SNAPDOM_SCRIPT_PATH = createRequire(import.meta.url).resolve('@zumer/snapdom');
+
+// snapDOM 截图的超时时间（毫秒），embedFonts 需要下载并内联字体
+const SNAPDOM_CAPTURE_TIMEOUT = 15000;
+
 export class SnapDOMScreenshotTool {
   constructor() {
     this.description = 'Take high-quality 3x scale screenshots using snapDOM technology for precise DOM-to-image capture';
@@ -35,6 +54,26 @@ export class SnapDOMScreenshotTool {
           },
           description: 'Viewport size for screenshot'
         },
+        viewports: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Viewport name used in file names: actual.<name>.png' },
+              width: { type: 'number' },
+              height: { type: 'number' },
+              scale: { type: 'number', default: DEFAULT_VIEWPORT_SCALE, description: 'deviceScaleFactor for this viewport' }
+            },
+            required: ['name', 'width', 'height']
+          },
+          description: `Extra viewports captured in the same call after the default viewport, e.g. mobile/tablet/desktop. Each is saved as actual.<name>.png (states as actual.<name>.<state>.png) and its size and scale are recorded in ${VIEWPORTS_FILE} for figma_compare viewport: "<name>"`
+        },
+        method: {
+          type: 'string',
+          enum: CAPTURE_METHODS,
+          default: 'puppeteer',
+          description: 'puppeteer: Chrome element screenshot; snapdom: inject @zumer/snapdom into the page and capture the target with snapDOMOptions (compress, fast, embedFonts, backgroundColor, width, height), so embedded fonts and fixed output sizes take effect'
+        },
         snapDOMOptions: {
           type: 'object',
           properties: {
@@ -42,10 +81,10 @@ export class SnapDOMScreenshotTool {
             fast: { type: 'boolean', default: false },
             embedFonts: { type: 'boolean', default: true },
             backgroundColor: { type: 'string', default: 'transparent' },
-            width: { type: 'number', description: 'Fixed width for output' },
-            height: { type: 'number', description: 'Fixed height for output' }
+            width: { type: 'number', description: 'Fixed width for output in CSS px (method snapdom; multiplied by the capture scale)' },
+            height: { type: 'number', description: 'Fixed height for output in CSS px (method snapdom; multiplied by the capture scale)' }
           },
-          description: 'snapDOM capture options for high-quality screenshots'
+          description: 'snapDOM capture options for high-quality screenshots; with method puppeteer only backgroundColor is used (transparent omits the page background)'
         },
         outputPath: {
           type: 'string',
@@ -54,6 +93,91 @@ export class SnapDOMScreenshotTool {
         selector: {
           type: 'string',
           description: 'Custom CSS selector to screenshot (optional)'
+        },
+        ignoreSelectors: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'CSS selectors of dynamic content (timestamps, avatars...) whose boxes are recorded in actual.ignore.json for figma_compare ignoreSelectors'
+        },
+        fixture: {
+          type: 'string',
+          description: `Named props/slots set from the component's fixtures.json (or fixtures.js), rendered via /component/<name>?fixture=<id>. Unless outputPath is a file, the screenshot is saved to results/${FIXTURES_DIR}/<id>/actual.png`
+        },
+        states: {
+          type: 'array',
+          items: {
+            oneOf: [
+              { type: 'string', description: `Built-in state: ${STATE_ACTIONS.slice(0, 4).join(', ')}` },
+              {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', description: 'State name used in file names: actual.<name>.png' },
+                  action: { type: 'string', enum: STATE_ACTIONS, description: 'Defaults to name for built-in states, props when only props are given' },
+                  selector: { type: 'string', description: 'Element to hover, focus or press (defaults to the screenshot selector)' },
+                  props: { type: 'object', description: 'Props passed to the component through the ?props= query string of the component page' }
+                },
+                required: ['name']
+              }
+            ]
+          },
+          description: 'Interaction states captured after the default render, each saved as actual.<state>.png (with its own dom-map / ignore boxes) for figma_compare state: "<state>" against expected.<state>.png. hover and active move the mouse, focus focuses the first focusable element, disabled renders with the disabled prop'
+        },
+        devServer: {
+          type: 'object',
+          properties: {
+            port: { type: 'number', default: DEFAULT_DEV_SERVER_PORT, description: 'Port of the Vue dev server' },
+            autoStart: { type: 'boolean', default: true, description: 'Start Vite in projectPath when nothing answers on the port' },
+            url: { type: 'string', description: 'Base URL of an already running dev server, e.g. http://192.168.1.10:5173 (port is taken from the URL)' }
+          },
+          description: 'Dev server that serves /component/<name>. It is probed before the screenshot; if nothing answers and autoStart is on, Vite is started in projectPath (PID and lock tracked in .vscode/) and reused by later calls'
+        },
+        readiness: {
+          type: 'object',
+          properties: {
+            networkIdle: { type: 'boolean', default: DEFAULT_READINESS.networkIdle, description: 'Wait until no request has been made for 300ms' },
+            fonts: { type: 'boolean', default: DEFAULT_READINESS.fonts, description: 'Wait for document.fonts.ready' },
+            images: { type: 'boolean', default: DEFAULT_READINESS.images, description: 'Wait until every <img> is loaded and decoded (lazy images are loaded eagerly)' },
+            animations: { type: 'string', enum: ANIMATION_MODES, default: DEFAULT_READINESS.animations, description: 'wait for finite CSS animations/transitions to finish, disable them, or ignore them' },
+            stableFrames: { type: 'number', default: DEFAULT_READINESS.stableFrames, description: 'Number of consecutive identical frames of the target required before capturing (0 or 1 disables the check)' },
+            timeout: { type: 'number', default: DEFAULT_READINESS.timeout, description: 'Max wait per condition in ms; a condition that times out is reported but does not abort the capture' }
+          },
+          description: 'Conditions waited for after the page loads and before every capture. The time each condition took is reported in screenshot.readiness'
+        },
+        deterministic: {
+          oneOf: [
+            { type: 'boolean' },
+            {
+              type: 'object',
+              properties: {
+                seed: { type: 'number', default: DEFAULT_DETERMINISTIC.seed, description: 'Seed of the Math.random replacement' },
+                now: { type: 'string', default: DEFAULT_DETERMINISTIC.now, description: 'Time returned by Date.now() and new Date()' },
+                timezone: { type: 'string', default: DEFAULT_DETERMINISTIC.timezone },
+                locale: { type: 'string', default: DEFAULT_DETERMINISTIC.locale }
+              }
+            }
+          ],
+          default: false,
+          description: 'Render deterministically so repeated captures give identical pixels: disables animations, transitions and the text caret, freezes Date and seeds Math.random, fixes timezone and locale and forces consistent font smoothing'
+        },
+        verifyStability: {
+          type: 'number',
+          default: 0,
+          description: `Take this many extra captures (2-${MAX_STABILITY_CAPTURES}) of the default render in the same page and compare them pixel by pixel. Reports whether the render is stable and saves a noise-floor map of the pixels that changed (actual.noise.png, actual.stability.json) for figma_compare subtractNoise. 0 disables the check`
+        },
+        domMap: {
+          type: 'boolean',
+          default: false,
+          description: 'Also save dom-map.json beside the screenshot (element path, classes, bounding box in capture px, key computed styles) so figma_compare can attribute diff regions to elements'
+        },
+        returnImages: {
+          type: 'boolean',
+          default: false,
+          description: 'Also return the screenshot as MCP image content (base64 PNG) so vision-capable clients can inspect it directly'
+        },
+        imageMaxDimension: {
+          type: 'number',
+          default: DEFAULT_IMAGE_MAX_DIMENSION,
+          description: 'Returned image is downscaled so that neither side exceeds this many px'
         }
       },
       required: ['componentName', 'projectPath', 'outputPath']
@@ -108,16 +232,40 @@ export class SnapDOMScreenshotTool {
       componentName,
       projectPath,
       viewport = { width: 1440, height: 800 },
-      snapDOMOptions = {
-        compress: true,
-        fast: false,
-        embedFonts: true,
-        backgroundColor: 'transparent'
-      },
+      method = 'puppeteer',
       outputPath,
-      selector
+      selector,
+      ignoreSelectors = [],
+      domMap = false,
+      returnImages = false,
+      imageMaxDimension = DEFAULT_IMAGE_MAX_DIMENSION
     } = args;
 
+    if (!CAPTURE_METHODS.includes(method)) {
+      throw new Error(`❌ 参数错误: method 只支持 ${CAPTURE_METHODS.join(' / ')}，收到: ${method}`);
+    }
+
+    // 只传部分 snapDOMOptions 时其余项保持默认值
+    const snapDOMOptions = {
+      compress: true,
+      fast: false,
+      embedFonts: true,
+      backgroundColor: 'transparent',
+      ...args.snapDOMOptions
+    };
+
+    const states = InteractionStates.normalize(args.states);
+    const viewports = ViewportMatrix.normalize(args.viewports);
+    const clash = viewports.find(entry => states.some(state => state.name === entry.name));
+    if (clash) {
+      throw new Error(`❌ 参数错误: 视口名与状态名重复: ${clash.name}`);
+    }
+    const fixture = args.fixture !== undefined ? await resolveFixture(projectPath, componentName, args.fixture) : null;
+    const devServer = DevServer.normalize(args.devServer);
+    const readiness = RenderReadiness.normalize(args.readiness);
+    const deterministic = DeterministicRendering.normalize(args.deterministic);
+    const verifyStability = CaptureStability.normalize(args.verifyStability);
+
     try {
       console.log(chalk.cyan('📸 snapDOM Screenshot Tool'));
       console.log(chalk.cyan(`Component: ${componentName}`));
@@ -139,40 +287,80 @@ export class SnapDOMScreenshotTool {
       } else {
         resultsDir = path.join(projectPath, 'src', 'components', componentName, 'results');
       }
+
+      // 每个 fixture 的结果保存在各自的子目录中；outputPath 直接指定文件时按原路径保存
+      const screenshotFile = outputPath && (outputPath.endsWith('.png') || outputPath.endsWith('.jpg') || outputPath.endsWith('.jpeg')) ? outputPath : null;
+      if (fixture) {
+        console.log(chalk.cyan(`Fixture: ${fixture.id}`));
+        if (fixture.warning) console.log(chalk.yellow(`⚠️  ${fixture.warning}`));
+        if (!screenshotFile) resultsDir = fixtureResultsDir(resultsDir, fixture.id);
+      }
       await ensureDirectory(resultsDir);
 
       // Ensure Vue dev server is running
-      const port = 1932;
-      console.log(chalk.blue('🚀 Checking Vue dev server...'));
-      await this.ensureDevServerRunning(port);
+      const server = await this.ensureDevServerRunning(projectPath, devServer);
 
       const screenshotResult = await this.takeSnapDOMScreenshot({
         componentName,
-        port,
+        baseUrl: server.url,
         viewport,
         snapDOMOptions: { ...snapDOMOptions, scale: 3 },
+        method,
         resultsDir,
-        outputPath: outputPath && (outputPath.endsWith('.png') || outputPath.endsWith('.jpg') || outputPath.endsWith('.jpeg')) ? outputPath : null,
-        selector
+        outputPath: screenshotFile,
+        selector,
+        fixture: fixture ? fixture.id : null,
+        readiness,
+        deterministic,
+        verifyStability,
+        ignoreSelectors,
+        domMap,
+        states,
+        viewports
       });
 
       console.log(chalk.green('✅ snapDOM screenshot completed successfully!'));
 
-      return {
+      const result = {
         success: true,
         componentName,
+        fixture: fixture ? fixture.id : null,
+        devServer: server,
         screenshot: screenshotResult,
         summary: {
-          method: 'snapDOM',
+          method: screenshotResult.method,
           quality: 'high',
           outputPath: screenshotResult.path,
-          features: screenshotResult.features
+          features: screenshotResult.features,
+          readinessMs: screenshotResult.readiness.totalMs,
+          stable: screenshotResult.stability ? screenshotResult.stability.stable : null,
+          states: screenshotResult.states.map(state => ({ name: state.name, outputPath: state.path })),
+          viewports: screenshotResult.viewports.map(entry => ({
+            name: entry.name,
+            outputPath: entry.path,
+            states: entry.states.map(state => ({ name: state.name, outputPath: state.path }))
+          }))
         }
       };
 
+      if (returnImages) {
+        result.imageContent = [];
+        const captures = [screenshotResult, ...screenshotResult.viewports]
+          .flatMap(capture => [capture, ...capture.states].map(item => ({ path: item.path, scale: capture.scale })));
+        for (const capture of captures) {
+          result.imageContent.push(await createImageContent(capture.path, {
+            label: `${path.basename(capture.path)} (${capture.scale}x capture)`,
+            maxDimension: imageMaxDimension
+          }));
+        }
+      }
+
+      return result;
+
     } catch (error) {
       // 处理不同类型的错误并提供具体解决方案
       if (error instanceof PuppeteerLaunchError ||
+        error instanceof DevServerError ||
         error instanceof NetworkError ||
         error instanceof PermissionError ||
         error instanceof TimeoutError ||
@@ -202,49 +390,42 @@ export class SnapDOMScreenshotTool {
     }
   }
 
-  async ensureDevServerRunning(port) {
-    // Skip server check and assume server is running
-    console.log(chalk.green(`✅ Assuming Vue dev server is running on port ${port}`));
-    return true;
+  /**
+   * 探测开发服务器，没有响应时按 devServer.autoStart 启动 Vite
+   * @param {string} projectPath - Vue 项目路径
+   * @param {Object} devServer - DevServer.normalize 之后的参数
+   * @returns {Promise<{url: string, port: number, status: string, pid: number|null, logPath: string|null}>}
+   */
+  async ensureDevServerRunning(projectPath, devServer) {
+    console.log(chalk.blue(`🚀 Checking Vue dev server: ${devServer.url}`));
+    const server = await DevServer.ensure(projectPath, devServer);
+
+    if (server.status === 'started') {
+      console.log(chalk.green(`✅ Started Vue dev server on port ${server.port} (PID ${server.pid}), log: ${server.logPath}`));
+    } else if (server.status === 'reused') {
+      console.log(chalk.green(`✅ Reusing Vue dev server on port ${server.port} (PID ${server.pid})`));
+    } else {
+      console.log(chalk.green(`✅ Vue dev server is running: ${server.url}`));
+    }
+    return server;
   }
 
 
 
-  async takeSnapDOMScreenshot({ componentName, port, viewport, snapDOMOptions, resultsDir, outputPath, selector }) {
+  async takeSnapDOMScreenshot({ componentName, baseUrl, viewport, snapDOMOptions, method = 'puppeteer', resultsDir, outputPath, selector, fixture = null, readiness = DEFAULT_READINESS, deterministic = null, verifyStability = 0, ignoreSelectors = [], domMap = false, states = [], viewports = [] }) {
     console.log(chalk.gray(`📸 Starting simple screenshot...`));
 
     // 使用页面池管理获取页面实例
     const page = await puppeteerManager.getPage();
+    let restorePage = null;
 
     try {
-      // Set viewport with 3x scale factor for high-resolution screenshots
-      await page.setViewport({
-        width: viewport.width,
-        height: viewport.height,
-        deviceScaleFactor: 3
-      });
-
-      // Navigate to component
-      let url = `http://localhost:${port}/component/${componentName}`;
-      console.log(chalk.gray(`📍 Navigating to: ${url}`));
-
-      await page.goto(url, {
-        waitUntil: 'domcontentloaded',
-        timeout: 10000
-      });
-
-      // 简单等待
-      await page.waitForTimeout(500);
-
-      // 确定选择器
-      let targetSelector = selector || '.screenshot-target';
-      console.log(chalk.gray(`🎯 Using selector: ${targetSelector}`));
-
-      // 等待元素
-      await page.waitForSelector(targetSelector, { timeout: 5000 });
+      // 固定时间、随机数、时区和语言需要在打开组件页面之前设置
+      if (deterministic) {
+        console.log(chalk.gray(`🧊 Deterministic rendering: seed ${deterministic.seed}, ${deterministic.now}, ${deterministic.timezone}, ${deterministic.locale}`));
+        restorePage = await DeterministicRendering.apply(page, deterministic);
+      }
 
-      // 简单截图
-      console.log(chalk.blue('📸 Taking screenshot...'));
       let screenshotPath;
       if (outputPath && (outputPath.endsWith('.png') || outputPath.endsWith('.jpg') || outputPath.endsWith('.jpeg'))) {
         screenshotPath = outputPath;
@@ -252,27 +433,31 @@ export class SnapDOMScreenshotTool {
         screenshotPath = path.join(resultsDir, 'actual.png');
       }
 
-      // 直接截图元素
-      const element = await page.$(targetSelector);
-      if (!element) {
-        throw new Error(`Component selector ${targetSelector} not found`);
+      const options = { componentName, baseUrl, selector, fixture, readiness, verifyStability, snapDOMOptions, method, ignoreSelectors, domMap, states };
+      const capture = await this.captureVariant(page, { ...options, viewport, scale: 3, screenshotPath });
+
+      // 视口矩阵复用同一个页面，每个视口保存为 actual.<name>.png
+      const viewportCaptures = [];
+      for (const entry of viewports) {
+        console.log(chalk.blue(`📐 Capturing viewport: ${entry.name} (${entry.width}×${entry.height} @${entry.scale}x)`));
+        const viewportCapture = await this.captureVariant(page, {
+          ...options,
+          viewport: { width: entry.width, height: entry.height },
+          scale: entry.scale,
+          screenshotPath: InteractionStates.fileName(screenshotPath, entry.name)
+        });
+        viewportCaptures.push({ ...entry, ...viewportCapture });
       }
 
-      const screenshotBuffer = await element.screenshot({
-        type: 'png',
-        omitBackground: snapDOMOptions.backgroundColor === 'transparent'
-      });
-
-      // 保存截图
-      console.log(chalk.gray(`💾 Saving screenshot to: ${screenshotPath}`));
-      await fs.writeFile(screenshotPath, screenshotBuffer);
-
-      console.log(chalk.green(`✅ 3x scale Puppeteer screenshot saved: ${screenshotPath}`));
+      // 记录各视口的倍率，figma_compare 据此换算设计稿 px
+      let viewportsPath = null;
+      if (viewportCaptures.length > 0) {
+        viewportsPath = await ViewportMatrix.save(path.dirname(screenshotPath), viewportCaptures);
+        console.log(chalk.gray(`📐 Viewports saved: ${viewportsPath}`));
+      }
 
       return {
-        path: screenshotPath,
-        url,
-        selector: targetSelector,
+        ...capture,
         viewport: {
           ...viewport,
           actualWidth: viewport.width * 3,
@@ -280,17 +465,289 @@ export class SnapDOMScreenshotTool {
           scale: 3
         },
         snapDOMOptions,
-        method: 'Puppeteer',
+        deterministic,
+        method: method === 'snapdom' ? 'snapDOM' : 'Puppeteer',
         quality: 'high',
         scale: 3,
-        features: ['element-screenshot', 'transparent-background', 'high-quality', '3x-scale']
+        features: method === 'snapdom'
+          ? [
+            'snapdom-capture',
+            ...(snapDOMOptions.embedFonts ? ['embedded-fonts'] : []),
+            ...(snapDOMOptions.width || snapDOMOptions.height ? ['fixed-output-size'] : []),
+            ...(snapDOMOptions.backgroundColor === 'transparent' ? ['transparent-background'] : []),
+            '3x-scale',
+            ...(deterministic ? ['deterministic'] : [])
+          ]
+          : ['element-screenshot', 'transparent-background', 'high-quality', '3x-scale', ...(deterministic ? ['deterministic'] : [])],
+        viewports: viewportCaptures,
+        viewportsPath
       };
 
     } finally {
+      // 撤销确定性渲染的设置后再放回页面池
+      if (restorePage) {
+        await restorePage().catch(error => console.warn(chalk.yellow(`⚠️  Failed to restore page settings: ${error.message}`)));
+      }
+
       // 释放页面
       await puppeteerManager.releasePage(page);
     }
   }
+
+  /**
+   * 在一个视口下截取默认渲染和各交互状态
+   * @returns {Promise<{path: string, url: string, selector: string, readiness: Object, stability: Object|null, ignoreBoxesPath: string|null, domMapPath: string|null, states: Array}>}
+   */
+  async captureVariant(page, { componentName, baseUrl, viewport, scale, selector, fixture, readiness, verifyStability = 0, screenshotPath, snapDOMOptions, method, ignoreSelectors, domMap, states }) {
+    const { url, targetSelector, readiness: readinessReport } = await this.openComponentPage(page, { componentName, baseUrl, viewport, scale, selector, fixture, readiness });
+
+    // 简单截图
+    console.log(chalk.blue('📸 Taking screenshot...'));
+    const capture = await this.captureTarget(page, { targetSelector, screenshotPath, scale, snapDOMOptions, method, ignoreSelectors, domMap });
+
+    // 在同一页面中重复截图，记录渲染噪声
+    const stability = verifyStability > 0
+      ? await this.verifyStability(page, { targetSelector, screenshotPath, snapDOMOptions, method, captures: verifyStability })
+      : null;
+
+    // 逐个触发交互状态；每个状态重新打开页面，避免上一个状态残留的 hover / focus
+    const stateCaptures = [];
+    for (const state of states) {
+      console.log(chalk.blue(`🖱️  Capturing state: ${state.name} (${state.action})`));
+      const { url: stateUrl, readiness: stateReadiness } = await this.openComponentPage(page, { componentName, baseUrl, viewport, scale, selector, fixture, readiness, props: state.props });
+
+      const release = await InteractionStates.apply(page, state, targetSelector);
+      try {
+        await InteractionStates.waitForTransitions(page);
+        const stateCapture = await this.captureTarget(page, {
+          targetSelector,
+          screenshotPath: InteractionStates.fileName(screenshotPath, state.name),
+          scale,
+          snapDOMOptions,
+          method,
+          ignoreSelectors,
+          domMap
+        });
+        stateCaptures.push({ name: state.name, action: state.action, url: stateUrl, readiness: stateReadiness, ...stateCapture });
+      } finally {
+        if (release) await release();
+      }
+    }
+
+    return { ...capture, url, selector: targetSelector, readiness: readinessReport, stability, states: stateCaptures };
+  }
+
+  /**
+   * 截取目标元素，并按需保存忽略区域和 DOM 映射
+   * @returns {Promise<{path: string, ignoreBoxesPath: string|null, domMapPath: string|null}>}
+   */
+  async captureTarget(page, { targetSelector, screenshotPath, scale = 3, snapDOMOptions, method = 'puppeteer', ignoreSelectors = [], domMap = false }) {
+    const screenshotBuffer = await this.captureBuffer(page, targetSelector, { snapDOMOptions, method });
+
+    // 保存截图
+    console.log(chalk.gray(`💾 Saving screenshot to: ${screenshotPath}`));
+    await fs.writeFile(screenshotPath, screenshotBuffer);
+
+    console.log(chalk.green(`✅ ${scale}x scale ${method === 'snapdom' ? 'snapDOM' : 'Puppeteer'} screenshot saved: ${screenshotPath}`));
+
+    // 记录需要忽略的元素区域，供 figma_compare 的 ignoreSelectors 使用
+    let ignoreBoxesPath = null;
+    if (ignoreSelectors.length > 0) {
+      ignoreBoxesPath = await this.saveIgnoreBoxes(page, targetSelector, ignoreSelectors, screenshotPath);
+    }
+
+    // 记录元素位置与计算样式，供 figma_compare 把差异区域关联到元素
+    let domMapPath = null;
+    if (domMap) {
+      domMapPath = await DomMap.capture(page, targetSelector, screenshotPath, scale);
+      console.log(chalk.gray(`🗺️  DOM map saved: ${domMapPath}`));
+    }
+
+    return { path: screenshotPath, ignoreBoxesPath, domMapPath };
+  }
+
+  /**
+   * 按截图方式截取目标元素，返回 PNG 数据
+   * @returns {Promise<Buffer>}
+   */
+  async captureBuffer(page, targetSelector, { snapDOMOptions, method = 'puppeteer' }) {
+    // 直接截图元素
+    const element = await page.$(targetSelector);
+    if (!element) {
+      throw new Error(`Component selector ${targetSelector} not found`);
+    }
+
+    return method === 'snapdom'
+      ? this.captureWithSnapDOM(page, targetSelector, snapDOMOptions)
+      : element.screenshot({
+        type: 'png',
+        omitBackground: snapDOMOptions.backgroundColor === 'transparent'
+      });
+  }
+
+  /**
+   * 不重新加载页面，间隔 STABILITY_INTERVAL 连续截图 captures 次并逐像素比较，保存噪声底图和稳定性报告
+   * @returns {Promise<{stable: boolean, captures: number, unstablePixels: number, unstablePercentage: number, maxChannelDelta: number, noiseMapPath: string|null, reportPath: string}>}
+   */
+  async verifyStability(page, { targetSelector, screenshotPath, snapDOMOptions, method, captures }) {
+    console.log(chalk.blue(`🔁 Verifying stability with ${captures} captures...`));
+
+    const buffers = [];
+    for (let i = 0; i < captures; i++) {
+      if (i > 0) await new Promise(resolve => setTimeout(resolve, STABILITY_INTERVAL));
+      buffers.push(await this.captureBuffer(page, targetSelector, { snapDOMOptions, method }));
+    }
+
+    const { noiseMap, ...result } = CaptureStability.compare(buffers);
+    const { noiseMapPath, reportPath } = await CaptureStability.save(screenshotPath, { ...result, noiseMap });
+
+    if (result.stable) {
+      console.log(chalk.green(`✅ Render is stable across ${captures} captures`));
+    } else if (result.sizeMismatch) {
+      console.log(chalk.yellow(`⚠️  Render is unstable: capture size changed between captures`));
+    } else {
+      console.log(chalk.yellow(`⚠️  Render is unstable: ${result.unstablePixels} pixels (${result.unstablePercentage.toFixed(3)}%) changed, max channel delta ${result.maxChannelDelta}`));
+      console.log(chalk.gray(`🌫️  Noise floor saved: ${noiseMapPath}`));
+    }
+
+    return {
+      stable: result.stable,
+      captures: result.captures,
+      sizeMismatch: result.sizeMismatch,
+      unstablePixels: result.unstablePixels,
+      unstablePercentage: result.unstablePercentage,
+      maxChannelDelta: result.maxChannelDelta,
+      noiseMapPath,
+      reportPath
+    };
+  }
+
+  /**
+   * 在页面中注入 @zumer/snapdom 并截取目标元素，PNG 以 data URL 传回 Node
+   * 页面的 devicePixelRatio 已经是截图倍率，snapDOM 的 scale 固定为 1，避免倍率叠加
+   * @returns {Promise<Buffer>}
+   */
+  async captureWithSnapDOM(page, targetSelector, snapDOMOptions) {
+    const hasSnapDOM = await page.evaluate(() => typeof window.snapdom === 'function');
+    if (!hasSnapDOM) {
+      await page.addScriptTag({ path: SNAPDOM_SCRIPT_PATH });
+    }
+
+    const { compress, fast, embedFonts, backgroundColor, width, height } = snapDOMOptions;
+    const dataUrl = await this.withTimeout(
+      page.evaluate(async (selector, options, background) => {
+        const element = document.querySelector(selector);
+        const result = await window.snapdom(element, options);
+        const canvas = await result.toCanvas();
+
+        if (!background || background === 'transparent') {
+          return canvas.toDataURL('image/png');
+        }
+
+        // toCanvas 不填充背景，按 backgroundColor 铺底
+        const filled = document.createElement('canvas');
+        filled.width = canvas.width;
+        filled.height = canvas.height;
+        const context = filled.getContext('2d');
+        context.fillStyle = background;
+        context.fillRect(0, 0, filled.width, filled.height);
+        context.drawImage(canvas, 0, 0);
+        return filled.toDataURL('image/png');
+      }, targetSelector, { compress, fast, embedFonts, width, height, scale: 1 }, backgroundColor),
+      SNAPDOM_CAPTURE_TIMEOUT,
+      'snapDOM capture timed out'
+    );
+
+    return Buffer.from(dataUrl.replace(/^data:image\/png;base64,/, ''), 'base64');
+  }
+
+  /**
+   * 按 scale 倍 deviceScaleFactor（默认 3 倍）打开组件页面，等待目标元素出现并渲染就绪
+   * fixture 和 props 通过 ?fixture=<id>、?props=<JSON> 查询参数传给 DynamicComponent 页面
+   * @returns {Promise<{url: string, targetSelector: string, readiness: Object}>}
+   */
+  async openComponentPage(page, { componentName, baseUrl, viewport, scale = 3, selector, fixture = null, props = null, readiness = DEFAULT_READINESS }) {
+    // Set viewport with 3x scale factor for high-resolution screenshots
+    await page.setViewport({
+      width: viewport.width,
+      height: viewport.height,
+      deviceScaleFactor: scale
+    });
+
+    // Navigate to component
+    const params = new URLSearchParams();
+    if (fixture) params.set('fixture', fixture);
+    if (props) params.set('props', JSON.stringify(props));
+    const query = params.toString() ? `?${params}` : '';
+    const url = `${baseUrl}/component/${componentName}${query}`;
+    console.log(chalk.gray(`📍 Navigating to: ${url}`));
+
+    await page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: 10000
+    });
+
+    // 确定选择器
+    const targetSelector = selector || '.screenshot-target';
+    console.log(chalk.gray(`🎯 Using selector: ${targetSelector}`));
+
+    // 等待元素
+    await page.waitForSelector(targetSelector, { timeout: 5000 });
+
+    // 等待字体、图片、动画等就绪，记录每个条件的耗时
+    const report = await RenderReadiness.wait(page, targetSelector, readiness);
+    const timing = report.conditions
+      .filter(condition => condition.status !== 'skipped')
+      .map(condition => `${condition.name} ${condition.ms}ms${condition.status === 'timeout' ? ' (timeout)' : ''}`)
+      .join(', ');
+    console.log((report.ready ? chalk.gray : chalk.yellow)(`⏱️  Render readiness ${report.totalMs}ms: ${timing || 'no conditions'}`));
+
+    return { url, targetSelector, readiness: report };
+  }
+
+  /**
+   * 解析忽略选择器对应的元素区域（相对截图元素左上角的 CSS px，即设计稿 px）
+   * 结果保存在截图旁的 *.ignore.json 中
+   */
+  async saveIgnoreBoxes(page, targetSelector, ignoreSelectors, screenshotPath) {
+    const selectors = await page.evaluate((rootSelector, selectorList) => {
+      const root = document.querySelector(rootSelector);
+      const origin = root.getBoundingClientRect();
+      const boxes = {};
+
+      selectorList.forEach(ignoreSelector => {
+        boxes[ignoreSelector] = Array.from(document.querySelectorAll(ignoreSelector))
+          .map(element => {
+            const rect = element.getBoundingClientRect();
+            return {
+              x: rect.left - origin.left,
+              y: rect.top - origin.top,
+              width: rect.width,
+              height: rect.height
+            };
+          })
+          .filter(box => box.width > 0 && box.height > 0);
+      });
+
+      return boxes;
+    }, targetSelector, ignoreSelectors);
+
+    const ignoreBoxesPath = screenshotPath.replace(/\.(png|jpe?g)$/i, '.ignore.json');
+    await fs.writeFile(ignoreBoxesPath, JSON.stringify({
+      selector: targetSelector,
+      unit: 'css-px',
+      selectors,
+      timestamp: new Date().toISOString()
+    }, null, 2));
+
+    const missing = ignoreSelectors.filter(ignoreSelector => selectors[ignoreSelector].length === 0);
+    if (missing.length > 0) {
+      console.log(chalk.yellow(`⚠️  Ignore selectors matched nothing: ${missing.join(', ')}`));
+    }
+    console.log(chalk.gray(`🙈 Ignore boxes saved: ${ignoreBoxesPath}`));
+
+    return ignoreBoxesPath;
+  }
 }
 
 // Command line execution
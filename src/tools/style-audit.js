@@ -0,0 +1,215 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { ensureDirectory } from '../utils/path-config.js';
+import { puppeteerManager } from '../utils/puppeteer-manager.js';
+import { DomMap } from '../utils/dom-map.js';
+import { FigmaNodeMap } from '../utils/figma-node-map.js';
+import { StyleAuditor, DEFAULT_STYLE_TOLERANCES } from '../utils/style-auditor.js';
+import { DevServer, DEFAULT_DEV_SERVER_PORT } from '../utils/dev-server.js';
+import { SnapDOMScreenshotTool } from './snapdom-screenshot.js';
+
+export class StyleAuditTool {
+  constructor() {
+    this.description = 'Compare computed styles of the rendered component with the properties declared in a local Figma node JSON and list property-level mismatches';
+    this.inputSchema = {
+      type: 'object',
+      properties: {
+        componentName: {
+          type: 'string',
+          description: 'Name of the component to audit'
+        },
+        projectPath: {
+          type: 'string',
+          description: 'Path to the Vue project (required)'
+        },
+        figmaNodePath: {
+          type: 'string',
+          description: 'Path to the locally saved Figma node JSON (REST /files or /nodes response, or a single node)'
+        },
+        figmaNodeId: {
+          type: 'string',
+          description: 'Node in figmaNodePath that corresponds to the screenshot target (optional, defaults to the first node with a bounding box)'
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector of the component root (optional, defaults to .screenshot-target)'
+        },
+        viewport: {
+          type: 'object',
+          properties: {
+            width: { type: 'number', default: 1440 },
+            height: { type: 'number', default: 800 }
+          },
+          description: 'Viewport size'
+        },
+        devServer: {
+          type: 'object',
+          properties: {
+            port: { type: 'number', default: DEFAULT_DEV_SERVER_PORT },
+            autoStart: { type: 'boolean', default: true },
+            url: { type: 'string' }
+          },
+          description: 'Dev server that serves the component page; probed and started like in snapdom_screenshot'
+        },
+        mappings: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Explicit Figma node ID → CSS selector pairs for elements that cannot be matched by position'
+        },
+        tolerances: {
+          type: 'object',
+          properties: Object.fromEntries(Object.entries(DEFAULT_STYLE_TOLERANCES).map(([name, value]) => [
+            name,
+            { type: 'number', default: value }
+          ])),
+          description: 'Allowed differences: px for sizes, spacing, typography, radius, border and shadow; 0-255 channel difference for colors'
+        },
+        outputPath: {
+          type: 'string',
+          description: 'Custom output directory for style-audit.json (optional). If not provided, defaults to src/components/{componentName}/results'
+        }
+      },
+      required: ['componentName', 'projectPath', 'figmaNodePath']
+    };
+  }
+
+  async execute(args) {
+    if (!args.componentName) {
+      throw new Error('❌ 参数错误: componentName 是必传参数，请提供组件名称');
+    }
+
+    if (!args.projectPath) {
+      throw new Error('❌ 参数错误: projectPath 是必传参数，请提供项目路径');
+    }
+
+    if (!args.figmaNodePath) {
+      throw new Error('❌ 参数错误: figmaNodePath 是必传参数，请提供 Figma 节点 JSON 路径');
+    }
+
+    try {
+      await fs.access(args.projectPath);
+    } catch (error) {
+      throw new Error(`❌ 项目路径不存在: ${args.projectPath}`);
+    }
+
+    const {
+      componentName,
+      projectPath,
+      figmaNodePath,
+      figmaNodeId,
+      selector,
+      viewport = { width: 1440, height: 800 },
+      mappings = {},
+      tolerances = {},
+      outputPath
+    } = args;
+
+    if (typeof mappings !== 'object' || Object.values(mappings).some(value => typeof value !== 'string')) {
+      throw new Error('❌ 参数错误: mappings 必须是 节点 ID → CSS 选择器 的对象');
+    }
+
+    const figmaNodes = await FigmaNodeMap.load(figmaNodePath, figmaNodeId);
+    const devServer = DevServer.normalize(args.devServer);
+
+    try {
+      console.log(chalk.cyan('🎨 Style Audit'));
+      console.log(chalk.cyan(`Component: ${componentName}`));
+      console.log(chalk.gray('='.repeat(50)));
+
+      const screenshotTool = new SnapDOMScreenshotTool();
+      const server = await screenshotTool.ensureDevServerRunning(projectPath, devServer);
+
+      const { domMap, mappedElements, unresolvedMappings, url } = await this.collectElements({
+        screenshotTool,
+        componentName,
+        baseUrl: server.url,
+        viewport,
+        selector,
+        mappings
+      });
+
+      if (unresolvedMappings.length > 0) {
+        console.log(chalk.yellow(`⚠️  Mapping selectors not found: ${unresolvedMappings.join(', ')}`));
+      }
+
+      const auditor = new StyleAuditor({ tolerances });
+      const audit = auditor.audit(figmaNodes, domMap, { mappings: mappedElements });
+
+      console.log(chalk.blue(`🔍 Matched ${audit.summary.matchedNodes}/${audit.summary.auditedNodes} Figma nodes, ${audit.summary.checkedProperties} properties checked`));
+      if (audit.mismatches.length === 0) {
+        console.log(chalk.green('🎉 No style mismatches found'));
+      } else {
+        console.log(chalk.red(`🚨 ${audit.mismatches.length} style mismatches`));
+        audit.mismatches.slice(0, 5).forEach(mismatch => {
+          console.log(chalk.gray(`   ${mismatch.nodeName} ${mismatch.property}: expected ${mismatch.expected}, actual ${mismatch.actual}`));
+        });
+      }
+
+      const resultsDir = outputPath || path.join(projectPath, 'src', 'components', componentName, 'results');
+      await ensureDirectory(resultsDir);
+      const reportPath = path.join(resultsDir, 'style-audit.json');
+      await fs.writeFile(reportPath, JSON.stringify({
+        componentName,
+        url,
+        figmaNodePath,
+        figmaNodeId: figmaNodes.root.id,
+        tolerances: auditor.tolerances,
+        ...audit,
+        timestamp: new Date().toISOString()
+      }, null, 2));
+      console.log(chalk.green(`📑 Style audit saved: ${reportPath}`));
+
+      return {
+        success: true,
+        componentName,
+        figmaNode: { id: figmaNodes.root.id, name: figmaNodes.root.name },
+        summary: audit.summary,
+        mismatches: audit.mismatches,
+        unmatchedNodes: audit.unmatchedNodes,
+        unresolvedMappings,
+        tolerances: auditor.tolerances,
+        reportPath
+      };
+    } catch (error) {
+      console.error(chalk.red('❌ Style audit failed:'), error.message);
+      return {
+        success: false,
+        error: error.message,
+        componentName
+      };
+    }
+  }
+
+  /**
+   * 打开组件页面，采集目标元素内的 DOM 映射，以及 mappings 中选择器对应的元素（坐标原点与目标元素一致）
+   */
+  async collectElements({ screenshotTool, componentName, baseUrl, viewport, selector, mappings }) {
+    const page = await puppeteerManager.getPage();
+
+    try {
+      const { url, targetSelector } = await screenshotTool.openComponentPage(page, { componentName, baseUrl, viewport, selector });
+      const domMap = new DomMap(await DomMap.collect(page, targetSelector, 3));
+
+      const mappedElements = {};
+      const unresolvedMappings = [];
+      for (const [nodeId, mappingSelector] of Object.entries(mappings)) {
+        const exists = await page.$(mappingSelector);
+        const { elements } = exists
+          ? await DomMap.collect(page, mappingSelector, 3, { originSelector: targetSelector, maxElements: 1 })
+          : { elements: [] };
+
+        // 不存在或不可见的元素无法比较
+        if (elements.length === 0) {
+          unresolvedMappings.push(mappingSelector);
+          continue;
+        }
+        mappedElements[nodeId] = { ...elements[0], path: mappingSelector };
+      }
+
+      return { domMap, mappedElements, unresolvedMappings, url };
+    } finally {
+      await puppeteerManager.releasePage(page);
+    }
+  }
+}
@@ -0,0 +1,130 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { Baseline, BASELINE_FILE, BASELINE_METADATA_FILE } from '../baseline.js';
+
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running Baseline Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+async function withResultsDir(testFn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-'));
+  try {
+    await fs.writeFile(path.join(dir, 'actual.png'), PNG.sync.write(new PNG({ width: 6, height: 3 })));
+    await testFn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function writeComparison(dir, data) {
+  await fs.writeFile(path.join(dir, 'comparison-data.json'), JSON.stringify({ metric: 'pixelmatch', timestamp: new Date().toISOString(), ...data }));
+}
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should copy actual.png to baseline.png with metadata', async () => {
+  await withResultsDir(async dir => {
+    await writeComparison(dir, { score: 99.1, matchPercentage: 99.1, passed: true });
+    const { metadata, baselinePath } = await Baseline.approve(dir, { componentName: 'Card', note: 'release 1' });
+
+    const [actual, baseline] = await Promise.all([fs.readFile(path.join(dir, 'actual.png')), fs.readFile(baselinePath)]);
+    runner.assert(actual.equals(baseline), 'baseline.png should be a copy of actual.png');
+    runner.assert(metadata.dimensions.width === 6 && metadata.sha256.length === 64, 'Dimensions and hash should be recorded');
+    runner.assert(metadata.comparison.passed && metadata.note === 'release 1', 'Latest comparison and note should be recorded');
+    runner.assert((await Baseline.load(dir)).approvedAt === metadata.approvedAt, `${BASELINE_METADATA_FILE} should be readable`);
+  });
+});
+
+runner.test('should refuse failing or stale comparisons when requirePassed is set', async () => {
+  await withResultsDir(async dir => {
+    await writeComparison(dir, { score: 90, passed: false });
+    await runner.assertThrows(() => Baseline.approve(dir, { requirePassed: true }));
+
+    await writeComparison(dir, { score: 99, passed: true });
+    const past = new Date(Date.now() - 60000);
+    await fs.utimes(path.join(dir, 'comparison-data.json'), past, past);
+    await runner.assertThrows(() => Baseline.approve(dir, { requirePassed: true }));
+
+    const exists = await fs.access(path.join(dir, BASELINE_FILE)).then(() => true).catch(() => false);
+    runner.assert(!exists, 'Refused approvals should not write baseline.png');
+  });
+});
+
+runner.test('should link to the replaced baseline', async () => {
+  await withResultsDir(async dir => {
+    const first = await Baseline.approve(dir, {});
+    const second = await Baseline.approve(dir, {});
+
+    runner.assert(second.metadata.previous.approvedAt === first.metadata.approvedAt, 'Previous approval should be referenced');
+    runner.assert(second.metadata.comparison === null, 'Missing comparison data should be null');
+  });
+});
+
+runner.test('should fail without a screenshot', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-'));
+  try {
+    await runner.assertThrows(() => Baseline.approve(dir, {}));
+    runner.assert(await Baseline.load(dir) === null, 'Missing baseline should load as null');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as baselineTests };
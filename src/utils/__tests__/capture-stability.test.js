@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { CaptureStability } from '../capture-stability.js';
+
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running CaptureStability Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+const runner = new TestRunner();
+
+/**
+ * 创建纯白 PNG，changed 中的像素改为黑色
+ */
+function createCapture(width, height, changed = []) {
+  const png = new PNG({ width, height });
+  png.data.fill(255);
+  changed.forEach(index => {
+    png.data[index << 2] = 0;
+    png.data[(index << 2) + 1] = 0;
+    png.data[(index << 2) + 2] = 0;
+  });
+  return PNG.sync.write(png);
+}
+
+runner.test('should validate the number of captures', async () => {
+  runner.assert(CaptureStability.normalize(undefined) === 0, 'Missing option should disable the check');
+  runner.assert(CaptureStability.normalize(3) === 3, 'Valid count should be kept');
+  await runner.assertThrows(() => CaptureStability.normalize(1));
+  await runner.assertThrows(() => CaptureStability.normalize(2.5));
+  await runner.assertThrows(() => CaptureStability.normalize(100));
+});
+
+runner.test('should report identical captures as stable', async () => {
+  const result = CaptureStability.compare([createCapture(4, 4), createCapture(4, 4), createCapture(4, 4)]);
+  runner.assert(result.stable && result.unstablePixels === 0 && result.captures === 3, 'Identical captures should be stable');
+});
+
+runner.test('should collect changed pixels into the noise map', async () => {
+  const result = CaptureStability.compare([createCapture(4, 4), createCapture(4, 4, [1]), createCapture(4, 4, [1, 5])]);
+
+  runner.assert(!result.stable, 'Changed captures should be unstable');
+  runner.assert(result.unstablePixels === 2 && result.noiseMap[1] === 1 && result.noiseMap[5] === 1, 'Noise map should hold every changed pixel');
+  runner.assert(result.perCapture.join() === '1,2', 'Changed pixels should be counted per capture');
+  runner.assert(result.maxChannelDelta === 255, 'Largest channel difference should be reported');
+  runner.assert(result.unstablePercentage === 12.5, 'Percentage should be relative to the capture size');
+});
+
+runner.test('should treat size changes as unstable', async () => {
+  const result = CaptureStability.compare([createCapture(4, 4), createCapture(4, 5)]);
+  runner.assert(!result.stable && result.sizeMismatch && result.noiseMap === null, 'Size changes cannot be compared pixel by pixel');
+});
+
+runner.test('should save, load and resample the noise floor', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'capture-stability-'));
+  const screenshotPath = path.join(dir, 'actual.mobile.png');
+
+  try {
+    const first = createCapture(6, 6);
+    await fs.writeFile(screenshotPath, first);
+    const { noiseMapPath, reportPath } = await CaptureStability.save(screenshotPath, CaptureStability.compare([first, createCapture(6, 6, [0, 35])]));
+    runner.assert(path.basename(noiseMapPath) === 'actual.mobile.noise.png', 'Noise map should be named after the screenshot');
+    runner.assert(path.basename(reportPath) === 'actual.mobile.stability.json', 'Report should be named after the screenshot');
+
+    const { report, noisePng, stale } = await CaptureStability.load(screenshotPath);
+    runner.assert(!stale && report.unstablePixels === 2, 'Report should load while newer than the screenshot');
+
+    // 3x 截图对应 2x2 的比较图片：左上和右下的像素不稳定
+    const unstable = CaptureStability.resample(noisePng, 2, 2);
+    runner.assert(Array.from(unstable).join() === '1,0,0,1', `Resampled noise should cover its footprint, got ${Array.from(unstable)}`);
+
+    const later = new Date(Date.now() + 1000);
+    await fs.utimes(screenshotPath, later, later);
+    runner.assert((await CaptureStability.load(screenshotPath)).stale, 'Report older than the screenshot should be stale');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as captureStabilityTests };
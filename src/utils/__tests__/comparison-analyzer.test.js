@@ -0,0 +1,132 @@
+import { PNG } from 'pngjs';
+import { ComparisonAnalyzer } from '../comparison-analyzer.js';
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running ComparisonAnalyzer Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+/**
+ * 生成白底图片，并在指定位置绘制纯色矩形
+ */
+function createImage(width, height, rects = []) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (width * y + x) << 2;
+      const rect = rects.find(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+      const [red, green, blue] = rect ? rect.color : [255, 255, 255];
+      png.data[idx] = red;
+      png.data[idx + 1] = green;
+      png.data[idx + 2] = blue;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should report a perfect match for identical images', async () => {
+  const image = createImage(40, 30, [{ x: 5, y: 5, width: 10, height: 10, color: [0, 0, 0] }]);
+  const analyzer = new ComparisonAnalyzer();
+  const result = await analyzer.analyzeComparison(image, image);
+
+  runner.assert(result.diffPixels === 0, 'Should have no diff pixels');
+  runner.assert(result.matchPercentage === 100, 'Should match 100%');
+  runner.assert(result.regions.length === 0, 'Should not report regions on faded background');
+  runner.assert(result.heatmapData.maxValue === 0, 'Heatmap should be empty');
+});
+
+runner.test('should isolate a single diff region', async () => {
+  const expected = createImage(60, 40);
+  const actual = createImage(60, 40, [{ x: 10, y: 8, width: 12, height: 6, color: [255, 0, 0] }]);
+  const analyzer = new ComparisonAnalyzer({ includeAA: false });
+  const result = await analyzer.analyzeComparison(expected, actual);
+
+  runner.assert(result.regions.length === 1, `Should find one region, got ${result.regions.length}`);
+  const [region] = result.regions;
+  runner.assert(region.x === 10 && region.y === 8, 'Should locate region origin');
+  runner.assert(region.width === 12 && region.height === 6, 'Should measure region size');
+  runner.assert(region.pixelCount === 72, 'Should count region pixels');
+});
+
+runner.test('should treat diffColorAlt pixels as differences', async () => {
+  // 实际图片更暗时 pixelmatch 使用 diffColorAlt 绘制
+  const expected = createImage(30, 30);
+  const actual = createImage(30, 30, [{ x: 4, y: 4, width: 5, height: 5, color: [0, 0, 0] }]);
+  const analyzer = new ComparisonAnalyzer({ includeAA: false, diffColorAlt: [255, 128, 0] });
+  const result = await analyzer.analyzeComparison(expected, actual);
+
+  runner.assert(result.diffPixels === 25, 'Should count darker pixels');
+  runner.assert(result.regions.length === 1, 'Should build region from alternate diff color');
+});
+
+runner.test('should limit region colors to the dominant ones', async () => {
+  const analyzer = new ComparisonAnalyzer();
+  const counts = new Map([['a', 1], ['b', 9], ['c', 4], ['d', 2], ['e', 7], ['f', 3]]);
+  const top = analyzer.topColors(counts);
+
+  runner.assert(top.length === 5, 'Should keep 5 colors');
+  runner.assert(top[0].color === 'b' && top[1].color === 'e', 'Should sort by count');
+});
+
+runner.test('should reject images with different dimensions', async () => {
+  const analyzer = new ComparisonAnalyzer();
+  await runner.assertThrows(() => analyzer.analyzeComparison(createImage(10, 10), createImage(12, 10)), Error);
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as comparisonAnalyzerTests };
@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ComparisonHistory, HISTORY_FILE } from '../comparison-history.js';
+
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running ComparisonHistory Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+async function withResultsDir(testFn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'comparison-history-'));
+  try {
+    await fs.writeFile(path.join(dir, 'diff.png'), 'diff');
+    await fs.writeFile(path.join(dir, 'comparison-data.json'), '{}');
+    await testFn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should append entries and archive diff images', async () => {
+  await withResultsDir(async dir => {
+    const history = new ComparisonHistory(dir);
+    const { archiveDir, entry } = await history.record({ timestamp: '2025-01-01T12:00:00.000Z', score: 91.5, threshold: 0.1 });
+    await history.record({ timestamp: '2025-01-01T12:05:00.000Z', score: 95 });
+
+    const entries = await ComparisonHistory.read(dir);
+    runner.assert(entries.length === 2 && entries[1].score === 95, 'Both runs should be recorded in order');
+    runner.assert(entry.archiveDir === path.join('history', '2025-01-01T12-00-00-000Z'), `Unexpected archive dir ${entry.archiveDir}`);
+    runner.assert((await fs.readFile(path.join(archiveDir, 'diff.png'), 'utf8')) === 'diff', 'diff.png should be archived');
+  });
+});
+
+runner.test('should prune archives beyond the retention count but keep the log', async () => {
+  await withResultsDir(async dir => {
+    const history = new ComparisonHistory(dir, { retention: 2 });
+    for (const minute of ['01', '02', '03']) {
+      await history.record({ timestamp: `2025-01-01T12:${minute}:00.000Z`, score: 90 });
+    }
+
+    const folders = await fs.readdir(path.join(dir, 'history'));
+    runner.assert(folders.length === 2 && !folders.includes('2025-01-01T12-01-00-000Z'), `Unexpected folders ${folders}`);
+    runner.assert((await ComparisonHistory.read(dir)).length === 3, 'history.jsonl should stay append-only');
+  });
+});
+
+runner.test('should skip archiving when retention is 0', async () => {
+  await withResultsDir(async dir => {
+    const { archiveDir, entry } = await new ComparisonHistory(dir, { retention: 0 }).record({ score: 80 });
+    runner.assert(archiveDir === null && entry.archiveDir === null, 'No archive expected');
+    runner.assert(typeof entry.timestamp === 'string', 'Timestamp should be filled in');
+  });
+});
+
+runner.test('should skip corrupted lines and honour limit', async () => {
+  await withResultsDir(async dir => {
+    await fs.writeFile(path.join(dir, HISTORY_FILE), '{"score":1}\n{"score":\n{"score":2}\n{"score":3}\n');
+    const entries = await ComparisonHistory.read(dir, { limit: 2 });
+    runner.assert(entries.map(entry => entry.score).join() === '2,3', `Unexpected entries ${JSON.stringify(entries)}`);
+    runner.assert((await ComparisonHistory.read(path.join(dir, 'missing'))).length === 0, 'Missing history should be empty');
+  });
+});
+
+runner.test('should read the git commit of the project', async () => {
+  const commit = await ComparisonHistory.gitCommit(process.cwd());
+  runner.assert(commit === null || /^[0-9a-f]{4,}$/.test(commit), `Unexpected commit ${commit}`);
+  runner.assert(await ComparisonHistory.gitCommit(os.tmpdir()) === null, 'Directories outside git should return null');
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as comparisonHistoryTests };
@@ -0,0 +1,183 @@
+import { PNG } from 'pngjs';
+import { ComparisonMask, MASK_COLOR } from '../comparison-mask.js';
+import { ImageMetrics } from '../image-metrics.js';
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running ComparisonMask Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+/**
+ * 生成白底图片，并在指定位置绘制纯色矩形
+ */
+function createImage(width, height, rects = []) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (width * y + x) << 2;
+      const rect = rects.find(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+      const [red, green, blue] = rect ? rect.color : [255, 255, 255];
+      png.data[idx] = red;
+      png.data[idx + 1] = green;
+      png.data[idx + 2] = blue;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return png;
+}
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should return null when no regions are given', async () => {
+  const mask = ComparisonMask.fromRegions({ width: 10, height: 10 });
+  runner.assert(mask === null, 'Should not build an empty mask');
+});
+
+runner.test('should scale ignore regions from design px', async () => {
+  const mask = ComparisonMask.fromRegions({
+    width: 30,
+    height: 30,
+    pixelRatio: 3,
+    ignoreRegions: [{ x: 1, y: 2, width: 2, height: 1 }]
+  });
+
+  runner.assert(mask.excludedPixels === 18, `Should exclude 6x3 pixels, got ${mask.excludedPixels}`);
+  runner.assert(mask.includedPixels === 900 - 18, 'Should keep the remaining pixels');
+  runner.assert(!mask.isIncluded(30 * 6 + 3), 'Top-left scaled pixel should be excluded');
+  runner.assert(mask.isIncluded(30 * 9 + 3), 'Pixel below region should be included');
+});
+
+runner.test('should cover fractional edges when scaling', async () => {
+  const rect = ComparisonMask.scaleRect({ x: 0.5, y: 0.5, width: 1, height: 1 }, 3);
+  runner.assert(rect.x === 1 && rect.y === 1, 'Should floor origin');
+  runner.assert(rect.width === 4 && rect.height === 4, 'Should ceil far edge');
+});
+
+runner.test('should only score focus regions minus ignore regions', async () => {
+  const mask = ComparisonMask.fromRegions({
+    width: 20,
+    height: 20,
+    focusRegions: [{ x: 0, y: 0, width: 10, height: 10 }],
+    ignoreRegions: [{ x: 0, y: 0, width: 5, height: 10 }]
+  });
+
+  runner.assert(mask.includedPixels === 50, `Should keep 5x10 pixels, got ${mask.includedPixels}`);
+  runner.assert(!mask.isIncluded(20 * 15 + 15), 'Outside focus should be excluded');
+});
+
+runner.test('should clip regions outside the image', async () => {
+  const mask = ComparisonMask.fromRegions({
+    width: 10,
+    height: 10,
+    ignoreRegions: [{ x: 8, y: 8, width: 10, height: 10 }]
+  });
+  runner.assert(mask.excludedPixels === 4, 'Should only exclude in-bounds pixels');
+});
+
+runner.test('should exclude individual pixels such as the noise floor', async () => {
+  const excludedPixels = new Uint8Array(100);
+  excludedPixels[0] = 1;
+  excludedPixels[99] = 1;
+
+  const mask = ComparisonMask.fromRegions({
+    width: 10,
+    height: 10,
+    ignoreRegions: [{ x: 0, y: 0, width: 2, height: 1 }],
+    excludedPixels
+  });
+  runner.assert(mask.excludedPixels === 3, `Pixels should be combined with regions, got ${mask.excludedPixels}`);
+  runner.assert(!mask.isIncluded(99) && mask.isIncluded(98), 'Only marked pixels should be excluded');
+});
+
+runner.test('should neutralize and paint excluded pixels', async () => {
+  const expected = createImage(10, 10);
+  const actual = createImage(10, 10, [{ x: 0, y: 0, width: 4, height: 4, color: [0, 0, 0] }]);
+  const diff = createImage(10, 10);
+  const mask = ComparisonMask.fromRegions({
+    width: 10,
+    height: 10,
+    ignoreRegions: [{ x: 0, y: 0, width: 4, height: 4 }]
+  });
+
+  const original = Buffer.from(actual.data);
+  const scored = mask.neutralize(actual, expected);
+  mask.paint(diff);
+
+  runner.assert(Buffer.compare(scored.data, expected.data) === 0, 'Masked pixels should match expected');
+  runner.assert(Buffer.compare(actual.data, original) === 0, 'The actual image should be left untouched');
+  runner.assert(diff.data[0] === MASK_COLOR[0] && diff.data[2] === MASK_COLOR[2], 'Masked pixels should be painted');
+});
+
+runner.test('should restrict metrics to included pixels', async () => {
+  const expected = createImage(10, 10);
+  const actual = createImage(10, 10, [{ x: 0, y: 0, width: 10, height: 5, color: [155, 155, 155] }]);
+  const mask = ComparisonMask.fromRegions({
+    width: 10,
+    height: 10,
+    focusRegions: [{ x: 0, y: 0, width: 10, height: 5 }]
+  });
+  const mae = new ImageMetrics().computeChannelMAE(expected, actual, mask);
+
+  runner.assert(mae.mean === 100, `Should average over focus area only, got ${mae.mean}`);
+});
+
+runner.test('should validate region parameters', async () => {
+  await runner.assertThrows(() => ComparisonMask.validateRegions({}, 'ignoreRegions'), Error);
+  await runner.assertThrows(() => ComparisonMask.validateRegions([{ x: 0, y: 0, width: 0, height: 4 }], 'ignoreRegions'), Error);
+  ComparisonMask.validateRegions([{ x: 0, y: 0, width: 1, height: 1 }], 'ignoreRegions');
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as comparisonMaskTests };
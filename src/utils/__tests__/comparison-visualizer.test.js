@@ -0,0 +1,138 @@
+import { PNG } from 'pngjs';
+import { ComparisonVisualizer } from '../comparison-visualizer.js';
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running ComparisonVisualizer Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+/**
+ * 生成白底图片，并在指定位置绘制纯色矩形
+ */
+function createImage(width, height, rects = []) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (width * y + x) << 2;
+      const rect = rects.find(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+      const [red, green, blue] = rect ? rect.color : [255, 255, 255];
+      png.data[idx] = red;
+      png.data[idx + 1] = green;
+      png.data[idx + 2] = blue;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return png;
+}
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should blend expected and actual at 50% opacity', async () => {
+  const expected = createImage(4, 4, [{ x: 0, y: 0, width: 4, height: 4, color: [0, 0, 0] }]);
+  const actual = createImage(4, 4);
+  const overlay = new ComparisonVisualizer().createOverlay(expected, actual);
+
+  runner.assert(overlay.data[0] === 128 && overlay.data[3] === 255, `Expected mid gray, got ${overlay.data[0]}`);
+});
+
+runner.test('should composite transparent pixels onto white before blending', async () => {
+  const expected = createImage(2, 2);
+  const actual = new PNG({ width: 2, height: 2 });
+  const overlay = new ComparisonVisualizer({ overlayOpacity: 1 }).createOverlay(expected, actual);
+
+  runner.assert(overlay.data[0] === 255, 'Transparent actual should render as white');
+});
+
+runner.test('should pad rectangles and clamp them to the image', async () => {
+  const rect = ComparisonVisualizer.padRect({ x: 2, y: 5, width: 10, height: 4 }, 3, 14, 20);
+  runner.assert(rect.x === 0 && rect.y === 2, `Unexpected origin ${rect.x},${rect.y}`);
+  runner.assert(rect.width === 14 && rect.height === 10, `Unexpected size ${rect.width}x${rect.height}`);
+});
+
+runner.test('should crop and zoom with nearest neighbour', async () => {
+  const png = createImage(10, 10, [{ x: 4, y: 4, width: 1, height: 1, color: [255, 0, 0] }]);
+  const zoomed = ComparisonVisualizer.zoomPng(ComparisonVisualizer.cropPng(png, { x: 4, y: 4, width: 2, height: 2 }), 3);
+
+  runner.assert(zoomed.width === 6 && zoomed.height === 6, `Unexpected size ${zoomed.width}x${zoomed.height}`);
+  const pixel = (x, y) => zoomed.data[((zoomed.width * y + x) << 2) + 1];
+  runner.assert(pixel(2, 2) === 0, 'Zoomed red pixel should fill a 3x3 block');
+  runner.assert(pixel(3, 3) === 255, 'Neighbouring pixel should stay white');
+});
+
+runner.test('should add a label bar above the composite strip', async () => {
+  const visualizer = new ComparisonVisualizer({ scale: 1 });
+  const buffer = await visualizer.createComposite([
+    { label: 'Expected', png: createImage(100, 40) },
+    { label: 'Actual <1>', png: createImage(100, 40) }
+  ]);
+  const composite = PNG.sync.read(buffer);
+
+  runner.assert(composite.width === 204, `Unexpected width ${composite.width}`);
+  runner.assert(composite.height === 60, `Unexpected height ${composite.height}`);
+});
+
+runner.test('should zoom small regions in close-ups', async () => {
+  const images = {
+    expectedPng: createImage(50, 50),
+    actualPng: createImage(50, 50),
+    diffPng: createImage(50, 50)
+  };
+  const closeUp = await new ComparisonVisualizer().createCloseUp(images, { x: 10, y: 10, width: 40, height: 20 });
+
+  runner.assert(closeUp.zoom === 6, `Expected zoom 6, got ${closeUp.zoom}`);
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as comparisonVisualizerTests };
@@ -0,0 +1,133 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadComponentFixtures, resolveFixture, fixtureResultsDir } from '../component-fixtures.js';
+
+
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running Component Fixtures Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+const runner = new TestRunner();
+
+/**
+ * 在临时项目中创建组件目录并写入 fixtures 文件
+ */
+async function withProject(files, fn) {
+  const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'fixtures-'));
+  const componentDir = path.join(projectPath, 'src', 'components', 'Card');
+  await fs.mkdir(componentDir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(componentDir, name), content);
+  }
+
+  try {
+    await fn(projectPath);
+  } finally {
+    await fs.rm(projectPath, { recursive: true, force: true });
+  }
+}
+
+runner.test('should resolve fixtures from fixtures.json', async () => {
+  await withProject({ 'fixtures.json': JSON.stringify({ empty: { props: { items: [] } } }) }, async projectPath => {
+    const fixture = await resolveFixture(projectPath, 'Card', 'empty');
+    runner.assert(fixture.id === 'empty', 'Fixture id should be returned');
+    runner.assert(Array.isArray(fixture.fixture.props.items), 'Fixture props should be loaded');
+    runner.assert(fixture.warning === null, 'JSON fixtures should be validated in Node');
+
+    await runner.assertThrows(() => resolveFixture(projectPath, 'Card', 'missing'));
+    await runner.assertThrows(() => resolveFixture(projectPath, 'Card', '../empty'));
+  });
+});
+
+runner.test('should load fixtures.js and prefer fixtures.json', async () => {
+  await withProject({ 'fixtures.js': 'export default { dark: { props: { theme: "dark" } } };' }, async projectPath => {
+    const { fixtures, path: fixturesPath } = await loadComponentFixtures(projectPath, 'Card');
+    runner.assert(fixtures.dark.props.theme === 'dark', 'fixtures.js default export should be loaded');
+    runner.assert(fixturesPath.endsWith('fixtures.js'), 'fixtures.js path should be returned');
+  });
+
+  await withProject({ 'fixtures.json': '{"a": {}}', 'fixtures.js': 'export default { b: {} };' }, async projectPath => {
+    const { fixtures } = await loadComponentFixtures(projectPath, 'Card');
+    runner.assert(fixtures.a && !fixtures.b, 'fixtures.json should take precedence');
+  });
+});
+
+runner.test('should defer fixtures.js that cannot load in Node to the page', async () => {
+  await withProject({ 'fixtures.js': 'import Icon from "./Icon.vue"; export default { icon: { props: { icon: Icon } } };' }, async projectPath => {
+    const fixture = await resolveFixture(projectPath, 'Card', 'icon');
+    runner.assert(fixture.fixture === null, 'Unloadable fixtures should not be resolved');
+    runner.assert(fixture.warning.includes('only checked by the component page'), 'A warning should explain the skipped check');
+  });
+});
+
+runner.test('should reject missing or invalid fixture files', async () => {
+  await withProject({}, async projectPath => {
+    await runner.assertThrows(() => resolveFixture(projectPath, 'Card', 'empty'));
+  });
+
+  await withProject({ 'fixtures.json': '{ invalid' }, async projectPath => {
+    await runner.assertThrows(() => loadComponentFixtures(projectPath, 'Card'));
+  });
+});
+
+runner.test('should place fixture results in a subfolder', async () => {
+  runner.assert(fixtureResultsDir('/p/results', 'empty') === path.join('/p/results', 'fixtures', 'empty'), 'Fixture results should go to fixtures/<id>');
+  runner.assert(fixtureResultsDir('/p/results', null) === '/p/results', 'No fixture should keep the results directory');
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as componentFixturesTests };
@@ -0,0 +1,173 @@
+import vm from 'vm';
+import { DeterministicRendering, DEFAULT_DETERMINISTIC } from '../deterministic-rendering.js';
+
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running DeterministicRendering Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+const runner = new TestRunner();
+
+/**
+ * 记录 DeterministicRendering.apply 对页面的调用，fail 指定的调用抛出异常（模拟 Chrome 拒绝参数）
+ */
+function createFakePage({ fail = null } = {}) {
+  const calls = [];
+  const check = name => {
+    if (name === fail) throw new Error(`${name} rejected`);
+  };
+  const page = {
+    calls,
+    script: null,
+    evaluateOnNewDocument: async (fn, args) => {
+      page.script = { fn, args };
+      calls.push('script');
+      return { identifier: '1' };
+    },
+    removeScriptToEvaluateOnNewDocument: async identifier => calls.push(`remove ${identifier}`),
+    emulateTimezone: async timezone => {
+      if (timezone) check('timezone');
+      calls.push(`timezone ${timezone}`);
+    },
+    target: () => ({
+      createCDPSession: async () => ({
+        send: async (method, params) => {
+          if (params.locale) check('locale');
+          calls.push(`${method} ${JSON.stringify(params)}`);
+        },
+        detach: async () => calls.push('detach')
+      })
+    })
+  };
+  return page;
+}
+
+/**
+ * 在独立的上下文中执行注入脚本，返回该上下文
+ */
+function runScript({ fn, args }) {
+  const context = vm.createContext({
+    navigator: {},
+    document: { addEventListener: () => {} }
+  });
+  context.window = context;
+  vm.runInContext(`(${fn.toString()})(${JSON.stringify(args)})`, context);
+  return context;
+}
+
+runner.test('should normalize deterministic options', async () => {
+  runner.assert(DeterministicRendering.normalize(undefined) === null, 'Missing option should disable the mode');
+  runner.assert(DeterministicRendering.normalize(false) === null, 'false should disable the mode');
+
+  const defaults = DeterministicRendering.normalize(true);
+  runner.assert(defaults.seed === DEFAULT_DETERMINISTIC.seed && defaults.timezone === DEFAULT_DETERMINISTIC.timezone, 'true should use the defaults');
+
+  const custom = DeterministicRendering.normalize({ seed: 7, now: '2025-06-01', timezone: 'Asia/Shanghai', locale: 'zh-CN' });
+  runner.assert(custom.seed === 7 && custom.now === '2025-06-01T00:00:00.000Z' && custom.locale === 'zh-CN', 'Custom options should be kept');
+
+  await runner.assertThrows(() => DeterministicRendering.normalize('yes'));
+  await runner.assertThrows(() => DeterministicRendering.normalize({ seed: 1.5 }));
+  await runner.assertThrows(() => DeterministicRendering.normalize({ now: 'not a date' }));
+  await runner.assertThrows(() => DeterministicRendering.normalize({ timezone: 'Mars/Base' }));
+});
+
+runner.test('should emulate the environment and restore the pooled page', async () => {
+  const page = createFakePage();
+  const restore = await DeterministicRendering.apply(page, DeterministicRendering.normalize({ timezone: 'Asia/Tokyo', locale: 'ja-JP' }));
+
+  runner.assert(page.calls.includes('timezone Asia/Tokyo'), 'Timezone should be emulated');
+  runner.assert(page.calls.includes('Emulation.setLocaleOverride {"locale":"ja-JP"}'), 'Locale should be overridden');
+  runner.assert(page.script.args.css.includes('caret-color: transparent'), 'Injected CSS should hide the caret');
+
+  await restore();
+  runner.assert(page.calls.includes('remove 1') && page.calls.includes('timezone undefined'), 'Script and timezone should be reset');
+  runner.assert(page.calls.includes('Emulation.setLocaleOverride {}') && page.calls.includes('detach'), 'Locale override should be cleared');
+});
+
+runner.test('should undo applied steps when a later step fails', async () => {
+  const options = DeterministicRendering.normalize(true);
+
+  const localePage = createFakePage({ fail: 'locale' });
+  const localeError = await DeterministicRendering.apply(localePage, options).catch(error => error);
+  runner.assert(localeError instanceof Error && localeError.message === 'locale rejected', 'The original error should be rethrown');
+  runner.assert(localePage.calls.join() === 'script,timezone UTC,detach,timezone undefined,remove 1', `Steps should be undone in reverse order, got ${localePage.calls}`);
+
+  const timezonePage = createFakePage({ fail: 'timezone' });
+  const timezoneError = await DeterministicRendering.apply(timezonePage, options).catch(error => error);
+  runner.assert(timezoneError instanceof Error, 'Timezone failure should be rethrown');
+  runner.assert(timezonePage.calls.join() === 'script,remove 1', `Only the injected script should be removed, got ${timezonePage.calls}`);
+});
+
+runner.test('should freeze Date and seed Math.random in the page', async () => {
+  const page = createFakePage();
+  await DeterministicRendering.apply(page, DeterministicRendering.normalize({ seed: 42, now: '2024-05-01T08:00:00Z' }));
+
+  const first = runScript(page.script);
+  const second = runScript(page.script);
+  const frozen = Date.parse('2024-05-01T08:00:00Z');
+
+  runner.assert(vm.runInContext('Date.now()', first) === frozen, 'Date.now() should be frozen');
+  runner.assert(vm.runInContext('new Date().getTime()', first) === frozen, 'new Date() should be frozen');
+  runner.assert(vm.runInContext('new Date(0).getTime()', first) === 0, 'Explicit dates should be unchanged');
+  runner.assert(vm.runInContext('new Date() instanceof Date', first), 'instanceof Date should keep working');
+  runner.assert(vm.runInContext('navigator.language', first) === 'en-US', 'navigator.language should match the locale');
+
+  const sequence = context => vm.runInContext('[Math.random(), Math.random(), Math.random()].join()', context);
+  runner.assert(sequence(first) === sequence(second), 'Same seed should give the same random sequence');
+  runner.assert(vm.runInContext('Math.random()', first) < 1, 'Random numbers should stay in [0, 1)');
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as deterministicRenderingTests };
@@ -0,0 +1,195 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import net from 'net';
+import { DevServer, DevServerError, DEFAULT_DEV_SERVER_PORT } from '../dev-server.js';
+
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running DevServer Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+const runner = new TestRunner();
+
+/**
+ * 取一个当前空闲的端口
+ */
+function freePort() {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+runner.test('should normalize devServer options', async () => {
+  const defaults = DevServer.normalize(undefined);
+  runner.assert(defaults.port === DEFAULT_DEV_SERVER_PORT && defaults.autoStart === true, 'Defaults should use the default port with autoStart');
+  runner.assert(defaults.url === `http://localhost:${DEFAULT_DEV_SERVER_PORT}`, 'Default URL should point to localhost');
+
+  const custom = DevServer.normalize({ url: 'http://127.0.0.1:5173/', autoStart: false });
+  runner.assert(custom.port === 5173 && custom.url === 'http://127.0.0.1:5173', 'Port should be taken from the URL and the trailing slash dropped');
+
+  await runner.assertThrows(() => DevServer.normalize({ port: 0 }));
+  await runner.assertThrows(() => DevServer.normalize({ autoStart: 'yes' }));
+  await runner.assertThrows(() => DevServer.normalize({ url: 'ftp://localhost:21' }));
+  await runner.assertThrows(() => DevServer.normalize({ port: 3000, url: 'http://localhost:5173' }));
+});
+
+runner.test('should detect a running server without starting one', async () => {
+  const server = http.createServer((req, res) => res.end('ok'));
+  await new Promise(resolve => server.listen(0, resolve));
+
+  try {
+    const options = DevServer.normalize({ port: server.address().port, autoStart: false });
+    runner.assert(await DevServer.probe(options.url), 'Probe should succeed while the server listens');
+
+    const result = await DevServer.ensure(os.tmpdir(), options);
+    runner.assert(result.status === 'running' && result.pid === null, 'An external server should be reported as running');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+runner.test('should fail with solutions when nothing answers and autoStart is off', async () => {
+  const options = DevServer.normalize({ port: await freePort(), autoStart: false });
+  runner.assert(!(await DevServer.probe(options.url)), 'Probe should fail on a closed port');
+  await runner.assertThrows(() => DevServer.ensure(os.tmpdir(), options), DevServerError);
+});
+
+runner.test('should start, track and reuse the project dev server', async () => {
+  const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'dev-server-'));
+  const binDir = path.join(projectPath, 'node_modules', '.bin');
+  await fs.mkdir(binDir, { recursive: true });
+
+  // 用一个只监听 --port 的脚本代替 vite
+  const vitePath = path.join(binDir, 'vite');
+  await fs.writeFile(vitePath, [
+    '#!/usr/bin/env node',
+    "const port = Number(process.argv[process.argv.indexOf('--port') + 1]);",
+    "require('http').createServer((req, res) => res.end('vite')).listen(port);"
+  ].join('\n'));
+  await fs.chmod(vitePath, 0o755);
+
+  let pid = null;
+  try {
+    const options = DevServer.normalize({ port: await freePort() });
+    const started = await DevServer.ensure(projectPath, { ...options, readyTimeout: 10000 });
+    pid = started.pid;
+
+    runner.assert(started.status === 'started' && pid > 0, 'Server should be started');
+    const status = JSON.parse(await fs.readFile(path.join(projectPath, '.vscode', 'auto-start-status.json'), 'utf8'));
+    runner.assert(status.isRunning && status.pid === pid && status.port === options.port, 'PID should be tracked in the status file');
+    const lockLeft = await fs.access(path.join(projectPath, '.vscode', 'auto-start.lock')).then(() => true, () => false);
+    runner.assert(!lockLeft, 'Startup lock should be released');
+
+    const reused = await DevServer.ensure(projectPath, options);
+    runner.assert(reused.status === 'reused' && reused.pid === pid, 'Second call should reuse the started server');
+    await runner.assertThrows(() => DevServer.ensure(os.tmpdir(), options), DevServerError);
+  } finally {
+    if (pid) process.kill(pid);
+    await fs.rm(projectPath, { recursive: true, force: true });
+  }
+});
+
+runner.test('should terminate a dev server that never becomes ready', async () => {
+  const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'dev-server-'));
+  const binDir = path.join(projectPath, 'node_modules', '.bin');
+  await fs.mkdir(binDir, { recursive: true });
+
+  // 一直运行但从不监听端口的 vite，记录自己的 pid 供测试检查
+  const vitePath = path.join(binDir, 'vite');
+  const pidPath = path.join(projectPath, 'vite.pid');
+  await fs.writeFile(vitePath, [
+    '#!/usr/bin/env node',
+    `require('fs').writeFileSync(${JSON.stringify(pidPath)}, String(process.pid));`,
+    'setInterval(() => {}, 1000);'
+  ].join('\n'));
+  await fs.chmod(vitePath, 0o755);
+
+  const isAlive = pid => {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  let pid = null;
+  try {
+    const options = DevServer.normalize({ port: await freePort() });
+    const error = await DevServer.ensure(projectPath, { ...options, readyTimeout: 1500 }).catch(caught => caught);
+    runner.assert(error instanceof DevServerError && error.message.includes('did not become ready'), `Expected a timeout error, got ${error && error.message}`);
+
+    pid = Number(await fs.readFile(pidPath, 'utf8'));
+    for (let attempt = 0; attempt < 20 && isAlive(pid); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    runner.assert(!isAlive(pid), 'Vite should be terminated after the startup timeout');
+
+    const status = JSON.parse(await fs.readFile(path.join(projectPath, '.vscode', 'auto-start-status.json'), 'utf8'));
+    runner.assert(!status.isRunning && status.pid === null, 'Tracking should be cleared');
+  } finally {
+    if (pid && isAlive(pid)) process.kill(pid);
+    await fs.rm(projectPath, { recursive: true, force: true });
+  }
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as devServerTests };
@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DomMap } from '../dom-map.js';
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running DomMap Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+function createDomMap() {
+  return new DomMap({
+    scale: 3,
+    elements: [
+      {
+        path: 'div.card',
+        bbox: { x: 0, y: 0, width: 300, height: 150 },
+        styles: { padding: '8px', 'background-color': 'rgb(255, 255, 255)' }
+      },
+      {
+        path: 'div.card > div.folder-item > span.title',
+        bbox: { x: 30, y: 30, width: 90, height: 60 },
+        text: 'Folder',
+        textBox: { x: 30, y: 33, width: 60, height: 54 },
+        lineCount: 1,
+        truncated: false,
+        styles: { 'font-size': '14px', 'line-height': '20px', 'font-weight': '400', color: 'rgb(0, 0, 0)' }
+      }
+    ]
+  });
+}
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should derive dom map paths from screenshot paths', async () => {
+  runner.assert(DomMap.pathFor('/r/actual.png') === path.join('/r', 'dom-map.json'), 'actual.png should map to dom-map.json');
+  runner.assert(DomMap.pathFor('/r/actual.hover.png') === path.join('/r', 'actual.hover.dom-map.json'), 'Other screenshots should keep their name');
+});
+
+runner.test('should prefer the most specific overlapping element', async () => {
+  const elements = createDomMap().findOverlapping({ x: 12, y: 12, width: 20, height: 10 });
+
+  runner.assert(elements.length === 2, `Expected 2 elements, got ${elements.length}`);
+  runner.assert(elements[0].selector === '.folder-item .title', `Unexpected first match ${elements[0].selector}`);
+  runner.assert(elements[0].bbox.x === 10 && elements[0].bbox.width === 30, 'Boxes should be converted to design px');
+});
+
+runner.test('should ignore elements that do not overlap', async () => {
+  const elements = createDomMap().findOverlapping({ x: 200, y: 200, width: 10, height: 10 });
+  runner.assert(elements.length === 0, 'Region outside the map should not match');
+});
+
+runner.test('should describe regions with key styles', async () => {
+  const elements = createDomMap().findOverlapping({ x: 12, y: 12, width: 20, height: 10 });
+  const summary = DomMap.describe(3, elements);
+
+  runner.assert(summary.startsWith('region 3 overlaps `.folder-item .title` (font-size 14px, line-height 20px'), `Unexpected summary: ${summary}`);
+  runner.assert(DomMap.describe(1, []).includes('does not overlap'), 'Should describe regions without elements');
+});
+
+runner.test('should list text boxes in design px', async () => {
+  const textBoxes = createDomMap().textBoxes();
+
+  runner.assert(textBoxes.length === 1, `Expected 1 text box, got ${textBoxes.length}`);
+  runner.assert(textBoxes[0].box.y === 11 && textBoxes[0].box.width === 20, 'Text box should be converted to design px');
+  runner.assert(textBoxes[0].fontSize === 14 && textBoxes[0].lineCount === 1, 'Font size and line count should be kept');
+});
+
+runner.test('should treat dom maps older than the screenshot as stale', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dom-map-'));
+  const screenshotPath = path.join(dir, 'actual.png');
+
+  try {
+    await fs.writeFile(path.join(dir, 'dom-map.json'), JSON.stringify({ scale: 3, elements: [] }));
+    await fs.writeFile(screenshotPath, '');
+    const past = new Date(Date.now() - 60000);
+    await fs.utimes(path.join(dir, 'dom-map.json'), past, past);
+
+    const stale = await DomMap.load(screenshotPath);
+    runner.assert(stale.domMap === null && stale.stale, 'Older dom map should be stale');
+
+    await fs.utimes(path.join(dir, 'dom-map.json'), new Date(), new Date());
+    const fresh = await DomMap.load(screenshotPath);
+    runner.assert(fresh.domMap instanceof DomMap, 'Fresh dom map should load');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as domMapTests };
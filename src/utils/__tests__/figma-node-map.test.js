@@ -0,0 +1,156 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FigmaNodeMap } from '../figma-node-map.js';
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running FigmaNodeMap Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+function createFrame() {
+  return {
+    id: '1:2',
+    name: 'Card',
+    type: 'FRAME',
+    absoluteBoundingBox: { x: 100, y: 200, width: 100, height: 50 },
+    children: [
+      {
+        id: '1:3',
+        name: 'Folder',
+        type: 'RECTANGLE',
+        absoluteBoundingBox: { x: 120, y: 210, width: 60, height: 30 },
+        cornerRadius: 4,
+        fills: [{ type: 'SOLID', color: { r: 0, g: 0.47, b: 1, a: 1 } }],
+        strokes: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 }, opacity: 0.1 }],
+        strokeWeight: 1
+      },
+      {
+        id: '1:4',
+        name: 'Title',
+        type: 'TEXT',
+        absoluteBoundingBox: { x: 125, y: 215, width: 20, height: 10 },
+        characters: 'Folder',
+        style: { fontFamily: 'Inter', fontWeight: 500, fontSize: 14, lineHeightPx: 20, letterSpacing: 0 },
+        fills: [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2, a: 1 } }]
+      },
+      {
+        id: '1:5',
+        name: 'Hidden',
+        type: 'RECTANGLE',
+        visible: false,
+        absoluteBoundingBox: { x: 125, y: 215, width: 20, height: 10 }
+      }
+    ]
+  };
+}
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should map bounding boxes relative to the root node', async () => {
+  const map = new FigmaNodeMap(createFrame());
+  const folder = map.nodes.find(entry => entry.node.id === '1:3');
+
+  runner.assert(folder.rect.x === 20 && folder.rect.y === 10, `Unexpected origin ${folder.rect.x},${folder.rect.y}`);
+  runner.assert(!map.nodes.some(entry => entry.node.id === '1:5'), 'Hidden nodes should be skipped');
+});
+
+runner.test('should use render bounds as origin when present', async () => {
+  const frame = { ...createFrame(), absoluteRenderBounds: { x: 90, y: 190, width: 120, height: 70 } };
+  const folder = new FigmaNodeMap(frame).nodes.find(entry => entry.node.id === '1:3');
+
+  runner.assert(folder.rect.x === 30 && folder.rect.y === 20, 'Shadow bounds should shift the origin');
+});
+
+runner.test('should prefer the most specific overlapping node', async () => {
+  const nodes = new FigmaNodeMap(createFrame()).findOverlapping({ x: 26, y: 16, width: 16, height: 8 });
+
+  runner.assert(nodes[0].name === 'Title', `Unexpected first match ${nodes[0].name}`);
+  runner.assert(nodes[0].properties.typography.fontSize === 14, 'Should include typography');
+});
+
+runner.test('should describe fills, strokes and radius', async () => {
+  const properties = FigmaNodeMap.describeProperties(createFrame().children[0]);
+
+  runner.assert(properties.fills[0] === '#0078ff', `Unexpected fill ${properties.fills[0]}`);
+  runner.assert(properties.strokes[0] === '#000000 10%', `Unexpected stroke ${properties.strokes[0]}`);
+  runner.assert(properties.cornerRadius === 4, 'Should include corner radius');
+
+  const summary = FigmaNodeMap.describe(1, [{ id: '1:3', name: 'Folder', type: 'RECTANGLE', properties }]);
+  runner.assert(summary === 'region 1 ↔ Figma "Folder" (1:3 RECTANGLE): fills #0078ff, strokes #000000 10% 1px, radius 4px', `Unexpected summary: ${summary}`);
+});
+
+runner.test('should load nodes responses and select nodes by id', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-node-'));
+  const filePath = path.join(dir, 'node.json');
+
+  try {
+    await fs.writeFile(filePath, JSON.stringify({ nodes: { '1:2': { document: createFrame() } } }));
+
+    const map = await FigmaNodeMap.load(filePath);
+    runner.assert(map.root.id === '1:2', 'Should use the first node');
+
+    const folder = await FigmaNodeMap.load(filePath, '1:3');
+    runner.assert(folder.origin.x === 120, 'Should use the requested node as root');
+
+    await runner.assertThrows(() => FigmaNodeMap.load(filePath, '9:9'), Error);
+    await runner.assertThrows(() => FigmaNodeMap.load(path.join(dir, 'missing.json')), Error);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as figmaNodeMapTests };
@@ -0,0 +1,141 @@
+import { PNG } from 'pngjs';
+import { ImageAligner } from '../image-alignment.js';
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running ImageAligner Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+/**
+ * 生成白底图片，并在指定位置绘制纯色矩形
+ */
+function createImage(width, height, rects = []) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (width * y + x) << 2;
+      const rect = rects.find(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+      const [red, green, blue] = rect ? rect.color : [255, 255, 255];
+      png.data[idx] = red;
+      png.data[idx + 1] = green;
+      png.data[idx + 2] = blue;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return png;
+}
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should detect a global offset', async () => {
+  const expected = createImage(80, 60, [{ x: 20, y: 15, width: 30, height: 20, color: [0, 0, 0] }]);
+  const actual = createImage(80, 60, [{ x: 24, y: 13, width: 30, height: 20, color: [0, 0, 0] }]);
+  const offset = new ImageAligner({ maxOffset: 6 }).findBestOffset(expected, actual);
+
+  runner.assert(offset.dx === 4 && offset.dy === -2, `Expected (4, -2), got (${offset.dx}, ${offset.dy})`);
+  runner.assert(offset.cost === 0, 'Aligned images should have zero cost');
+  runner.assert(offset.improvement === 1, 'Should fully explain the difference');
+});
+
+runner.test('should report no offset for aligned images', async () => {
+  const image = createImage(40, 40, [{ x: 10, y: 10, width: 10, height: 10, color: [0, 0, 0] }]);
+  const offset = new ImageAligner().findBestOffset(image, image);
+
+  runner.assert(offset.dx === 0 && offset.dy === 0, 'Should not shift identical images');
+});
+
+runner.test('should not report an offset beyond the search window', async () => {
+  const expected = createImage(80, 40, [{ x: 10, y: 10, width: 10, height: 10, color: [0, 0, 0] }]);
+  const actual = createImage(80, 40, [{ x: 50, y: 10, width: 10, height: 10, color: [0, 0, 0] }]);
+  const offset = new ImageAligner({ maxOffset: 3 }).findBestOffset(expected, actual);
+
+  runner.assert(Math.abs(offset.dx) <= 3 && Math.abs(offset.dy) <= 3, 'Should stay within maxOffset');
+});
+
+runner.test('should find independent offsets per region', async () => {
+  const expected = createImage(100, 40, [
+    { x: 10, y: 10, width: 15, height: 15, color: [0, 0, 0] },
+    { x: 60, y: 10, width: 15, height: 15, color: [0, 0, 200] }
+  ]);
+  const actual = createImage(100, 40, [
+    { x: 12, y: 10, width: 15, height: 15, color: [0, 0, 0] },
+    { x: 60, y: 13, width: 15, height: 15, color: [0, 0, 200] }
+  ]);
+  const regions = [
+    { x: 10, y: 10, width: 17, height: 15 },
+    { x: 60, y: 10, width: 15, height: 18 }
+  ];
+  const [left, right] = new ImageAligner({ maxOffset: 4 }).findRegionOffsets(expected, actual, regions);
+
+  runner.assert(left.dx === 2 && left.dy === 0, `Left region should shift right, got (${left.dx}, ${left.dy})`);
+  runner.assert(right.dx === 0 && right.dy === 3, `Right region should shift down, got (${right.dx}, ${right.dy})`);
+});
+
+runner.test('should shift actual image back into alignment', async () => {
+  const expected = createImage(30, 30, [{ x: 5, y: 5, width: 8, height: 8, color: [0, 0, 0] }]);
+  const actual = createImage(30, 30, [{ x: 7, y: 4, width: 8, height: 8, color: [0, 0, 0] }]);
+  const shifted = ImageAligner.shiftImage(actual, expected, 2, -1);
+
+  runner.assert(Buffer.compare(shifted.data, expected.data) === 0, 'Shifted image should equal expected');
+});
+
+runner.test('should describe offsets in plain words', async () => {
+  runner.assert(ImageAligner.describeOffset(2, -1) === 'actual is shifted +2px right, -1px up', 'Should describe right/up');
+  runner.assert(ImageAligner.describeOffset(-0.33, 0) === 'actual is shifted -0.33px left', 'Should describe left only');
+  runner.assert(ImageAligner.describeOffset(0, 0) === 'actual is aligned with expected', 'Should describe no offset');
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as imageAlignerTests };
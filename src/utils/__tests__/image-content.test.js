@@ -0,0 +1,129 @@
+import { PNG } from 'pngjs';
+import sharp from 'sharp';
+import { createImageContent, createSideBySide, toMcpContent } from '../image-content.js';
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running ImageContent Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+/**
+ * 生成白底图片，并在指定位置绘制纯色矩形
+ */
+function createImage(width, height, rects = []) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (width * y + x) << 2;
+      const rect = rects.find(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+      const [red, green, blue] = rect ? rect.color : [255, 255, 255];
+      png.data[idx] = red;
+      png.data[idx + 1] = green;
+      png.data[idx + 2] = blue;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return png;
+}
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should downscale images to the max dimension', async () => {
+  const image = await createImageContent(createImage(300, 150), { label: 'diff', maxDimension: 100 });
+
+  runner.assert(image.mimeType === 'image/png', 'Should encode as PNG');
+  runner.assert(image.width === 100 && image.height === 50, `Should keep aspect ratio, got ${image.width}x${image.height}`);
+
+  const metadata = await sharp(Buffer.from(image.data, 'base64')).metadata();
+  runner.assert(metadata.width === 100, 'Encoded data should match reported size');
+});
+
+runner.test('should not enlarge small images', async () => {
+  const image = await createImageContent(createImage(40, 20), { label: 'diff', maxDimension: 100 });
+  runner.assert(image.width === 40 && image.height === 20, 'Should keep original size');
+});
+
+runner.test('should place images side by side with a gap', async () => {
+  const red = createImage(10, 10, [{ x: 0, y: 0, width: 10, height: 10, color: [255, 0, 0] }]);
+  const blue = createImage(10, 10, [{ x: 0, y: 0, width: 10, height: 10, color: [0, 0, 255] }]);
+  const composite = PNG.sync.read(await createSideBySide([red, blue]));
+
+  runner.assert(composite.width === 24 && composite.height === 10, `Unexpected size ${composite.width}x${composite.height}`);
+  runner.assert(composite.data[0] === 255 && composite.data[2] === 0, 'First image should be on the left');
+  runner.assert(composite.data[(10 << 2) + 2] === 255 && composite.data[10 << 2] === 255, 'Gap should be white');
+  runner.assert(composite.data[(14 << 2) + 2] === 255 && composite.data[14 << 2] === 0, 'Second image should follow the gap');
+});
+
+runner.test('should split image content out of the JSON text block', async () => {
+  const content = toMcpContent({
+    success: true,
+    imageContent: [{ label: 'diff', mimeType: 'image/png', width: 1, height: 1, data: 'AAAA' }]
+  });
+
+  runner.assert(content.length === 3, `Expected 3 blocks, got ${content.length}`);
+  const data = JSON.parse(content[0].text);
+  runner.assert(data.success === true && !data.imageContent, 'JSON should not contain base64 data');
+  runner.assert(data.images[0].label === 'diff', 'JSON should list returned images');
+  runner.assert(content[2].type === 'image' && content[2].data === 'AAAA', 'Should append an image block');
+});
+
+runner.test('should return a single text block without images', async () => {
+  const content = toMcpContent({ success: true });
+  runner.assert(content.length === 1 && content[0].type === 'text', 'Should only contain the JSON text block');
+  runner.assert(!JSON.parse(content[0].text).images, 'Should not add an images list');
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as imageContentTests };
@@ -0,0 +1,152 @@
+import { PNG } from 'pngjs';
+import { ImageMetrics, SUPPORTED_METRICS } from '../image-metrics.js';
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running ImageMetrics Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+/**
+ * 生成白底图片，并在指定位置绘制纯色矩形
+ */
+function createImage(width, height, rects = []) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (width * y + x) << 2;
+      const rect = rects.find(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+      const [red, green, blue] = rect ? rect.color : [255, 255, 255];
+      png.data[idx] = red;
+      png.data[idx + 1] = green;
+      png.data[idx + 2] = blue;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return png;
+}
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should report perfect scores for identical images', async () => {
+  const image = createImage(32, 32, [{ x: 4, y: 4, width: 12, height: 8, color: [20, 40, 200] }]);
+  const metrics = new ImageMetrics().computeAll(image, image);
+
+  runner.assert(Math.abs(metrics.ssim - 1) < 1e-9, 'SSIM should be 1');
+  runner.assert(metrics.channelMAE.mean === 0, 'MAE should be 0');
+  runner.assert(metrics.perceptual.meanDeltaE === 0, 'Mean ΔE should be 0');
+  runner.assert(metrics.perceptual.perceptualMatchPercentage === 100, 'Perceptual match should be 100%');
+});
+
+runner.test('should compute per-channel mean absolute error', async () => {
+  const expected = createImage(10, 10, [{ x: 0, y: 0, width: 10, height: 10, color: [100, 100, 100] }]);
+  const actual = createImage(10, 10, [{ x: 0, y: 0, width: 10, height: 10, color: [110, 100, 70] }]);
+  const mae = new ImageMetrics().computeChannelMAE(expected, actual);
+
+  runner.assert(mae.r === 10 && mae.g === 0 && mae.b === 30, 'Should average each channel');
+  runner.assert(mae.mean === 40 / 3, 'Should average RGB channels');
+});
+
+runner.test('should penalize structural shifts more than faint color noise', async () => {
+  const expected = createImage(48, 48, [{ x: 10, y: 10, width: 20, height: 20, color: [0, 0, 0] }]);
+  const shifted = createImage(48, 48, [{ x: 13, y: 10, width: 20, height: 20, color: [0, 0, 0] }]);
+  const tinted = createImage(48, 48, [{ x: 10, y: 10, width: 20, height: 20, color: [3, 3, 3] }]);
+  const metrics = new ImageMetrics();
+
+  runner.assert(metrics.computeSSIM(expected, shifted) < metrics.computeSSIM(expected, tinted), 'Shift should lower SSIM more than a tint');
+  runner.assert(metrics.computeColorDelta(expected, tinted).perceptiblePixels === 0, 'Tint should stay below JND');
+});
+
+runner.test('should match the CIEDE2000 reference data', async () => {
+  // Sharma, Wu & Dalal (2005) test pairs
+  const pairs = [
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, -1.3802, -84.2814], [50, 0, -82.7485], 1.0000],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644]
+  ];
+
+  pairs.forEach(([lab1, lab2, expected]) => {
+    const actual = ImageMetrics.deltaE2000(lab1, lab2);
+    runner.assert(Math.abs(actual - expected) < 1e-4, `Expected ${expected}, got ${actual.toFixed(4)}`);
+  });
+});
+
+runner.test('should composite transparent pixels onto white', async () => {
+  const transparent = createImage(4, 4);
+  transparent.data.fill(0);
+  const white = createImage(4, 4);
+  const metrics = new ImageMetrics().computeAll(white, transparent);
+
+  runner.assert(metrics.perceptual.meanDeltaE === 0, 'Transparent should equal white background');
+});
+
+runner.test('should convert each metric into a percentage score', async () => {
+  const metrics = {
+    matchPercentage: 97.5,
+    ssim: 0.99,
+    channelMAE: { mean: 2.55 },
+    perceptual: { perceptualMatchPercentage: 98.2 }
+  };
+
+  runner.assert(ImageMetrics.scoreFor('pixelmatch', metrics) === 97.5, 'pixelmatch score');
+  runner.assert(ImageMetrics.scoreFor('ssim', metrics) === 99, 'ssim score');
+  runner.assert(Math.abs(ImageMetrics.scoreFor('mae', metrics) - 99) < 1e-9, 'mae score');
+  runner.assert(ImageMetrics.scoreFor('deltaE', metrics) === 98.2, 'deltaE score');
+  runner.assert(SUPPORTED_METRICS.length === 4, 'Should list supported metrics');
+  await runner.assertThrows(() => ImageMetrics.scoreFor('psnr', metrics), Error);
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as imageMetricsTests };
@@ -0,0 +1,130 @@
+import { InteractionStates } from '../interaction-states.js';
+
+
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running InteractionStates Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+const runner = new TestRunner();
+
+/**
+ * 记录调用的假页面
+ */
+function createPage({ focused = true } = {}) {
+  const calls = [];
+  return {
+    calls,
+    hover: async selector => calls.push(['hover', selector]),
+    mouse: {
+      down: async () => calls.push(['down']),
+      up: async () => calls.push(['up'])
+    },
+    evaluate: async (fn, selector) => {
+      calls.push(['focus', selector]);
+      return focused;
+    }
+  };
+}
+
+runner.test('should normalize string and object states', async () => {
+  const states = InteractionStates.normalize([
+    'hover',
+    { name: 'pressed', action: 'active', selector: '.btn' },
+    { name: 'disabled' },
+    { name: 'loading', props: { loading: true } }
+  ]);
+
+  runner.assert(states[0].action === 'hover' && states[0].selector === null, 'Built-in name should be its own action');
+  runner.assert(states[1].action === 'active' && states[1].selector === '.btn', 'Explicit action and selector should be kept');
+  runner.assert(states[2].props.disabled === true, 'disabled should set the disabled prop');
+  runner.assert(states[3].action === 'props' && states[3].props.loading === true, 'props-only state should use the props action');
+});
+
+runner.test('should reject invalid states', async () => {
+  await runner.assertThrows(() => InteractionStates.normalize('hover'));
+  await runner.assertThrows(() => InteractionStates.normalize(['hover', 'hover']));
+  await runner.assertThrows(() => InteractionStates.normalize(['pressed']));
+  await runner.assertThrows(() => InteractionStates.normalize([{ name: '../hover' }]));
+  await runner.assertThrows(() => InteractionStates.normalize([{ name: 'x', action: 'props' }]));
+});
+
+runner.test('should derive state file names', async () => {
+  runner.assert(InteractionStates.fileName('actual.png', 'hover') === 'actual.hover.png', 'State should be inserted before the extension');
+  runner.assert(InteractionStates.fileName('expected.png', 'focus') === 'expected.focus.png', 'Expected images should pair by state');
+  runner.assert(InteractionStates.fileName('/a/shot.png', undefined) === '/a/shot.png', 'No state should keep the file name');
+});
+
+runner.test('should drive the page for pointer and focus states', async () => {
+  const [hover, active, focus, disabled] = InteractionStates.normalize(['hover', 'active', 'focus', 'disabled']);
+  const page = createPage();
+
+  runner.assert(await InteractionStates.apply(page, hover, '.screenshot-target') === null, 'hover needs no release');
+  const release = await InteractionStates.apply(page, active, '.screenshot-target');
+  await release();
+  await InteractionStates.apply(page, focus, '.screenshot-target');
+  await InteractionStates.apply(page, disabled, '.screenshot-target');
+
+  const sequence = page.calls.map(call => call.join(' ')).join(', ');
+  runner.assert(
+    sequence === 'hover .screenshot-target, hover .screenshot-target, down, up, focus .screenshot-target',
+    `Unexpected page calls: ${sequence}`
+  );
+
+  await runner.assertThrows(() => InteractionStates.apply(createPage({ focused: false }), focus, '.screenshot-target'));
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as interactionStatesTests };
@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { QualityGate, DEFAULT_QUALITY_GATES } from '../quality-gate.js';
+import { ReportGenerator } from '../report-generator.js';
+
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running QualityGate Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+const metrics = { ssim: 0.95 };
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should default to the 98 score gate', async () => {
+  const gate = new QualityGate();
+
+  runner.assert(gate.gates.minScore === DEFAULT_QUALITY_GATES.minScore, 'Default minScore should be 98');
+  runner.assert(gate.evaluate({ score: 98.5, metric: 'pixelmatch', metrics }).passed, '98.5 should pass');
+
+  const failed = gate.evaluate({ score: 97, metric: 'pixelmatch', metrics });
+  runner.assert(!failed.passed && failed.failedChecks[0].check === 'minScore', 'Score below 98 should fail minScore');
+  runner.assert(!gate.needsRegions, 'Region gates should be disabled by default');
+});
+
+runner.test('should check region area, color delta and SSIM', async () => {
+  const gate = new QualityGate({ minScore: 90, maxRegionArea: 50, maxColorDelta: 5, minSsim: 0.97 });
+  const result = gate.evaluate({
+    score: 95,
+    metric: 'ssim',
+    metrics,
+    regions: [
+      { index: 1, area: 80, colorDelta: 2 },
+      { index: 2, area: 10, colorDelta: 12 }
+    ]
+  });
+
+  const failed = result.failedChecks.map(check => `${check.check}:${check.region ?? ''}`);
+  runner.assert(failed.join() === 'minSsim:,maxRegionArea:1,maxColorDelta:2', `Unexpected failed checks ${failed}`);
+  runner.assert(result.checks.length === 4 && gate.needsRegions, 'All four gates should be evaluated');
+});
+
+runner.test('should reject invalid gates', async () => {
+  await runner.assertThrows(() => new QualityGate({ minScore: 'high' }));
+  await runner.assertThrows(() => new QualityGate({ minSsim: 2 }));
+});
+
+runner.test('should merge project, component and argument gates in order', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quality-gate-'));
+
+  try {
+    await fs.mkdir(path.join(dir, 'src', 'components', 'IconBar'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'figma-restoration.config.json'), JSON.stringify({
+      qualityGates: { minScore: 96, maxRegionArea: 100, components: { IconBar: { minScore: 92 } } }
+    }));
+    await fs.writeFile(path.join(dir, 'src', 'components', 'IconBar', 'metadata.json'), JSON.stringify({
+      qualityGates: { maxColorDelta: 4, statusLevels: { excellent: 97 } }
+    }));
+
+    const gate = await QualityGate.load(dir, 'IconBar', { maxRegionArea: 60 });
+    runner.assert(gate.gates.minScore === 92, 'Component override should win over the project default');
+    runner.assert(gate.gates.maxRegionArea === 60 && gate.gates.maxColorDelta === 4, 'Arguments and metadata should be merged');
+    runner.assert(gate.gates.statusLevels.excellent === 97 && gate.gates.statusLevels.good === 90, 'Status levels should merge per key');
+    runner.assert(gate.sources.length === 5, `Unexpected sources ${gate.sources}`);
+
+    const other = await QualityGate.load(dir, 'Card');
+    runner.assert(other.gates.minScore === 96, 'Other components should use the project gates');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+runner.test('should use configured status levels in reports', async () => {
+  const generator = new ReportGenerator({ statusLevels: { excellent: 99 } });
+
+  runner.assert(generator.determineStatus(97) === 'good', 'Raised excellent cut-off should demote 97');
+  runner.assert(new ReportGenerator().determineStatus(97) === 'excellent', 'Default cut-off should be 95');
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as qualityGateTests };
@@ -0,0 +1,126 @@
+import { RenderReadiness, DEFAULT_READINESS, READINESS_CONDITIONS } from '../render-readiness.js';
+
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running RenderReadiness Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+const runner = new TestRunner();
+
+/**
+ * 只实现 RenderReadiness 用到的页面方法；frames 依次作为目标元素的截图返回
+ */
+function createFakePage({ frames = [], idle = true } = {}) {
+  const calls = [];
+  let frameIndex = 0;
+  return {
+    calls,
+    waitForNetworkIdle: async () => {
+      calls.push('network');
+      if (!idle) throw new Error('Timed out after waiting 5000ms');
+    },
+    addStyleTag: async () => calls.push('style'),
+    evaluate: async fn => {
+      const source = fn.toString();
+      if (source.includes('requestAnimationFrame')) return undefined;
+      if (source.includes('document.fonts')) return { ready: true, loaded: 2, failed: [] };
+      if (source.includes('document.images')) return { ready: true, total: 1, broken: [] };
+      if (source.includes('cancel()')) return 3;
+      return { ready: true, running: 0, infinite: 0 };
+    },
+    $: async () => ({
+      screenshot: async () => Buffer.from(frames[Math.min(frameIndex++, frames.length - 1)])
+    })
+  };
+}
+
+runner.test('should normalize readiness options with defaults', async () => {
+  const options = RenderReadiness.normalize({ animations: 'disable', stableFrames: 3 });
+  runner.assert(options.animations === 'disable' && options.stableFrames === 3, 'Given options should be kept');
+  runner.assert(options.fonts === DEFAULT_READINESS.fonts && options.timeout === DEFAULT_READINESS.timeout, 'Missing options should use defaults');
+
+  await runner.assertThrows(() => RenderReadiness.normalize([]));
+  await runner.assertThrows(() => RenderReadiness.normalize({ fonts: 'yes' }));
+  await runner.assertThrows(() => RenderReadiness.normalize({ animations: 'pause' }));
+  await runner.assertThrows(() => RenderReadiness.normalize({ stableFrames: 1.5 }));
+  await runner.assertThrows(() => RenderReadiness.normalize({ timeout: 0 }));
+});
+
+runner.test('should report every condition in order with its status', async () => {
+  const page = createFakePage({ frames: ['a', 'b', 'b'], idle: false });
+  const report = await RenderReadiness.wait(page, '.target', RenderReadiness.normalize({ animations: 'disable', stableFrames: 2, images: false }));
+
+  runner.assert(report.conditions.map(condition => condition.name).join() === READINESS_CONDITIONS.join(), 'Conditions should be reported in order');
+  const byName = Object.fromEntries(report.conditions.map(condition => [condition.name, condition]));
+  runner.assert(byName.network.status === 'timeout' && !report.ready, 'A timed out condition should mark the page as not ready');
+  runner.assert(byName.images.status === 'skipped', 'Disabled conditions should be skipped');
+  runner.assert(byName.fonts.detail.loaded === 2, 'Condition details should be kept');
+  runner.assert(byName.animations.detail.disabled === 3 && page.calls.includes('style'), 'Animations should be disabled with injected CSS');
+  runner.assert(byName.frames.status === 'ready' && byName.frames.detail.captured === 3, 'Frames should be captured until two in a row are identical');
+  runner.assert(report.conditions.every(condition => Number.isFinite(condition.ms)), 'Each condition should report its duration');
+});
+
+runner.test('should time out when frames never settle', async () => {
+  let frame = 0;
+  const page = {
+    evaluate: async () => undefined,
+    $: async () => ({ screenshot: async () => Buffer.from(`frame-${frame++}`) })
+  };
+  const result = await RenderReadiness.waitForStableFrames(page, '.target', 2, 50);
+  runner.assert(!result.ready && result.captured > 1, 'Changing frames should not be reported as stable');
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as renderReadinessTests };
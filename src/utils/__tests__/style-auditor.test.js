@@ -0,0 +1,231 @@
+import { StyleAuditor } from '../style-auditor.js';
+import { FigmaNodeMap } from '../figma-node-map.js';
+import { DomMap } from '../dom-map.js';
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running StyleAuditor Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+const BOX_STYLES = {
+  'background-color': 'rgba(0, 0, 0, 0)',
+  'border-top-width': '0px',
+  'box-shadow': 'none',
+  'box-sizing': 'border-box',
+  'border-top-left-radius': '0px',
+  'border-top-right-radius': '0px',
+  'border-bottom-right-radius': '0px',
+  'border-bottom-left-radius': '0px'
+};
+
+function createFrame(overrides = {}) {
+  return {
+    id: '1:2',
+    name: 'Card',
+    type: 'FRAME',
+    absoluteBoundingBox: { x: 0, y: 0, width: 100, height: 40 },
+    layoutMode: 'HORIZONTAL',
+    paddingLeft: 8,
+    paddingRight: 8,
+    paddingTop: 4,
+    paddingBottom: 4,
+    itemSpacing: 6,
+    cornerRadius: 4,
+    fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+    children: [
+      {
+        id: '1:3',
+        name: 'Label',
+        type: 'TEXT',
+        characters: 'Open',
+        absoluteBoundingBox: { x: 8, y: 10, width: 30, height: 20 },
+        style: { fontFamily: 'Inter', fontWeight: 500, fontSize: 14, lineHeightPx: 20, letterSpacing: 0 },
+        fills: [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2, a: 1 } }]
+      }
+    ],
+    ...overrides
+  };
+}
+
+function createDomMap(cardStyles = {}, labelStyles = {}) {
+  return new DomMap({
+    scale: 1,
+    elements: [
+      {
+        path: 'div.card',
+        bbox: { x: 0, y: 0, width: 100, height: 40 },
+        styles: {
+          ...BOX_STYLES,
+          'background-color': 'rgb(255, 255, 255)',
+          'padding-top': '4px',
+          'padding-right': '8px',
+          'padding-bottom': '4px',
+          'padding-left': '8px',
+          'column-gap': '6px',
+          'border-top-left-radius': '4px',
+          'border-top-right-radius': '4px',
+          'border-bottom-right-radius': '4px',
+          'border-bottom-left-radius': '4px',
+          ...cardStyles
+        }
+      },
+      {
+        path: 'div.card > span.label',
+        bbox: { x: 8, y: 10, width: 30, height: 20 },
+        text: 'Open',
+        styles: {
+          'font-family': '"Inter", sans-serif',
+          'font-size': '14px',
+          'font-weight': '500',
+          'line-height': '20px',
+          'letter-spacing': 'normal',
+          color: 'rgb(51, 51, 51)',
+          ...labelStyles
+        }
+      }
+    ]
+  });
+}
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should report no mismatches when styles follow the design', async () => {
+  const audit = new StyleAuditor().audit(new FigmaNodeMap(createFrame()), createDomMap());
+
+  runner.assert(audit.summary.matchedNodes === 2, `Expected 2 matched nodes, got ${audit.summary.matchedNodes}`);
+  runner.assert(audit.mismatches.length === 0, `Unexpected mismatches: ${JSON.stringify(audit.mismatches)}`);
+});
+
+runner.test('should report typography mismatches outside tolerance', async () => {
+  const audit = new StyleAuditor().audit(
+    new FigmaNodeMap(createFrame()),
+    createDomMap({}, { 'font-size': '14.4px', 'font-weight': '400', 'line-height': 'normal', 'font-family': 'Arial' })
+  );
+  const properties = audit.mismatches.map(mismatch => mismatch.property).sort();
+
+  runner.assert(properties.join(',') === 'font-family,font-weight,line-height', `Unexpected properties ${properties}`);
+});
+
+runner.test('should report spacing, gap and radius differences', async () => {
+  const audit = new StyleAuditor().audit(
+    new FigmaNodeMap(createFrame()),
+    createDomMap({ 'padding-left': '12px', 'column-gap': 'normal', 'border-top-left-radius': '8px' })
+  );
+  const byProperty = Object.fromEntries(audit.mismatches.map(mismatch => [mismatch.property, mismatch]));
+
+  runner.assert(byProperty['padding-left'].difference === 4, 'Should report padding difference');
+  runner.assert(byProperty['column-gap'].actual === 0, 'normal gap should count as 0');
+  runner.assert(byProperty['border-top-left-radius'].expected === 4, 'Should report radius');
+});
+
+runner.test('should include outside strokes in the expected size and require border-box', async () => {
+  const frame = createFrame({
+    strokes: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+    strokeWeight: 2,
+    strokeAlign: 'OUTSIDE',
+    layoutSizingHorizontal: 'HUG'
+  });
+  const audit = new StyleAuditor().audit(
+    new FigmaNodeMap(frame),
+    createDomMap({ 'border-top-width': '2px', 'border-color': 'rgb(0, 0, 0)', 'box-sizing': 'content-box' })
+  );
+  const byProperty = Object.fromEntries(audit.mismatches.map(mismatch => [mismatch.property, mismatch]));
+
+  runner.assert(byProperty.width.expected === 104, `Expected width 104, got ${byProperty.width.expected}`);
+  runner.assert(byProperty.width.hint.includes('hug'), 'Hug sizing should explain not to fix the width');
+  runner.assert(byProperty['box-sizing'].tip.includes('边框盒模型'), 'Should point to the box-model tip');
+  runner.assert(!byProperty['border-width'], 'Border width should match');
+});
+
+runner.test('should compare colors and shadows', async () => {
+  const frame = createFrame({
+    effects: [{ type: 'DROP_SHADOW', visible: true, offset: { x: 0, y: 2 }, radius: 4, color: { r: 0, g: 0, b: 0, a: 0.1 } }]
+  });
+  const matching = new StyleAuditor().audit(
+    new FigmaNodeMap(frame),
+    createDomMap({ 'box-shadow': 'rgba(0, 0, 0, 0.1) 0px 2px 4px 0px' })
+  );
+  runner.assert(matching.mismatches.length === 0, `Unexpected mismatches: ${JSON.stringify(matching.mismatches)}`);
+
+  const different = new StyleAuditor().audit(
+    new FigmaNodeMap(frame),
+    createDomMap({ 'box-shadow': 'none', 'background-color': 'rgb(250, 250, 250)' })
+  );
+  const properties = different.mismatches.map(mismatch => mismatch.property).sort();
+  runner.assert(properties.join(',') === 'background-color,box-shadow', `Unexpected properties ${properties}`);
+});
+
+runner.test('should use explicit mappings and report unmatched nodes', async () => {
+  const frame = createFrame();
+  frame.children[0].absoluteBoundingBox = { x: 60, y: 10, width: 30, height: 20 };
+  const domMap = createDomMap();
+
+  const unmapped = new StyleAuditor().audit(new FigmaNodeMap(frame), domMap);
+  runner.assert(unmapped.unmatchedNodes[0].id === '1:3', 'Label should not match by position');
+
+  const mapped = new StyleAuditor().audit(new FigmaNodeMap(frame), domMap, { mappings: { '1:3': domMap.elements[1] } });
+  runner.assert(mapped.unmatchedNodes.length === 0 && mapped.matches[1].mapped, 'Mapping should pair the label');
+});
+
+runner.test('should parse computed box-shadow lists', async () => {
+  const shadows = StyleAuditor.parseBoxShadow('rgba(0, 0, 0, 0.1) 0px 2px 4px 0px, rgb(255, 0, 0) 1px 1px 0px 0px inset');
+
+  runner.assert(shadows.length === 2, 'Should split on commas outside parentheses');
+  runner.assert(shadows[0].y === 2 && shadows[0].color.a === 0.1, 'Should parse offsets and color');
+  runner.assert(shadows[1].inset && shadows[1].color.r === 255, 'Should parse inset shadows');
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as styleAuditorTests };
@@ -0,0 +1,162 @@
+import { PNG } from 'pngjs';
+import { TextAnalyzer } from '../text-analyzer.js';
+
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running TextAnalyzer Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+// 白底图片，按设计稿 px（pixelRatio 3）绘制代表字形的色块，默认黑色
+function createImage(glyphs, { width = 60, height = 30 } = {}) {
+  const png = new PNG({ width: width * 3, height: height * 3 });
+  png.data.fill(255);
+  glyphs.forEach(({ x, y, w, h, color = [0, 0, 0] }) => {
+    for (let py = y * 3; py < (y + h) * 3; py++) {
+      for (let px = x * 3; px < (x + w) * 3; px++) {
+        const idx = (png.width * py + px) << 2;
+        png.data[idx] = color[0];
+        png.data[idx + 1] = color[1];
+        png.data[idx + 2] = color[2];
+      }
+    }
+  });
+  return png;
+}
+
+const textBox = {
+  path: 'div.card > span.title',
+  selector: '.card .title',
+  text: 'Folder',
+  box: { x: 10, y: 5, width: 30, height: 10 },
+  lineCount: 1,
+  truncated: false,
+  fontSize: 10
+};
+
+const line = [{ x: 10, y: 6, w: 30, h: 8 }];
+
+// Test suite
+const runner = new TestRunner();
+
+runner.test('should exclude only low-difference pixels of text boxes that differ by anti-aliasing', async () => {
+  const analyzer = new TextAnalyzer({ pixelRatio: 3 });
+  const antiAliased = createImage([...line, { x: 40, y: 6, w: 1, h: 8, color: [200, 200, 200] }]);
+  const result = analyzer.analyze(createImage(line), antiAliased, [textBox]);
+  const index = (x, y) => 180 * y + x;
+
+  runner.assert(result.summary.excluded === 1, 'Matching glyph box should be excluded');
+  runner.assert(result.issues.length === 0, 'No issues expected');
+  // 加边距后的文本框：设计稿 (8, 3) 34 × 14，即 102 × 42 个比较像素
+  runner.assert(result.summary.excludedPixels === 102 * 42, `Expected 4284 excluded pixels, got ${result.summary.excludedPixels}`);
+  runner.assert(result.excludedPixels[index(24, 9)] === 1 && result.excludedPixels[index(121, 20)] === 1, 'Glyph and anti-aliased edge pixels should be excluded');
+  runner.assert(result.excludedPixels[index(23, 9)] === 0 && result.excludedPixels[index(24, 51)] === 0, 'Pixels outside the padded box should stay scored');
+
+  const edited = createImage([...line, { x: 41, y: 6, w: 1, h: 8, color: [200, 200, 200] }, { x: 12, y: 6, w: 1, h: 8, color: [255, 255, 255] }]);
+  const partial = analyzer.analyze(createImage(line), edited, [textBox]).excludedPixels;
+  runner.assert(partial[index(36, 20)] === 0, 'Pixels that clearly differ should stay scored even in a matching box');
+});
+
+runner.test('should keep same-size text in a different color or weight in the score', async () => {
+  const analyzer = new TextAnalyzer({ pixelRatio: 3 });
+  const red = analyzer.analyze(createImage(line), createImage([{ ...line[0], color: [220, 0, 0] }]), [textBox]);
+  const thin = analyzer.analyze(createImage(line), createImage([{ x: 10, y: 6, w: 10, h: 8 }, { x: 30, y: 6, w: 10, h: 8 }]), [textBox]);
+
+  runner.assert(red.issues[0].issues.join() === 'color-mismatch', `Unexpected issues ${red.issues[0].issues}`);
+  runner.assert(red.issues[0].inkColorDelta > 10, `Expected a visible ink color delta, got ${red.issues[0].inkColorDelta}`);
+  runner.assert(red.summary.excluded === 0 && red.excludedPixels === null, 'Recolored text must not be excluded from the score');
+  runner.assert(thin.issues[0].issues.join() === 'weight-mismatch', `Unexpected issues ${thin.issues[0].issues}`);
+  runner.assert(thin.excludedPixels === null, 'Text with less ink must not be excluded from the score');
+});
+
+runner.test('should report baseline shift and width overflow', async () => {
+  const analyzer = new TextAnalyzer({ pixelRatio: 3 });
+  const noisy = createImage([{ x: 10, y: 7, w: 31, h: 7 }, { x: 10, y: 6, w: 1, h: 8 }]);
+  const result = analyzer.analyze(createImage(line), createImage([{ x: 10, y: 8, w: 32, h: 8 }]), [textBox]);
+  const [entry] = result.issues;
+
+  runner.assert(entry.baselineShift === 2, `Expected baseline shift 2, got ${entry.baselineShift}`);
+  runner.assert(entry.widthDelta === 2, `Expected width delta 2, got ${entry.widthDelta}`);
+  runner.assert(entry.issues.includes('baseline-shift') && entry.issues.includes('width-overflow'), `Unexpected issues ${entry.issues}`);
+  runner.assert(analyzer.analyze(createImage(line), noisy, [textBox]).issues.length === 0, 'Same bottom and width within tolerance should be noise');
+});
+
+runner.test('should flag wrong wrapping', async () => {
+  const analyzer = new TextAnalyzer({ pixelRatio: 3 });
+  const wrapped = createImage([{ x: 10, y: 2, w: 20, h: 6 }, { x: 10, y: 11, w: 10, h: 6 }]);
+  const result = analyzer.analyze(createImage(line), wrapped, [{ ...textBox, box: { x: 10, y: 1, width: 30, height: 17 } }]);
+
+  runner.assert(result.issues[0].issues.join() === 'line-wrap', `Unexpected issues ${result.issues[0].issues}`);
+  runner.assert(result.issues[0].expected.lines === 1 && result.issues[0].actual.lines === 2, 'Line counts should be reported');
+});
+
+runner.test('should only flag truncation that hides design content', async () => {
+  const analyzer = new TextAnalyzer({ pixelRatio: 3 });
+  const truncated = { ...textBox, truncated: true };
+  const short = analyzer.analyze(createImage(line), createImage([{ x: 10, y: 6, w: 20, h: 8 }]), [truncated]);
+  const same = analyzer.analyze(createImage(line), createImage(line), [truncated]);
+
+  runner.assert(short.issues[0].issues.includes('truncation'), 'Truncated text narrower than the design should be flagged');
+  runner.assert(same.issues.length === 0, 'Truncation that matches the design should not be flagged');
+});
+
+runner.test('should merge short ink runs into neighbouring lines', async () => {
+  const rows = new Uint8Array([1, 1, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0, 0, 1, 1, 1, 1, 1, 1]);
+
+  runner.assert(TextAnalyzer.findLines(rows, 4).length === 2, 'Dot above the first line should not count as a line');
+  runner.assert(TextAnalyzer.findLines(rows, 0).length === 3, 'Without a minimum every run is a line');
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as textAnalyzerTests };
@@ -0,0 +1,110 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ViewportMatrix, VIEWPORTS_FILE, DEFAULT_VIEWPORT_SCALE } from '../viewport-matrix.js';
+
+
+
+/**
+ * Simple test runner
+ */
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  async run() {
+    console.log('🧪 Running ViewportMatrix Tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async assertThrows(fn, expectedError) {
+    try {
+      await fn();
+      throw new Error('Expected function to throw an error');
+    } catch (error) {
+      if (expectedError && !(error instanceof expectedError)) {
+        throw new Error(`Expected ${expectedError.name}, got ${error.constructor.name}`);
+      }
+    }
+  }
+}
+
+const runner = new TestRunner();
+
+runner.test('should normalize viewports with the default scale', async () => {
+  const viewports = ViewportMatrix.normalize([
+    { name: 'mobile', width: 375, height: 812, scale: 2 },
+    { name: 'desktop', width: 1440, height: 900 }
+  ]);
+
+  runner.assert(viewports[0].scale === 2, 'Explicit scale should be kept');
+  runner.assert(viewports[1].scale === DEFAULT_VIEWPORT_SCALE, 'Missing scale should default to the capture scale');
+  runner.assert(ViewportMatrix.normalize(undefined).length === 0, 'No viewports should normalize to an empty list');
+});
+
+runner.test('should reject invalid viewports', async () => {
+  await runner.assertThrows(() => ViewportMatrix.normalize({ name: 'mobile' }));
+  await runner.assertThrows(() => ViewportMatrix.normalize([{ name: 'mobile', width: 375 }]));
+  await runner.assertThrows(() => ViewportMatrix.normalize([{ name: 'mobile/x', width: 375, height: 812 }]));
+  await runner.assertThrows(() => ViewportMatrix.normalize([{ name: 'mobile', width: 375, height: 812, scale: 0 }]));
+  await runner.assertThrows(() => ViewportMatrix.normalize([
+    { name: 'mobile', width: 375, height: 812 },
+    { name: 'mobile', width: 390, height: 844 }
+  ]));
+});
+
+runner.test('should merge saved viewports by name', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'viewports-'));
+  try {
+    await ViewportMatrix.save(dir, [
+      { name: 'mobile', width: 375, height: 812, scale: 2, path: path.join(dir, 'actual.mobile.png') },
+      { name: 'tablet', width: 768, height: 1024, scale: 2, path: path.join(dir, 'actual.tablet.png') }
+    ]);
+    const viewportsPath = await ViewportMatrix.save(dir, [
+      { name: 'mobile', width: 390, height: 844, scale: 3, path: path.join(dir, 'actual.mobile.png') }
+    ]);
+
+    runner.assert(viewportsPath === path.join(dir, VIEWPORTS_FILE), 'viewports.json should be written to the results directory');
+    const mobile = await ViewportMatrix.load(dir, 'mobile');
+    runner.assert(mobile.width === 390 && mobile.scale === 3 && mobile.file === 'actual.mobile.png', 'Recapture should replace the entry');
+    runner.assert((await ViewportMatrix.load(dir, 'tablet')).width === 768, 'Other viewports should be kept');
+    runner.assert(await ViewportMatrix.load(dir, 'desktop') === null, 'Unknown viewport should load as null');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runner as viewportMatrixTests };
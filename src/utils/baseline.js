@@ -0,0 +1,105 @@
+/**
+ * 回归基准
+ * 组件达到还原目标后，把当前的 actual.png 批准为 baseline.png 并记录元数据；
+ * 之后 figma_compare 可以用 against: 'baseline' 对比已批准的渲染结果，发现重构带来的回归，
+ * 而不受 Figma 与浏览器渲染差异的影响
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { ComparisonHistory } from './comparison-history.js';
+
+// results 目录下的基准图片与元数据文件
+export const BASELINE_FILE = 'baseline.png';
+export const BASELINE_METADATA_FILE = 'baseline.json';
+
+// 与基准对比时的输出目录，避免覆盖与设计稿对比的 diff.png 等结果
+export const REGRESSION_DIR = 'regression';
+
+export class Baseline {
+  /**
+   * 把 actual.png 批准为基准
+   * @param {string} resultsDir - 组件的 results 目录
+   * @param {Object} options
+   * @param {string} options.componentName - 组件名称
+   * @param {string} options.projectPath - 用于读取 git 提交的项目路径
+   * @param {string} options.note - 批准说明
+   * @param {boolean} options.requirePassed - 只有最近一次与设计稿的对比通过且不早于截图时才允许批准
+   * @returns {Promise<{metadata: Object, baselinePath: string, metadataPath: string}>}
+   */
+  static async approve(resultsDir, { componentName, projectPath, note, requirePassed = false } = {}) {
+    const actualPath = path.join(resultsDir, 'actual.png');
+    let actualStat;
+    try {
+      actualStat = await fs.stat(actualPath);
+    } catch (error) {
+      throw new Error(`Screenshot not found: ${actualPath}. Take a screenshot with snapdom_screenshot before approving a baseline.`);
+    }
+
+    const comparison = await Baseline.latestComparison(resultsDir, actualStat.mtimeMs);
+    if (requirePassed && !(comparison && comparison.passed)) {
+      throw new Error(comparison
+        ? `The latest comparison did not pass (${comparison.metric}: ${comparison.score.toFixed(2)}). Fix the component or approve without requirePassed.`
+        : 'No comparison newer than actual.png was found. Run figma_compare first or approve without requirePassed.');
+    }
+
+    const previous = await Baseline.load(resultsDir);
+    const baselinePath = path.join(resultsDir, BASELINE_FILE);
+    await fs.copyFile(actualPath, baselinePath);
+
+    const buffer = await fs.readFile(baselinePath);
+    const { width, height } = await sharp(buffer).metadata();
+
+    const metadata = {
+      componentName,
+      approvedAt: new Date().toISOString(),
+      source: 'actual.png',
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      dimensions: { width, height },
+      gitCommit: projectPath ? await ComparisonHistory.gitCommit(projectPath) : null,
+      note: note || null,
+      comparison,
+      previous: previous ? { approvedAt: previous.approvedAt, sha256: previous.sha256 } : null
+    };
+
+    const metadataPath = path.join(resultsDir, BASELINE_METADATA_FILE);
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+    return { metadata, baselinePath, metadataPath };
+  }
+
+  /**
+   * 读取基准元数据，没有基准时返回 null
+   */
+  static async load(resultsDir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(resultsDir, BASELINE_METADATA_FILE), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 读取与设计稿的最近一次对比结果；早于截图的 comparison-data.json 说明截图之后没有再对比，视为没有结果
+   */
+  static async latestComparison(resultsDir, actualMtimeMs) {
+    const comparisonDataPath = path.join(resultsDir, 'comparison-data.json');
+    try {
+      const stat = await fs.stat(comparisonDataPath);
+      if (stat.mtimeMs < actualMtimeMs) return null;
+
+      const data = JSON.parse(await fs.readFile(comparisonDataPath, 'utf8'));
+      return {
+        metric: data.metric || 'pixelmatch',
+        score: data.score ?? data.matchPercentage,
+        matchPercentage: data.matchPercentage,
+        passed: Boolean(data.passed),
+        timestamp: data.timestamp
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+}
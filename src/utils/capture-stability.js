@@ -0,0 +1,199 @@
+/**
+ * 截图稳定性
+ * snapdom_screenshot 在同一页面中连续截取 n 次并逐像素比较，判断渲染是否稳定；
+ * 任意两次截图不一致的像素组成噪声底图（actual.noise.png），
+ * figma_compare 的 subtractNoise 会把这些像素从差异中排除，区分代码改动与渲染噪声
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { PNG } from 'pngjs';
+
+// verifyStability 的截图次数范围
+export const MIN_STABILITY_CAPTURES = 2;
+export const MAX_STABILITY_CAPTURES = 10;
+
+// 两次截图之间的间隔（毫秒），覆盖光标闪烁等周期性变化
+export const STABILITY_INTERVAL = 250;
+
+// 噪声底图中不稳定像素的颜色（品红），其余像素透明
+const NOISE_COLOR = [255, 0, 255];
+
+export class CaptureStability {
+  /**
+   * 校验 verifyStability 参数，0 或未传表示不验证
+   * @returns {number} 截图次数，0 表示不验证
+   */
+  static normalize(verifyStability = 0) {
+    if (verifyStability === 0 || verifyStability === false) return 0;
+
+    if (!Number.isInteger(verifyStability) || verifyStability < MIN_STABILITY_CAPTURES || verifyStability > MAX_STABILITY_CAPTURES) {
+      throw new Error(`❌ 参数错误: verifyStability 必须是 0 或 ${MIN_STABILITY_CAPTURES}-${MAX_STABILITY_CAPTURES} 之间的整数，收到: ${verifyStability}`);
+    }
+
+    return verifyStability;
+  }
+
+  /**
+   * 截图文件对应的噪声底图与报告路径：actual.png → actual.noise.png / actual.stability.json
+   */
+  static pathsFor(screenshotPath) {
+    const base = screenshotPath.replace(/\.(png|jpe?g)$/i, '');
+    return { noiseMapPath: `${base}.noise.png`, reportPath: `${base}.stability.json` };
+  }
+
+  /**
+   * 逐像素比较多次截图，任一通道与第一次截图不同的像素记为不稳定
+   * @param {Buffer[]} buffers - PNG 截图
+   * @returns {{stable: boolean, captures: number, width: number, height: number, sizeMismatch: boolean, unstablePixels: number, unstablePercentage: number, maxChannelDelta: number, perCapture: number[], noiseMap: Uint8Array|null}}
+   */
+  static compare(buffers) {
+    const images = buffers.map(buffer => PNG.sync.read(buffer));
+    const [first] = images;
+    const { width, height } = first;
+
+    // 尺寸变化本身就说明渲染不稳定，无法逐像素比较
+    if (images.some(image => image.width !== width || image.height !== height)) {
+      return {
+        stable: false,
+        captures: images.length,
+        width,
+        height,
+        sizeMismatch: true,
+        sizes: images.map(image => ({ width: image.width, height: image.height })),
+        unstablePixels: width * height,
+        unstablePercentage: 100,
+        maxChannelDelta: 255,
+        perCapture: [],
+        noiseMap: null
+      };
+    }
+
+    const noiseMap = new Uint8Array(width * height);
+    const perCapture = images.slice(1).map(() => 0);
+    let maxChannelDelta = 0;
+
+    images.slice(1).forEach((image, captureIndex) => {
+      for (let i = 0; i < noiseMap.length; i++) {
+        const idx = i << 2;
+        let delta = 0;
+        for (let channel = 0; channel < 4; channel++) {
+          delta = Math.max(delta, Math.abs(image.data[idx + channel] - first.data[idx + channel]));
+        }
+        if (delta > 0) {
+          noiseMap[i] = 1;
+          perCapture[captureIndex]++;
+          maxChannelDelta = Math.max(maxChannelDelta, delta);
+        }
+      }
+    });
+
+    const unstablePixels = noiseMap.reduce((sum, value) => sum + value, 0);
+    return {
+      stable: unstablePixels === 0,
+      captures: images.length,
+      width,
+      height,
+      sizeMismatch: false,
+      unstablePixels,
+      unstablePercentage: (unstablePixels / (width * height)) * 100,
+      maxChannelDelta,
+      perCapture,
+      noiseMap
+    };
+  }
+
+  /**
+   * 保存噪声底图和稳定性报告
+   * @param {string} screenshotPath - 对应的截图路径
+   * @param {Object} result - compare 的结果
+   * @returns {Promise<{noiseMapPath: string|null, reportPath: string}>}
+   */
+  static async save(screenshotPath, result) {
+    const { noiseMapPath, reportPath } = CaptureStability.pathsFor(screenshotPath);
+    const { noiseMap, ...report } = result;
+
+    if (noiseMap) {
+      const png = new PNG({ width: result.width, height: result.height });
+      for (let i = 0; i < noiseMap.length; i++) {
+        if (!noiseMap[i]) continue;
+        const idx = i << 2;
+        png.data[idx] = NOISE_COLOR[0];
+        png.data[idx + 1] = NOISE_COLOR[1];
+        png.data[idx + 2] = NOISE_COLOR[2];
+        png.data[idx + 3] = 255;
+      }
+      await fs.writeFile(noiseMapPath, PNG.sync.write(png));
+    } else {
+      await fs.rm(noiseMapPath, { force: true });
+    }
+
+    await fs.writeFile(reportPath, JSON.stringify({
+      screenshot: path.basename(screenshotPath),
+      ...report,
+      noiseMap: noiseMap ? path.basename(noiseMapPath) : null,
+      timestamp: new Date().toISOString()
+    }, null, 2));
+
+    return { noiseMapPath: noiseMap ? noiseMapPath : null, reportPath };
+  }
+
+  /**
+   * 把噪声底图换算到比较图片的尺寸，目标像素覆盖的任一源像素不稳定即视为不稳定
+   * @param {PNG} noisePng - 噪声底图（截图 px）
+   * @param {number} width - 比较图片宽度
+   * @param {number} height - 比较图片高度
+   * @returns {Uint8Array} 1 表示不稳定
+   */
+  static resample(noisePng, width, height) {
+    const scaleX = noisePng.width / width;
+    const scaleY = noisePng.height / height;
+    const unstable = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      const top = Math.floor(y * scaleY);
+      const bottom = Math.min(noisePng.height, Math.max(top + 1, Math.ceil((y + 1) * scaleY)));
+      for (let x = 0; x < width; x++) {
+        const left = Math.floor(x * scaleX);
+        const right = Math.min(noisePng.width, Math.max(left + 1, Math.ceil((x + 1) * scaleX)));
+
+        search:
+        for (let sy = top; sy < bottom; sy++) {
+          for (let sx = left; sx < right; sx++) {
+            if (noisePng.data[((noisePng.width * sy + sx) << 2) + 3] > 0) {
+              unstable[width * y + x] = 1;
+              break search;
+            }
+          }
+        }
+      }
+    }
+
+    return unstable;
+  }
+
+  /**
+   * 读取截图对应的稳定性报告和噪声底图；截图在验证之后重新生成过时视为过期
+   * @param {string} screenshotPath - 截图路径
+   * @returns {Promise<{report: Object|null, noisePng: PNG|null, path: string, stale: boolean}>}
+   */
+  static async load(screenshotPath) {
+    const { noiseMapPath, reportPath } = CaptureStability.pathsFor(screenshotPath);
+
+    let reportStat;
+    let screenshotStat;
+    try {
+      [reportStat, screenshotStat] = await Promise.all([fs.stat(reportPath), fs.stat(screenshotPath)]);
+    } catch (error) {
+      return { report: null, noisePng: null, path: reportPath, stale: false };
+    }
+
+    if (reportStat.mtimeMs < screenshotStat.mtimeMs) {
+      return { report: null, noisePng: null, path: reportPath, stale: true };
+    }
+
+    const report = JSON.parse(await fs.readFile(reportPath, 'utf8'));
+    const noisePng = report.noiseMap ? PNG.sync.read(await fs.readFile(noiseMapPath)) : null;
+    return { report, noisePng, path: reportPath, stale: false };
+  }
+}
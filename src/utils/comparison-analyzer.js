@@ -5,6 +5,7 @@
 
 import { PNG } from 'pngjs';
 import pixelmatch from 'pixelmatch';
+import { ImageAligner } from './image-alignment.js';
 
 export class ComparisonAnalyzer {
   constructor(options = {}) {
@@ -13,75 +14,101 @@ export class ComparisonAnalyzer {
     this.alpha = options.alpha || 0.1;
     this.aaColor = options.aaColor || [255, 255, 0];
     this.diffColor = options.diffColor || [255, 0, 0];
+    this.diffColorAlt = options.diffColorAlt || null;
+    // 局部对齐：为每个差异区域搜索平移量，把错位区域标记为可操作的位置偏移
+    this.alignRegions = options.alignRegions === true;
+    this.maxOffset = options.maxOffset ?? 9;
+    this.pixelRatio = options.pixelRatio || 1;
   }
 
   /**
    * 执行完整的对比分析
    * @param {Buffer} expectedBuffer - 期望图片的缓冲区
    * @param {Buffer} actualBuffer - 实际图片的缓冲区
+   * @param {Object} options - 可选参数，见 analyzeImages
    * @returns {Promise<ComparisonResult>} 详细的对比分析结果
    */
-  async analyzeComparison(expectedBuffer, actualBuffer) {
+  async analyzeComparison(expectedBuffer, actualBuffer, options = {}) {
     try {
       // 解析PNG图片
       const expectedPng = PNG.sync.read(expectedBuffer);
       const actualPng = PNG.sync.read(actualBuffer);
 
-      // 验证图片尺寸
-      if (expectedPng.width !== actualPng.width || expectedPng.height !== actualPng.height) {
-        throw new Error(`Image dimensions mismatch: expected ${expectedPng.width}x${expectedPng.height}, got ${actualPng.width}x${actualPng.height}`);
-      }
+      return await this.analyzeImages(expectedPng, actualPng, options);
+    } catch (error) {
+      throw new Error(`Comparison analysis failed: ${error.message}`);
+    }
+  }
 
-      const { width, height } = expectedPng;
-      const totalPixels = width * height;
-
-      // 创建差异图片
-      const diffPng = new PNG({ width, height });
-
-      // 执行像素匹配
-      const diffPixels = pixelmatch(
-        expectedPng.data,
-        actualPng.data,
-        diffPng.data,
-        width,
-        height,
-        {
-          threshold: this.threshold,
-          includeAA: this.includeAA,
-          alpha: this.alpha,
-          aaColor: this.aaColor,
-          diffColor: this.diffColor
-        }
-      );
+  /**
+   * 对已解码的图片执行完整的对比分析
+   * @param {PNG} expectedPng - 期望图片
+   * @param {PNG} actualPng - 实际图片
+   * @param {Object} options
+   * @param {ComparisonMask|null} options.mask - 计分遮罩，被排除的像素不计入 totalPixels，并在差异图中标出
+   * @returns {Promise<ComparisonResult>} 详细的对比分析结果
+   */
+  async analyzeImages(expectedPng, actualPng, { mask = null } = {}) {
+    // 验证图片尺寸
+    if (expectedPng.width !== actualPng.width || expectedPng.height !== actualPng.height) {
+      throw new Error(`Image dimensions mismatch: expected ${expectedPng.width}x${expectedPng.height}, got ${actualPng.width}x${actualPng.height}`);
+    }
 
-      const matchPercentage = ((totalPixels - diffPixels) / totalPixels) * 100;
+    const { width, height } = expectedPng;
+    const totalPixels = mask ? mask.includedPixels : width * height;
+
+    // 创建差异图片
+    const diffPng = new PNG({ width, height });
+
+    // 执行像素匹配
+    const diffPixels = pixelmatch(
+      expectedPng.data,
+      actualPng.data,
+      diffPng.data,
+      width,
+      height,
+      {
+        threshold: this.threshold,
+        includeAA: this.includeAA,
+        alpha: this.alpha,
+        aaColor: this.aaColor,
+        diffColor: this.diffColor,
+        diffColorAlt: this.diffColorAlt
+      }
+    );
 
-      // 执行详细分析
-      const regions = this.identifyDiffRegions(expectedPng, actualPng, diffPng);
-      const colorAnalysis = this.analyzeColorDifferences(expectedPng, actualPng);
-      const heatmapData = this.generateHeatmap(diffPng);
-      const suggestions = this.generateSuggestions(regions, colorAnalysis, matchPercentage);
+    if (mask) {
+      mask.paint(diffPng);
+    }
 
-      return {
-        matchPercentage,
-        diffPixels,
-        totalPixels,
-        dimensions: { width, height },
-        regions,
-        colorAnalysis,
-        heatmapData,
-        suggestions,
-        metadata: {
-          threshold: this.threshold,
-          includeAA: this.includeAA,
-          analysisTimestamp: new Date().toISOString()
-        },
-        diffImageBuffer: PNG.sync.write(diffPng)
-      };
+    const matchPercentage = totalPixels > 0 ? ((totalPixels - diffPixels) / totalPixels) * 100 : 100;
 
-    } catch (error) {
-      throw new Error(`Comparison analysis failed: ${error.message}`);
+    // 执行详细分析
+    let regions = this.identifyDiffRegions(expectedPng, actualPng, diffPng);
+    if (this.alignRegions) {
+      regions = this.applyRegionOffsets(expectedPng, actualPng, regions);
     }
+    const colorAnalysis = this.analyzeColorDifferences(expectedPng, actualPng);
+    const heatmapData = this.generateHeatmap(diffPng);
+    const suggestions = this.generateSuggestions(regions, colorAnalysis, matchPercentage);
+
+    return {
+      matchPercentage,
+      diffPixels,
+      totalPixels,
+      dimensions: { width, height },
+      regions,
+      colorAnalysis,
+      heatmapData,
+      suggestions,
+      metadata: {
+        threshold: this.threshold,
+        includeAA: this.includeAA,
+        excludedPixels: mask ? mask.excludedPixels : 0,
+        analysisTimestamp: new Date().toISOString()
+      },
+      diffImageBuffer: PNG.sync.write(diffPng)
+    };
   }
 
   /**
@@ -94,17 +121,16 @@ export class ComparisonAnalyzer {
   identifyDiffRegions(expectedPng, actualPng, diffPng) {
     const { width, height } = diffPng;
     const regions = [];
-    const visited = new Set();
+    const visited = new Uint8Array(width * height);
     const minRegionSize = 10; // 最小区域大小（像素）
 
     // 扫描差异像素并聚类成区域
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
         const idx = (width * y + x) << 2;
-        const key = `${x},${y}`;
 
         // 跳过已访问的像素和非差异像素
-        if (visited.has(key) || diffPng.data[idx] === 0) {
+        if (visited[width * y + x] || !this.isDiffPixel(diffPng.data, idx)) {
           continue;
         }
 
@@ -137,12 +163,47 @@ export class ComparisonAnalyzer {
     });
   }
 
+  /**
+   * 为差异区域搜索局部平移，平移后差异明显减少的区域归类为位置偏移
+   * @param {PNG} expectedPng - 期望图片
+   * @param {PNG} actualPng - 实际图片
+   * @param {Array<DiffRegion>} regions - 差异区域
+   * @returns {Array<DiffRegion>} 附带 offset 信息的差异区域
+   */
+  applyRegionOffsets(expectedPng, actualPng, regions) {
+    const aligner = new ImageAligner({ maxOffset: this.maxOffset });
+    const offsets = aligner.findRegionOffsets(expectedPng, actualPng, regions);
+
+    return regions.map((region, index) => {
+      const offset = offsets[index];
+      if ((offset.dx === 0 && offset.dy === 0) || offset.improvement < 0.5) {
+        return region;
+      }
+
+      const designX = Number((offset.dx / this.pixelRatio).toFixed(2));
+      const designY = Number((offset.dy / this.pixelRatio).toFixed(2));
+
+      return {
+        ...region,
+        type: 'position',
+        description: `${region.width}x${region.height} 区域整体偏移：${ImageAligner.describeOffset(designX, designY)}`,
+        offset: {
+          x: offset.dx,
+          y: offset.dy,
+          designX,
+          designY,
+          improvement: offset.improvement
+        }
+      };
+    });
+  }
+
   /**
    * 洪水填充算法找到连通区域
    * @param {PNG} diffPng - 差异图片
    * @param {number} startX - 起始X坐标
    * @param {number} startY - 起始Y坐标
-   * @param {Set} visited - 已访问像素集合
+   * @param {Uint8Array} visited - 已访问像素标记（按像素索引）
    * @returns {Object} 区域信息
    */
   floodFillRegion(diffPng, startX, startY, visited) {
@@ -158,18 +219,17 @@ export class ComparisonAnalyzer {
 
     while (stack.length > 0) {
       const { x, y } = stack.pop();
-      const key = `${x},${y}`;
 
-      if (visited.has(key) || x < 0 || x >= width || y < 0 || y >= height) {
+      if (x < 0 || x >= width || y < 0 || y >= height || visited[width * y + x]) {
         continue;
       }
 
       const idx = (width * y + x) << 2;
-      if (diffPng.data[idx] === 0) {
+      if (!this.isDiffPixel(diffPng.data, idx)) {
         continue; // 非差异像素
       }
 
-      visited.add(key);
+      visited[width * y + x] = 1;
       pixels.push({ x, y, idx });
 
       // 更新边界
@@ -225,8 +285,8 @@ export class ComparisonAnalyzer {
     return {
       type,
       description,
-      expectedColors: Array.from(expectedColors.entries()).map(([color, count]) => ({ color, count })),
-      actualColors: Array.from(actualColors.entries()).map(([color, count]) => ({ color, count })),
+      expectedColors: this.topColors(expectedColors),
+      actualColors: this.topColors(actualColors),
       avgColorDiff
     };
   }
@@ -293,7 +353,7 @@ export class ComparisonAnalyzer {
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
         const idx = (width * y + x) << 2;
-        if (diffPng.data[idx] > 0) { // 有差异的像素
+        if (this.isDiffPixel(diffPng.data, idx)) { // 有差异的像素
           const gridX = Math.floor(x / gridSize);
           const gridY = Math.floor(y / gridSize);
           heatmap[gridY][gridX]++;
@@ -302,7 +362,8 @@ export class ComparisonAnalyzer {
     }
 
     // 归一化热力图数据
-    const maxValue = Math.max(...heatmap.flat());
+    // 大尺寸图片的网格数量可能超出参数展开上限，逐个比较
+    const maxValue = heatmap.reduce((max, row) => row.reduce((rowMax, value) => Math.max(rowMax, value), max), 0);
     if (maxValue > 0) {
       for (let y = 0; y < gridHeight; y++) {
         for (let x = 0; x < gridWidth; x++) {
@@ -376,8 +437,10 @@ export class ComparisonAnalyzer {
             suggestion.suggestedFix = '检查 border-radius、border-width 或元素形状';
             break;
           case 'position':
-            suggestion.description = '检测到位置偏移';
-            suggestion.suggestedFix = '检查 position、top、left、transform 等定位属性';
+            suggestion.description = region.offset ? region.description : '检测到位置偏移';
+            suggestion.suggestedFix = region.offset
+              ? this.describeOffsetFix(region.offset)
+              : '检查 position、top、left、transform 等定位属性';
             break;
           case 'size':
             suggestion.description = '检测到尺寸差异';
@@ -421,6 +484,30 @@ export class ComparisonAnalyzer {
 
   // 辅助方法
 
+  /**
+   * 判断差异图中的像素是否为真实差异
+   * pixelmatch 会把相同像素绘制为淡化的灰度背景、抗锯齿像素绘制为 aaColor，
+   * 只有 diffColor / diffColorAlt 才代表计入 diffPixels 的差异
+   */
+  isDiffPixel(data, idx) {
+    return this.matchesColor(data, idx, this.diffColor) ||
+           (this.diffColorAlt !== null && this.matchesColor(data, idx, this.diffColorAlt));
+  }
+
+  matchesColor(data, idx, [r, g, b]) {
+    return data[idx] === r && data[idx + 1] === g && data[idx + 2] === b;
+  }
+
+  /**
+   * 取区域内出现最多的颜色，避免把整张颜色分布写进报告
+   */
+  topColors(colorCounts, limit = 5) {
+    return Array.from(colorCounts.entries())
+      .map(([color, count]) => ({ color, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+
   getPixelColor(data, idx) {
     return {
       r: data[idx],
@@ -448,6 +535,20 @@ export class ComparisonAnalyzer {
     );
   }
 
+  /**
+   * 将检测到的偏移转换为具体的 CSS 修复方向
+   * @param {Object} offset - applyRegionOffsets 生成的偏移（designX/designY 为设计稿 px）
+   * @returns {string} 修复建议
+   */
+  describeOffsetFix({ designX, designY }) {
+    const fixes = [];
+    if (designX > 0) fixes.push(`向左移动 ${designX}px（减小 margin-left / left / padding-left，或检查左侧元素宽度）`);
+    if (designX < 0) fixes.push(`向右移动 ${-designX}px（增大 margin-left / left / padding-left，或检查左侧元素宽度）`);
+    if (designY > 0) fixes.push(`向上移动 ${designY}px（减小 margin-top / top / padding-top，或检查 line-height 与上方元素高度）`);
+    if (designY < 0) fixes.push(`向下移动 ${-designY}px（增大 margin-top / top / padding-top，或检查 line-height 与上方元素高度）`);
+    return fixes.join('；');
+  }
+
   calculateSeverity(pixelCount, analysis) {
     if (pixelCount > 1000 || analysis.avgColorDiff > 100) return 'high';
     if (pixelCount > 100 || analysis.avgColorDiff > 50) return 'medium';
@@ -0,0 +1,155 @@
+/**
+ * 对比历史
+ * figma_compare 每次运行都会覆盖 comparison-data.json 和 diff.png，
+ * 这里在 results/history.jsonl 中追加一条记录（分数、指标、阈值、git 提交），
+ * 并把本次的差异图归档到 results/history/<timestamp>/，按保留数量清理旧的归档
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+
+// results 目录下的历史记录文件与归档目录
+export const HISTORY_FILE = 'history.jsonl';
+export const HISTORY_DIR = 'history';
+
+// 默认保留的归档数量，history.jsonl 本身只追加不清理
+export const DEFAULT_HISTORY_RETENTION = 20;
+
+// 默认归档的文件（存在时）；diff-aligned.png、heatmap.png 只在本次运行生成时由调用方加入
+const ARCHIVED_FILES = ['diff.png', 'comparison-data.json'];
+
+// 读取 git 提交的超时时间（毫秒）
+const GIT_TIMEOUT = 3000;
+
+export class ComparisonHistory {
+  /**
+   * @param {string} resultsDir - 组件的 results 目录
+   * @param {Object} options
+   * @param {number} options.retention - 保留的归档数量，0 表示不归档图片
+   */
+  constructor(resultsDir, options = {}) {
+    this.resultsDir = resultsDir;
+    this.retention = options.retention ?? DEFAULT_HISTORY_RETENTION;
+    this.historyPath = path.join(resultsDir, HISTORY_FILE);
+    this.archiveRoot = path.join(resultsDir, HISTORY_DIR);
+  }
+
+  /**
+   * 记录一次对比：归档差异图、追加 history.jsonl、清理超出保留数量的归档
+   * @param {Object} entry - 本次对比的摘要（timestamp、score、metrics、threshold 等）
+   * @param {Object} options
+   * @param {string} options.projectPath - 用于读取 git 提交的项目路径
+   * @param {Array<string>} options.files - 需要归档的 results 目录内文件名
+   * @returns {Promise<{historyPath: string, archiveDir: string|null, entry: Object}>}
+   */
+  async record(entry, { projectPath, files = ARCHIVED_FILES } = {}) {
+    const timestamp = entry.timestamp || new Date().toISOString();
+    const archiveDir = this.retention > 0 ? await this.archive(timestamp, files) : null;
+
+    const line = {
+      ...entry,
+      timestamp,
+      gitCommit: projectPath ? await ComparisonHistory.gitCommit(projectPath) : null,
+      archiveDir: archiveDir ? path.relative(this.resultsDir, archiveDir) : null
+    };
+    await fs.appendFile(this.historyPath, JSON.stringify(line) + '\n');
+
+    if (this.retention > 0) {
+      await this.prune();
+    }
+
+    return { historyPath: this.historyPath, archiveDir, entry: line };
+  }
+
+  /**
+   * 把本次生成的差异图和对比数据复制到 history/<timestamp>/
+   */
+  async archive(timestamp, files = ARCHIVED_FILES) {
+    const archiveDir = path.join(this.archiveRoot, ComparisonHistory.folderName(timestamp));
+    await fs.mkdir(archiveDir, { recursive: true });
+
+    for (const file of files) {
+      try {
+        await fs.copyFile(path.join(this.resultsDir, file), path.join(archiveDir, file));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    return archiveDir;
+  }
+
+  /**
+   * 只保留最新的 retention 个归档目录
+   */
+  async prune() {
+    const entries = await fs.readdir(this.archiveRoot, { withFileTypes: true });
+    const folders = entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+
+    const expired = folders.slice(0, Math.max(0, folders.length - this.retention));
+    for (const folder of expired) {
+      await fs.rm(path.join(this.archiveRoot, folder), { recursive: true, force: true });
+    }
+
+    return expired;
+  }
+
+  /**
+   * 读取历史记录，按时间从旧到新排列；损坏的行会被跳过
+   * @param {string} resultsDir - 组件的 results 目录
+   * @param {Object} options
+   * @param {number} options.limit - 只返回最近的若干条
+   * @returns {Promise<Array<Object>>}
+   */
+  static async read(resultsDir, { limit } = {}) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(resultsDir, HISTORY_FILE), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = ComparisonHistory.parse(content);
+    return limit ? entries.slice(-limit) : entries;
+  }
+
+  /**
+   * 解析 history.jsonl 内容
+   */
+  static parse(content) {
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * ISO 时间戳转换为可用作目录名且按字典序排序的形式，例如 2025-01-01T12-00-00-000Z
+   */
+  static folderName(timestamp) {
+    return timestamp.replace(/[:.]/g, '-');
+  }
+
+  /**
+   * 当前 git 提交（短哈希），不在 git 仓库中或 git 不可用时返回 null
+   */
+  static gitCommit(projectPath) {
+    return new Promise(resolve => {
+      execFile('git', ['rev-parse', '--short', 'HEAD'], { cwd: projectPath, timeout: GIT_TIMEOUT }, (error, stdout) => {
+        resolve(error ? null : stdout.trim() || null);
+      });
+    });
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * 对比遮罩
+ * 将忽略区域（时间戳、头像等动态内容）和聚焦区域转换为逐像素的计分遮罩，
+ * 被遮罩的像素不计入 totalPixels，并在 diff.png 中用单独的颜色标出
+ */
+
+import { PNG } from 'pngjs';
+
+// 被排除像素在 diff.png 中的颜色（淡蓝色，区别于灰度背景和红/橙/黄差异色）
+export const MASK_COLOR = [150, 200, 255];
+
+export class ComparisonMask {
+  /**
+   * @param {number} width - 比较图片宽度（像素）
+   * @param {number} height - 比较图片高度（像素）
+   * @param {Uint8Array} included - 1 表示计分像素，0 表示被排除
+   */
+  constructor(width, height, included) {
+    this.width = width;
+    this.height = height;
+    this.included = included;
+    this.includedPixels = included.reduce((sum, value) => sum + value, 0);
+    this.excludedPixels = width * height - this.includedPixels;
+  }
+
+  /**
+   * 根据设计稿坐标的矩形构建遮罩
+   * @param {Object} options
+   * @param {number} options.width - 比较图片宽度
+   * @param {number} options.height - 比较图片高度
+   * @param {number} options.pixelRatio - 每个设计稿 px 对应的比较像素数
+   * @param {Array<{x: number, y: number, width: number, height: number}>} options.ignoreRegions - 排除的区域
+   * @param {Array<{x: number, y: number, width: number, height: number}>} options.focusRegions - 只对这些区域计分
+   * @param {Uint8Array|null} options.excludedPixels - 逐像素排除（1 表示排除），如截图噪声底图
+   * @returns {ComparisonMask|null} 没有任何区域时返回 null
+   */
+  static fromRegions({ width, height, pixelRatio = 1, ignoreRegions = [], focusRegions = [], excludedPixels = null }) {
+    if (ignoreRegions.length === 0 && focusRegions.length === 0 && !excludedPixels) {
+      return null;
+    }
+
+    // 有聚焦区域时默认全部排除，再逐个打开聚焦区域
+    const included = new Uint8Array(width * height).fill(focusRegions.length > 0 ? 0 : 1);
+
+    focusRegions.forEach(region => {
+      ComparisonMask.fillRect(included, width, height, ComparisonMask.scaleRect(region, pixelRatio), 1);
+    });
+
+    ignoreRegions.forEach(region => {
+      ComparisonMask.fillRect(included, width, height, ComparisonMask.scaleRect(region, pixelRatio), 0);
+    });
+
+    if (excludedPixels) {
+      excludedPixels.forEach((excluded, index) => {
+        if (excluded) included[index] = 0;
+      });
+    }
+
+    return new ComparisonMask(width, height, included);
+  }
+
+  /**
+   * 把设计稿坐标矩形换算为像素矩形，向外取整以完整覆盖边缘像素
+   */
+  static scaleRect({ x, y, width, height }, pixelRatio) {
+    const left = Math.floor(x * pixelRatio);
+    const top = Math.floor(y * pixelRatio);
+    return {
+      x: left,
+      y: top,
+      width: Math.ceil((x + width) * pixelRatio) - left,
+      height: Math.ceil((y + height) * pixelRatio) - top
+    };
+  }
+
+  static fillRect(included, width, height, rect, value) {
+    const left = Math.max(0, rect.x);
+    const top = Math.max(0, rect.y);
+    const right = Math.min(width, rect.x + rect.width);
+    const bottom = Math.min(height, rect.y + rect.height);
+
+    for (let y = top; y < bottom; y++) {
+      included.fill(value, width * y + left, width * y + right);
+    }
+  }
+
+  /**
+   * 校验区域参数
+   * @param {Array} regions - 区域列表
+   * @param {string} name - 参数名，用于错误信息
+   */
+  static validateRegions(regions, name) {
+    if (!Array.isArray(regions)) {
+      throw new Error(`❌ 参数错误: ${name} 必须是数组`);
+    }
+
+    regions.forEach((region, index) => {
+      const valid = region && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(region[key])) &&
+        region.width > 0 && region.height > 0;
+      if (!valid) {
+        throw new Error(`❌ 参数错误: ${name}[${index}] 需要包含数值 x、y 与正数 width、height`);
+      }
+    });
+  }
+
+  isIncluded(pixelIndex) {
+    return this.included[pixelIndex] === 1;
+  }
+
+  /**
+   * 复制实际图片并用期望图片的像素覆盖被排除的部分，副本只用于 pixelmatch 与各项指标的计分；
+   * 原图保持不变，叠加图、区域裁剪和返回给 agent 的图片仍然显示真实的渲染结果
+   * @param {PNG} actualPng - 实际图片（不修改）
+   * @param {PNG} expectedPng - 期望图片
+   * @returns {PNG} 计分用的副本
+   */
+  neutralize(actualPng, expectedPng) {
+    const scoredPng = new PNG({ width: actualPng.width, height: actualPng.height });
+    actualPng.data.copy(scoredPng.data);
+
+    for (let i = 0; i < this.included.length; i++) {
+      if (this.included[i]) continue;
+      const idx = i << 2;
+      scoredPng.data[idx] = expectedPng.data[idx];
+      scoredPng.data[idx + 1] = expectedPng.data[idx + 1];
+      scoredPng.data[idx + 2] = expectedPng.data[idx + 2];
+      scoredPng.data[idx + 3] = expectedPng.data[idx + 3];
+    }
+
+    return scoredPng;
+  }
+
+  /**
+   * 在差异图上标出被排除的像素
+   * @param {PNG} diffPng - 差异图片（原地修改）
+   */
+  paint(diffPng, color = MASK_COLOR) {
+    for (let i = 0; i < this.included.length; i++) {
+      if (this.included[i]) continue;
+      const idx = i << 2;
+      diffPng.data[idx] = color[0];
+      diffPng.data[idx + 1] = color[1];
+      diffPng.data[idx + 2] = color[2];
+      diffPng.data[idx + 3] = 255;
+    }
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * 对比可视化
+ * 生成带标签的 期望 | 实际 | 差异 拼图、半透明叠加图（onion skin），
+ * 以及差异区域的放大特写，比单独的 diff.png 更容易判读
+ */
+
+import sharp from 'sharp';
+import { PNG } from 'pngjs';
+import { createSideBySide } from './image-content.js';
+
+// 特写图每栏放大后的目标宽度（px）与最大放大倍数
+const CLOSE_UP_MIN_WIDTH = 240;
+const CLOSE_UP_MAX_ZOOM = 8;
+
+export class ComparisonVisualizer {
+  /**
+   * @param {Object} options
+   * @param {number} options.scale - 每个设计稿 px 对应的比较像素数，用于确定标签字号
+   * @param {number} options.overlayOpacity - 叠加图中实际图片的不透明度
+   */
+  constructor(options = {}) {
+    this.scale = options.scale ?? 1;
+    this.overlayOpacity = options.overlayOpacity ?? 0.5;
+  }
+
+  /**
+   * 横向拼接同尺寸图片，并在每栏上方加标签
+   * @param {Array<{label: string, png: PNG}>} panels - 各栏图片与标签
+   * @param {Object} options
+   * @param {number} options.labelScale - 标签字号的缩放倍数，默认使用 this.scale
+   * @returns {Promise<Buffer>} PNG 缓冲区
+   */
+  async createComposite(panels, { labelScale = this.scale } = {}) {
+    const { width } = panels[0].png;
+    const gap = Math.max(4, Math.round(width * 0.02));
+    const fontSize = Math.round(12 * labelScale);
+    const labelHeight = Math.round(20 * labelScale);
+
+    const strip = await createSideBySide(panels.map(panel => panel.png), { gap });
+    const stripWidth = width * panels.length + gap * (panels.length - 1);
+
+    const labels = panels.map((panel, index) =>
+      `<text x="${index * (width + gap) + Math.round(4 * labelScale)}" y="${Math.round(labelHeight * 0.7)}" ` +
+      `font-family="sans-serif" font-size="${fontSize}" fill="#ffffff">${ComparisonVisualizer.escapeXml(panel.label)}</text>`
+    ).join('');
+    const labelBar = `<svg xmlns="http://www.w3.org/2000/svg" width="${stripWidth}" height="${labelHeight}">` +
+      `<rect width="100%" height="100%" fill="#333333"/>${labels}</svg>`;
+
+    return sharp(strip)
+      .extend({ top: labelHeight, background: { r: 51, g: 51, b: 51, alpha: 1 } })
+      .composite([{ input: Buffer.from(labelBar), left: 0, top: 0 }])
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * 半透明叠加：先把两张图片合成到白色背景，再按 overlayOpacity 混合
+   * @returns {PNG} 叠加图
+   */
+  createOverlay(expectedPng, actualPng) {
+    const { width, height } = expectedPng;
+    const overlay = new PNG({ width, height });
+    const opacity = this.overlayOpacity;
+
+    for (let idx = 0; idx < overlay.data.length; idx += 4) {
+      const expectedAlpha = expectedPng.data[idx + 3] / 255;
+      const actualAlpha = actualPng.data[idx + 3] / 255;
+
+      for (let channel = 0; channel < 3; channel++) {
+        const expected = expectedPng.data[idx + channel] * expectedAlpha + 255 * (1 - expectedAlpha);
+        const actual = actualPng.data[idx + channel] * actualAlpha + 255 * (1 - actualAlpha);
+        overlay.data[idx + channel] = Math.round(expected * (1 - opacity) + actual * opacity);
+      }
+      overlay.data[idx + 3] = 255;
+    }
+
+    return overlay;
+  }
+
+  /**
+   * 生成单个差异区域的放大特写：期望 | 实际 | 差异
+   * @param {Object} images - { expectedPng, actualPng, diffPng }
+   * @param {{x: number, y: number, width: number, height: number}} rect - 裁剪范围（比较像素，已含边距）
+   * @returns {Promise<{buffer: Buffer, zoom: number}>}
+   */
+  async createCloseUp({ expectedPng, actualPng, diffPng }, rect) {
+    const zoom = Math.min(CLOSE_UP_MAX_ZOOM, Math.max(1, Math.ceil(CLOSE_UP_MIN_WIDTH / rect.width)));
+    const crop = png => ComparisonVisualizer.zoomPng(ComparisonVisualizer.cropPng(png, rect), zoom);
+
+    const buffer = await this.createComposite([
+      { label: 'Expected', png: crop(expectedPng) },
+      { label: 'Actual', png: crop(actualPng) },
+      { label: 'Diff', png: crop(diffPng) }
+    ], { labelScale: 1 });
+
+    return { buffer, zoom };
+  }
+
+  /**
+   * 按边距扩展矩形，并限制在图片范围内
+   */
+  static padRect({ x, y, width, height }, padding, imageWidth, imageHeight) {
+    const left = Math.max(0, x - padding);
+    const top = Math.max(0, y - padding);
+    const right = Math.min(imageWidth, x + width + padding);
+    const bottom = Math.min(imageHeight, y + height + padding);
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  static cropPng(png, { x, y, width, height }) {
+    const cropped = new PNG({ width, height });
+    PNG.bitblt(png, cropped, x, y, width, height, 0, 0);
+    return cropped;
+  }
+
+  /**
+   * 最近邻放大，保留像素边缘便于观察 1px 级差异
+   */
+  static zoomPng(png, zoom) {
+    if (zoom === 1) return png;
+
+    const zoomed = new PNG({ width: png.width * zoom, height: png.height * zoom });
+    for (let y = 0; y < zoomed.height; y++) {
+      for (let x = 0; x < zoomed.width; x++) {
+        const sourceIdx = (png.width * Math.floor(y / zoom) + Math.floor(x / zoom)) << 2;
+        const targetIdx = (zoomed.width * y + x) << 2;
+        png.data.copy(zoomed.data, targetIdx, sourceIdx, sourceIdx + 4);
+      }
+    }
+
+    return zoomed;
+  }
+
+  static escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
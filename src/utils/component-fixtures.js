@@ -0,0 +1,105 @@
+/**
+ * 组件 fixtures
+ * 组件目录下的 fixtures.json（或 fixtures.js）定义具名的 props / slots 组合，
+ * 组件页面通过 /component/:name?fixture=<id> 渲染对应组合；
+ * 每个 fixture 对应一个 Figma 变体，截图与对比结果保存在 results/fixtures/<id>/
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// 组件目录下的 fixtures 文件，按顺序查找
+export const FIXTURE_FILES = ['fixtures.json', 'fixtures.js'];
+
+// results 目录下保存各 fixture 结果的子目录
+export const FIXTURES_DIR = 'fixtures';
+
+// fixture id 会出现在页面地址和目录名中
+const FIXTURE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * fixture id 只允许字母、数字、- 和 _
+ */
+export function isValidFixtureId(id) {
+  return typeof id === 'string' && FIXTURE_ID_PATTERN.test(id);
+}
+
+/**
+ * fixture 对应的 results 子目录
+ * @param {string} resultsDir - 组件的 results 目录
+ * @param {string} fixtureId - fixture id，为空时返回 resultsDir
+ */
+export function fixtureResultsDir(resultsDir, fixtureId) {
+  return fixtureId ? path.join(resultsDir, FIXTURES_DIR, fixtureId) : resultsDir;
+}
+
+/**
+ * 读取组件的 fixtures
+ * fixtures.js 需要默认导出对象；其中引用了 Vue 单文件组件等 Node 无法加载的模块时，fixtures 为 null，只能在页面中校验
+ * @param {string} projectPath - Vue 项目路径
+ * @param {string} componentName - 组件名称
+ * @returns {Promise<{fixtures: Object|null, path: string|null, error: string|null}>}
+ */
+export async function loadComponentFixtures(projectPath, componentName) {
+  const componentDir = path.join(projectPath, 'src', 'components', componentName);
+
+  for (const file of FIXTURE_FILES) {
+    const fixturesPath = path.join(componentDir, file);
+    let stat;
+    try {
+      stat = await fs.stat(fixturesPath);
+    } catch (error) {
+      continue;
+    }
+
+    if (file.endsWith('.json')) {
+      try {
+        return { fixtures: JSON.parse(await fs.readFile(fixturesPath, 'utf8')), path: fixturesPath, error: null };
+      } catch (error) {
+        throw new Error(`❌ 配置文件不是合法的 JSON: ${fixturesPath} - ${error.message}`);
+      }
+    }
+
+    try {
+      // MCP 服务常驻运行，带上修改时间避免读到缓存的旧模块
+      const module = await import(`${pathToFileURL(fixturesPath).href}?mtime=${stat.mtimeMs}`);
+      return { fixtures: module.default || null, path: fixturesPath, error: null };
+    } catch (error) {
+      return { fixtures: null, path: fixturesPath, error: error.message };
+    }
+  }
+
+  return { fixtures: null, path: null, error: null };
+}
+
+/**
+ * 校验 fixture 参数：id 格式、fixtures 文件存在且定义了该 id
+ * @returns {Promise<{id: string, path: string, fixture: Object|null, warning: string|null}>}
+ */
+export async function resolveFixture(projectPath, componentName, fixtureId) {
+  if (!isValidFixtureId(fixtureId)) {
+    throw new Error(`❌ 参数错误: fixture 只能由字母、数字、- 或 _ 组成，收到: ${fixtureId}`);
+  }
+
+  const { fixtures, path: fixturesPath, error } = await loadComponentFixtures(projectPath, componentName);
+  if (!fixturesPath) {
+    throw new Error(`❌ 参数错误: 组件 ${componentName} 没有 ${FIXTURE_FILES.join(' 或 ')}，无法使用 fixture: ${fixtureId}`);
+  }
+
+  if (!fixtures) {
+    return {
+      id: fixtureId,
+      path: fixturesPath,
+      fixture: null,
+      warning: `${path.basename(fixturesPath)} could not be loaded in Node (${error}), fixture ${fixtureId} is only checked by the component page`
+    };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(fixtures, fixtureId)) {
+    const available = Object.keys(fixtures);
+    throw new Error(`❌ 参数错误: ${fixturesPath} 中没有 fixture: ${fixtureId}（可用: ${available.length > 0 ? available.join(', ') : '无'}）`);
+  }
+
+  return { id: fixtureId, path: fixturesPath, fixture: fixtures[fixtureId], warning: null };
+}
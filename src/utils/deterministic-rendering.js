@@ -0,0 +1,143 @@
+/**
+ * 确定性渲染
+ * 同一组件反复截图时，光标闪烁、动画、随机数据和当前时间都会让像素略有不同；
+ * deterministic 模式在页面加载前固定 Date / Math.random、时区和语言，并注入样式关闭动画、过渡和光标、统一字体平滑，
+ * 使对比分数只随代码变化
+ */
+
+import { DISABLE_ANIMATIONS_CSS } from './render-readiness.js';
+
+// 未指定时使用的固定参数
+export const DEFAULT_DETERMINISTIC = {
+  seed: 1,
+  now: '2024-01-01T00:00:00.000Z',
+  timezone: 'UTC',
+  locale: 'en-US'
+};
+
+// 注入页面的样式：关闭动画、过渡和输入光标，统一字体平滑
+const DETERMINISTIC_CSS = `${DISABLE_ANIMATIONS_CSS}
+*, *::before, *::after {
+  caret-color: transparent !important;
+  -webkit-font-smoothing: antialiased !important;
+  -moz-osx-font-smoothing: grayscale !important;
+  text-rendering: geometricPrecision !important;
+}`;
+
+/**
+ * 在页面中执行的脚本，必须自包含
+ */
+function freezeEnvironment({ seed, now, locale, css }) {
+  // mulberry32：同一 seed 得到同一随机数序列
+  let state = seed >>> 0;
+  Math.random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // 无参数的 new Date() 和 Date.now() 返回固定时间，其余用法不变
+  const NativeDate = Date;
+  const frozen = new NativeDate(now).getTime();
+  function FrozenDate(...args) {
+    if (!new.target) return new NativeDate(frozen).toString();
+    return args.length === 0 ? new NativeDate(frozen) : new NativeDate(...args);
+  }
+  FrozenDate.prototype = NativeDate.prototype;
+  FrozenDate.now = () => frozen;
+  FrozenDate.parse = NativeDate.parse;
+  FrozenDate.UTC = NativeDate.UTC;
+  window.Date = FrozenDate;
+
+  Object.defineProperty(navigator, 'language', { get: () => locale });
+  Object.defineProperty(navigator, 'languages', { get: () => [locale] });
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const style = document.createElement('style');
+    style.setAttribute('data-deterministic', '');
+    style.textContent = css;
+    document.head.appendChild(style);
+  });
+}
+
+export class DeterministicRendering {
+  /**
+   * 校验并规范化 deterministic 参数
+   * true 使用 DEFAULT_DETERMINISTIC，对象可覆盖 seed / now / timezone / locale，false 或未传时返回 null
+   * @param {boolean|Object} deterministic
+   * @returns {{seed: number, now: string, timezone: string, locale: string}|null}
+   */
+  static normalize(deterministic) {
+    if (deterministic === undefined || deterministic === false) return null;
+
+    if (deterministic !== true && (!deterministic || typeof deterministic !== 'object' || Array.isArray(deterministic))) {
+      throw new Error('❌ 参数错误: deterministic 必须是布尔值或 { seed, now, timezone, locale } 对象');
+    }
+
+    const options = { ...DEFAULT_DETERMINISTIC, ...(deterministic === true ? {} : deterministic) };
+
+    if (!Number.isInteger(options.seed)) {
+      throw new Error(`❌ 参数错误: deterministic.seed 必须是整数，收到: ${options.seed}`);
+    }
+
+    const now = new Date(options.now);
+    if (Number.isNaN(now.getTime())) {
+      throw new Error(`❌ 参数错误: deterministic.now 必须是合法的时间，收到: ${options.now}`);
+    }
+
+    try {
+      new Intl.DateTimeFormat(options.locale, { timeZone: options.timezone });
+    } catch (error) {
+      throw new Error(`❌ 参数错误: deterministic 的 timezone 或 locale 无效: ${options.timezone} / ${options.locale}`);
+    }
+
+    return { seed: options.seed, now: now.toISOString(), timezone: options.timezone, locale: options.locale };
+  }
+
+  /**
+   * 在页面导航前调用：之后打开的每个文档都使用固定的时间、随机数、时区和语言
+   * 页面来自页面池，返回的清理函数会撤销这些设置，截图结束后必须调用
+   * @param {Page} page - Puppeteer 页面
+   * @param {Object} options - normalize 之后的参数
+   * @returns {Promise<Function>} 清理函数
+   */
+  static async apply(page, options) {
+    // 已生效的步骤按顺序记录撤销操作，中途失败时全部撤销，避免页面池中的页面残留部分设置
+    const undo = [];
+    const restore = async () => {
+      let failure = null;
+      for (const step of undo.splice(0).reverse()) {
+        try {
+          await step();
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+      if (failure) throw failure;
+    };
+
+    try {
+      const { identifier } = await page.evaluateOnNewDocument(freezeEnvironment, {
+        ...options,
+        css: DETERMINISTIC_CSS
+      });
+      undo.push(() => page.removeScriptToEvaluateOnNewDocument(identifier));
+
+      await page.emulateTimezone(options.timezone);
+      undo.push(() => page.emulateTimezone());
+
+      const session = await page.target().createCDPSession();
+      undo.push(() => session.detach());
+
+      await session.send('Emulation.setLocaleOverride', { locale: options.locale });
+      undo.push(() => session.send('Emulation.setLocaleOverride', {}));
+    } catch (error) {
+      await restore().catch(() => null);
+      throw error;
+    }
+
+    return restore;
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * Vue 开发服务器
+ * snapdom_screenshot / style_audit 打开组件页面前先探测开发服务器；端口上没有服务响应时，
+ * 在 projectPath 下启动 Vite（复用 scripts/utils 的端口检查和状态管理：PID 记录、启动锁），
+ * 等待服务就绪后返回页面地址，本进程启动的服务器在之后的调用中直接复用
+ */
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import { spawn } from 'child_process';
+import PortChecker from '../../scripts/utils/port-checker.js';
+import StatusManager from '../../scripts/utils/status-manager.js';
+import { ensureDirectory } from './path-config.js';
+
+// 未指定端口时使用的端口，与项目 vite.config.js 一致
+export const DEFAULT_DEV_SERVER_PORT = Number(process.env.FIGMA_RESTORATION_PORT) || 1932;
+
+// 启动日志，与 scripts/auto-start.sh 写入同一个文件
+export const DEV_SERVER_LOG_FILE = path.join('.vscode', 'dev-server.log');
+
+// 单次探测的超时时间（毫秒）
+const PROBE_TIMEOUT = 2000;
+
+// 等待服务就绪的最长时间和轮询间隔（毫秒）
+const READY_TIMEOUT = 60000;
+const READY_POLL_INTERVAL = 500;
+
+// 只有本机地址可以自动启动
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]', '0.0.0.0'];
+
+// 本进程启动的服务器：页面地址 → { projectPath, pid }
+const startedServers = new Map();
+
+export class DevServerError extends Error {
+  constructor(message, solutions = []) {
+    super(`Vue dev server unavailable: ${message}`);
+    this.name = 'DevServerError';
+    this.solutions = [
+      ...solutions,
+      'Start the dev server manually in the project: npm run dev',
+      'Check the dev server log: .vscode/dev-server.log'
+    ];
+  }
+}
+
+export class DevServer {
+  /**
+   * 校验并规范化 devServer 参数
+   * 只传 url 时端口取自 url；都不传时使用 DEFAULT_DEV_SERVER_PORT
+   * @param {{port?: number, autoStart?: boolean, url?: string}} devServer
+   * @returns {{port: number, autoStart: boolean, url: string}}
+   */
+  static normalize(devServer = {}) {
+    if (!devServer || typeof devServer !== 'object' || Array.isArray(devServer)) {
+      throw new Error('❌ 参数错误: devServer 必须是对象');
+    }
+
+    const { port, autoStart = true, url } = devServer;
+
+    if (port !== undefined && (!Number.isInteger(port) || port <= 0 || port > 65535)) {
+      throw new Error(`❌ 参数错误: devServer.port 必须是 1-65535 之间的整数，收到: ${port}`);
+    }
+
+    if (typeof autoStart !== 'boolean') {
+      throw new Error(`❌ 参数错误: devServer.autoStart 必须是布尔值，收到: ${autoStart}`);
+    }
+
+    if (url === undefined) {
+      const resolvedPort = port || DEFAULT_DEV_SERVER_PORT;
+      return { port: resolvedPort, autoStart, url: `http://localhost:${resolvedPort}` };
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error(`❌ 参数错误: devServer.url 不是合法的地址: ${url}`);
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error(`❌ 参数错误: devServer.url 只支持 http / https，收到: ${url}`);
+    }
+
+    const urlPort = Number(parsed.port) || (parsed.protocol === 'https:' ? 443 : 80);
+    if (port !== undefined && port !== urlPort) {
+      throw new Error(`❌ 参数错误: devServer.port (${port}) 与 devServer.url 中的端口 (${urlPort}) 不一致`);
+    }
+
+    return { port: urlPort, autoStart, url: parsed.origin };
+  }
+
+  /**
+   * 探测地址是否有 HTTP 服务响应，任何状态码都视为可用
+   * @param {string} url - 服务地址
+   * @param {number} timeout - 超时时间（毫秒）
+   * @returns {Promise<boolean>}
+   */
+  static probe(url, timeout = PROBE_TIMEOUT) {
+    const client = url.startsWith('https:') ? https : http;
+
+    return new Promise(resolve => {
+      const request = client.get(url, { timeout, rejectUnauthorized: false }, response => {
+        response.resume();
+        resolve(true);
+      });
+      request.on('timeout', () => request.destroy(new Error('timeout')));
+      request.on('error', () => resolve(false));
+    });
+  }
+
+  /**
+   * 确保开发服务器可用，必要时启动 Vite
+   * @param {string} projectPath - Vue 项目路径
+   * @param {Object} options - normalize 之后的 devServer 参数
+   * @param {number} options.readyTimeout - 等待启动完成的最长时间（毫秒）
+   * @returns {Promise<{url: string, port: number, status: 'running'|'reused'|'started', pid: number|null, logPath: string|null}>}
+   */
+  static async ensure(projectPath, { port, autoStart, url, readyTimeout = READY_TIMEOUT }) {
+    const started = startedServers.get(url);
+    if (started && started.projectPath !== path.resolve(projectPath)) {
+      throw new DevServerError(`${url} is serving ${started.projectPath}, not ${projectPath}`, [
+        `Use another port for this project, e.g. devServer: { port: ${port + 1} }`
+      ]);
+    }
+
+    if (await DevServer.probe(url)) {
+      return { url, port, status: started ? 'reused' : 'running', pid: started ? started.pid : null, logPath: null };
+    }
+    startedServers.delete(url);
+
+    if (!autoStart) {
+      throw new DevServerError(`nothing answered at ${url} and devServer.autoStart is false`, [
+        'Enable devServer.autoStart to let the tool start Vite'
+      ]);
+    }
+
+    if (!LOCAL_HOSTS.includes(new URL(url).hostname)) {
+      throw new DevServerError(`nothing answered at ${url}; only local dev servers can be started automatically`, [
+        'Check that the remote dev server is reachable'
+      ]);
+    }
+
+    const portChecker = new PortChecker();
+    if (!(await portChecker.isPortAvailable(port))) {
+      const usage = portChecker.getPortUsage(port);
+      throw new DevServerError(`port ${port} is in use by ${usage.command} (PID ${usage.pid}) but ${url} does not answer HTTP requests`, [
+        `Free port ${port} or use another one with devServer.port`
+      ]);
+    }
+
+    // StatusManager 的锁文件和状态文件都在 .vscode/ 下
+    const statusManager = new StatusManager(projectPath);
+    await ensureDirectory(path.join(projectPath, '.vscode'));
+    const lock = statusManager.acquireLock();
+
+    try {
+      if (!lock.acquired) {
+        // 另一个进程（auto-start.sh 或另一个 MCP 服务）正在启动，等它完成
+        const tracked = statusManager.getStatus();
+        await DevServer.waitForReady(url, { readyTimeout });
+        return { url, port, status: 'running', pid: tracked.pid, logPath: null };
+      }
+
+      const { pid, command, logPath, child } = DevServer.spawnVite(projectPath, port);
+      statusManager.startTracking(pid, port, command);
+
+      try {
+        await DevServer.waitForReady(url, { readyTimeout, child, logPath });
+      } catch (error) {
+        // 超时时 Vite 仍在运行并占用端口，停止跟踪前先结束它；已经退出的进程不需要处理
+        if (child.exitCode === null && child.signalCode === null) {
+          DevServer.terminate(pid);
+        }
+        statusManager.stopTracking(error.message);
+        throw error;
+      }
+
+      startedServers.set(url, { projectPath: path.resolve(projectPath), pid });
+      return { url, port, status: 'started', pid, logPath };
+    } finally {
+      if (lock.acquired) statusManager.releaseLock();
+    }
+  }
+
+  /**
+   * 在项目目录下以独立进程启动 Vite，MCP 服务退出后开发服务器继续运行，可由 scripts/stop-dev-server.sh 停止
+   * 优先使用项目本地安装的 vite，没有时使用 npx
+   */
+  static spawnVite(projectPath, port) {
+    const localVite = path.join(projectPath, 'node_modules', '.bin', 'vite');
+    const [bin, ...binArgs] = fs.existsSync(localVite) ? [localVite] : ['npx', 'vite'];
+    const args = [...binArgs, '--port', String(port), '--strictPort'];
+
+    const logPath = path.join(projectPath, DEV_SERVER_LOG_FILE);
+    const logFd = fs.openSync(logPath, 'a');
+    const child = spawn(bin, args, {
+      cwd: projectPath,
+      detached: true,
+      stdio: ['ignore', logFd, logFd]
+    });
+    fs.closeSync(logFd);
+    child.unref();
+
+    return { pid: child.pid, command: [bin, ...args].join(' '), logPath, child };
+  }
+
+  /**
+   * 结束 spawnVite 启动的进程组（detached 启动，进程组 ID 即 pid），包括 npx 派生的 vite 子进程
+   */
+  static terminate(pid) {
+    try {
+      process.kill(-pid, 'SIGTERM');
+    } catch (error) {
+      // 进程组已经不存在
+    }
+  }
+
+  /**
+   * 轮询直到地址可访问；启动的进程提前退出或超时时抛出 DevServerError
+   */
+  static async waitForReady(url, { readyTimeout = READY_TIMEOUT, child = null, logPath = null } = {}) {
+    let exit = null;
+    const onExit = (code, signal) => { exit = signal || `exit code ${code}`; };
+    const onError = error => { exit = error.message; };
+    if (child) {
+      child.once('exit', onExit);
+      child.once('error', onError);
+    }
+
+    try {
+      const deadline = Date.now() + readyTimeout;
+      while (Date.now() < deadline) {
+        if (await DevServer.probe(url)) return;
+        if (exit) {
+          throw new DevServerError(`Vite exited before ${url} became ready (${exit})${DevServer.logTail(logPath)}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, READY_POLL_INTERVAL));
+      }
+
+      throw new DevServerError(`${url} did not become ready within ${readyTimeout}ms${DevServer.logTail(logPath)}`);
+    } finally {
+      if (child) {
+        child.off('exit', onExit);
+        child.off('error', onError);
+      }
+    }
+  }
+
+  /**
+   * 启动日志的最后几行，附在错误信息中
+   */
+  static logTail(logPath, lines = 5) {
+    if (!logPath) return '';
+    try {
+      const tail = fs.readFileSync(logPath, 'utf8').trim().split('\n').slice(-lines).join('\n');
+      return tail ? `\n${tail}` : '';
+    } catch (error) {
+      return '';
+    }
+  }
+}
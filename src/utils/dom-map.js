@@ -0,0 +1,309 @@
+/**
+ * DOM 映射
+ * snapdom_screenshot 截图时记录目标元素内每个元素的路径、类名、包围盒（截图 px）和关键计算样式，
+ * figma_compare 据此把差异区域关联到具体元素，直接给出需要修改的 CSS
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// actual.png 对应的 DOM 映射文件名
+export const DOM_MAP_FILE = 'dom-map.json';
+
+// 记录的计算样式
+export const DOM_MAP_STYLES = [
+  'display',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'line-height',
+  'letter-spacing',
+  'color',
+  'background-color',
+  'text-align',
+  'padding',
+  'padding-top',
+  'padding-right',
+  'padding-bottom',
+  'padding-left',
+  'margin',
+  'gap',
+  'row-gap',
+  'column-gap',
+  'box-sizing',
+  'border-width',
+  'border-top-width',
+  'border-color',
+  'border-radius',
+  'border-top-left-radius',
+  'border-top-right-radius',
+  'border-bottom-right-radius',
+  'border-bottom-left-radius',
+  'box-shadow',
+  'opacity'
+];
+
+// 单个 DOM 映射最多记录的元素数量
+const MAX_ELEMENTS = 2000;
+
+/**
+ * 在页面中采集 DOM 映射
+ * 通过 page.evaluate 序列化后在浏览器中执行，不能引用模块内的其他变量
+ * @param {string} rootSelector - 截图目标元素选择器
+ * @param {Array<string>} styleNames - 需要记录的计算样式
+ * @param {number} scale - 截图的 deviceScaleFactor
+ * @param {number} maxElements - 最多记录的元素数量
+ * @param {string} originSelector - 坐标原点元素，默认与 rootSelector 相同
+ */
+function collectDomMap(rootSelector, styleNames, scale, maxElements, originSelector) {
+  const root = document.querySelector(rootSelector);
+  const origin = document.querySelector(originSelector || rootSelector).getBoundingClientRect();
+  const elements = [];
+
+  const describe = element => {
+    const classes = Array.from(element.classList);
+    return element.tagName.toLowerCase() + classes.map(name => `.${name}`).join('');
+  };
+
+  const visit = (element, parentPath) => {
+    if (elements.length >= maxElements) return;
+
+    const elementPath = parentPath ? `${parentPath} > ${describe(element)}` : describe(element);
+    const rect = element.getBoundingClientRect();
+    const computed = window.getComputedStyle(element);
+
+    if (rect.width > 0 && rect.height > 0 && computed.visibility !== 'hidden') {
+      const styles = {};
+      styleNames.forEach(name => {
+        styles[name] = computed.getPropertyValue(name);
+      });
+
+      // 只记录元素自身的文本，子元素的文本由子元素记录
+      const textNodes = Array.from(element.childNodes).filter(node => node.nodeType === Node.TEXT_NODE);
+      const text = textNodes.map(node => node.textContent).join('').trim();
+
+      const entry = {
+        path: elementPath,
+        tag: element.tagName.toLowerCase(),
+        classes: Array.from(element.classList),
+        bbox: {
+          x: Math.round((rect.left - origin.left) * scale),
+          y: Math.round((rect.top - origin.top) * scale),
+          width: Math.round(rect.width * scale),
+          height: Math.round(rect.height * scale)
+        },
+        text: text ? text.slice(0, 80) : undefined,
+        styles
+      };
+
+      // 文本的字形行盒：各行矩形的并集、行数，以及是否被 overflow / line-clamp 截断
+      if (text) {
+        const range = document.createRange();
+        const lineRects = [];
+        textNodes.forEach(node => {
+          range.selectNodeContents(node);
+          Array.from(range.getClientRects())
+            .filter(lineRect => lineRect.width > 0 && lineRect.height > 0)
+            .forEach(lineRect => lineRects.push(lineRect));
+        });
+
+        if (lineRects.length > 0) {
+          const left = Math.min(...lineRects.map(lineRect => lineRect.left));
+          const top = Math.min(...lineRects.map(lineRect => lineRect.top));
+          const right = Math.max(...lineRects.map(lineRect => lineRect.right));
+          const bottom = Math.max(...lineRects.map(lineRect => lineRect.bottom));
+          entry.textBox = {
+            x: Math.round((left - origin.left) * scale),
+            y: Math.round((top - origin.top) * scale),
+            width: Math.round((right - left) * scale),
+            height: Math.round((bottom - top) * scale)
+          };
+          entry.lineCount = new Set(lineRects.map(lineRect => Math.round(lineRect.top))).size;
+          entry.truncated = (computed.overflowX !== 'visible' && element.scrollWidth > element.clientWidth + 1) ||
+            (computed.overflowY !== 'visible' && element.scrollHeight > element.clientHeight + 1);
+        }
+      }
+
+      elements.push(entry);
+    }
+
+    Array.from(element.children).forEach(child => visit(child, elementPath));
+  };
+
+  visit(root, '');
+  return elements;
+}
+
+export class DomMap {
+  /**
+   * @param {Object} data - dom-map.json 内容
+   */
+  constructor(data) {
+    this.scale = data.scale;
+    this.elements = data.elements;
+  }
+
+  /**
+   * 截图文件对应的 DOM 映射路径：actual.png → dom-map.json，其余为 <name>.dom-map.json
+   */
+  static pathFor(screenshotPath) {
+    const name = path.basename(screenshotPath).replace(/\.(png|jpe?g)$/i, '');
+    return path.join(path.dirname(screenshotPath), name === 'actual' ? DOM_MAP_FILE : `${name}.${DOM_MAP_FILE}`);
+  }
+
+  /**
+   * 采集并保存 DOM 映射
+   * @returns {Promise<string>} 保存路径
+   */
+  static async capture(page, rootSelector, screenshotPath, scale) {
+    const data = await DomMap.collect(page, rootSelector, scale);
+    const domMapPath = DomMap.pathFor(screenshotPath);
+
+    await fs.writeFile(domMapPath, JSON.stringify({
+      ...data,
+      timestamp: new Date().toISOString()
+    }, null, 2));
+
+    return domMapPath;
+  }
+
+  /**
+   * 在页面中采集 DOM 映射数据（不写文件）
+   * @param {Object} options
+   * @param {string} options.originSelector - 坐标原点元素，默认为 rootSelector；只采集子树时用于保持与截图一致的坐标
+   * @param {number} options.maxElements - 最多记录的元素数量
+   * @returns {Promise<{selector: string, unit: string, scale: number, elements: Array}>}
+   */
+  static async collect(page, rootSelector, scale, { originSelector = rootSelector, maxElements = MAX_ELEMENTS } = {}) {
+    const elements = await page.evaluate(collectDomMap, rootSelector, DOM_MAP_STYLES, scale, maxElements, originSelector);
+    return { selector: rootSelector, unit: 'capture-px', scale, elements };
+  }
+
+  /**
+   * 读取截图对应的 DOM 映射；截图在映射之后重新生成过时视为过期，返回 null
+   * @returns {Promise<{domMap: DomMap|null, path: string, stale: boolean}>}
+   */
+  static async load(screenshotPath) {
+    const domMapPath = DomMap.pathFor(screenshotPath);
+
+    let domMapStat;
+    let screenshotStat;
+    try {
+      [domMapStat, screenshotStat] = await Promise.all([fs.stat(domMapPath), fs.stat(screenshotPath)]);
+    } catch (error) {
+      return { domMap: null, path: domMapPath, stale: false };
+    }
+
+    if (domMapStat.mtimeMs < screenshotStat.mtimeMs) {
+      return { domMap: null, path: domMapPath, stale: true };
+    }
+
+    const data = JSON.parse(await fs.readFile(domMapPath, 'utf8'));
+    return { domMap: new DomMap(data), path: domMapPath, stale: false };
+  }
+
+  /**
+   * 查找与设计稿 px 矩形重叠的元素，按相关度排序
+   * 相关度 = 覆盖区域的比例 × 重叠部分占元素的比例，优先选择恰好包住差异的具体元素，而不是外层容器
+   * @param {{x: number, y: number, width: number, height: number}} rect - 设计稿 px
+   * @param {number} limit - 最多返回的元素数量
+   */
+  findOverlapping(rect, limit = 3) {
+    const regionArea = rect.width * rect.height;
+    if (regionArea <= 0) return [];
+
+    return this.elements
+      .map(element => {
+        const box = this.toDesignRect(element.bbox);
+        const overlap = DomMap.intersectionArea(rect, box);
+        const coverage = overlap / regionArea;
+        const specificity = overlap / (box.width * box.height);
+        return { element, box, overlap, relevance: coverage * specificity };
+      })
+      .filter(match => match.overlap > 0)
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, limit)
+      .map(({ element, box, overlap }) => ({
+        path: element.path,
+        selector: DomMap.shortSelector(element.path),
+        text: element.text,
+        bbox: box,
+        coverage: Number((overlap / regionArea).toFixed(3)),
+        styles: DomMap.keyStyles(element)
+      }));
+  }
+
+  /**
+   * 带字形行盒的文本元素，坐标换算为设计稿 px，供文本感知比较使用
+   * @returns {Array<{path: string, selector: string, text: string, box: Object, lineCount: number, truncated: boolean, fontSize: number}>}
+   */
+  textBoxes() {
+    return this.elements
+      .filter(element => element.text && element.textBox)
+      .map(element => ({
+        path: element.path,
+        selector: DomMap.shortSelector(element.path),
+        text: element.text,
+        box: this.toDesignRect(element.textBox),
+        lineCount: element.lineCount,
+        truncated: Boolean(element.truncated),
+        fontSize: parseFloat(element.styles['font-size']) || null
+      }));
+  }
+
+  toDesignRect({ x, y, width, height }) {
+    const round = value => Number((value / this.scale).toFixed(2));
+    return { x: round(x), y: round(y), width: round(width), height: round(height) };
+  }
+
+  /**
+   * 生成差异区域的元素归属描述，例如 "region 3 overlaps `.folder-item .title` (font-size 14px, line-height 20px)"
+   */
+  static describe(index, elements) {
+    if (elements.length === 0) {
+      return `region ${index} does not overlap any recorded element`;
+    }
+
+    const [first] = elements;
+    const styles = Object.entries(first.styles).map(([name, value]) => `${name} ${value}`).join(', ');
+    return `region ${index} overlaps \`${first.selector}\`${styles ? ` (${styles})` : ''}`;
+  }
+
+  /**
+   * 用路径最后两级生成简短选择器，有类名时用类名，否则用标签名
+   */
+  static shortSelector(elementPath) {
+    return elementPath
+      .split(' > ')
+      .slice(-2)
+      .map(segment => {
+        const [tag, ...classes] = segment.split('.');
+        return classes.length > 0 ? `.${classes.join('.')}` : tag;
+      })
+      .join(' ');
+  }
+
+  /**
+   * 文本元素关注字体，其余元素关注盒模型和背景
+   */
+  static keyStyles(element) {
+    const names = element.text
+      ? ['font-size', 'line-height', 'font-weight', 'color']
+      : ['padding', 'background-color', 'border-radius'];
+
+    const styles = {};
+    names.forEach(name => {
+      const value = element.styles[name];
+      if (value && value !== 'normal' && value !== '0px' && value !== 'rgba(0, 0, 0, 0)') {
+        styles[name] = value;
+      }
+    });
+    return styles;
+  }
+
+  static intersectionArea(a, b) {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    return width > 0 && height > 0 ? width * height : 0;
+  }
+}
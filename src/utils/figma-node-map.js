@@ -0,0 +1,207 @@
+/**
+ * Figma 节点映射
+ * 读取本地保存的 Figma 节点 JSON（REST API 的 /files 或 /nodes 响应，或单个节点），
+ * 把 absoluteBoundingBox 换算到 expected.png 的设计稿 px 坐标，用于给差异区域标注对应的设计节点及其属性
+ */
+
+import fs from 'fs/promises';
+import { DomMap } from './dom-map.js';
+
+export class FigmaNodeMap {
+  /**
+   * @param {Object} root - 与 expected.png 对应的根节点
+   */
+  constructor(root) {
+    this.root = root;
+
+    // Figma 导出 PNG 时包含阴影等效果，优先使用渲染范围作为 expected.png 的原点
+    const origin = root.absoluteRenderBounds || root.absoluteBoundingBox;
+    if (!origin) {
+      throw new Error(`❌ Figma 节点缺少 absoluteBoundingBox: ${root.name || root.id}`);
+    }
+    this.origin = { x: origin.x, y: origin.y };
+    this.nodes = [];
+    this.collect(root, 0);
+  }
+
+  /**
+   * 读取 Figma 节点 JSON
+   * @param {string} filePath - JSON 文件路径
+   * @param {string} nodeId - 可选，指定作为根节点的节点 ID；默认使用文件中的第一个节点
+   * @returns {Promise<FigmaNodeMap>}
+   */
+  static async load(filePath, nodeId) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`❌ 无法读取 Figma 节点文件: ${filePath} - ${error.message}`);
+    }
+
+    const root = FigmaNodeMap.findRoot(data, nodeId);
+    if (!root) {
+      throw new Error(nodeId
+        ? `❌ Figma 节点文件中未找到节点 ${nodeId}: ${filePath}`
+        : `❌ Figma 节点文件中没有可用的节点: ${filePath}`);
+    }
+
+    return new FigmaNodeMap(root);
+  }
+
+  /**
+   * 兼容 /files/:key/nodes 响应（nodes.{id}.document）、/files/:key 响应（document）和单个节点
+   */
+  static findRoot(data, nodeId) {
+    const candidates = data.nodes
+      ? Object.values(data.nodes).map(entry => entry && entry.document).filter(Boolean)
+      : [data.document || data];
+
+    for (const candidate of candidates) {
+      const found = nodeId ? FigmaNodeMap.findNode(candidate, nodeId) : FigmaNodeMap.firstBoundedNode(candidate);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  static findNode(node, nodeId) {
+    if (node.id === nodeId) return node;
+    for (const child of node.children || []) {
+      const found = FigmaNodeMap.findNode(child, nodeId);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * DOCUMENT、CANVAS 节点没有包围盒，取第一个有包围盒的节点
+   */
+  static firstBoundedNode(node) {
+    if (node.absoluteBoundingBox) return node;
+    for (const child of node.children || []) {
+      const found = FigmaNodeMap.firstBoundedNode(child);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  collect(node, depth) {
+    if (node.visible === false) return;
+
+    if (node.absoluteBoundingBox) {
+      const box = node.absoluteBoundingBox;
+      this.nodes.push({
+        node,
+        depth,
+        rect: {
+          x: Number((box.x - this.origin.x).toFixed(2)),
+          y: Number((box.y - this.origin.y).toFixed(2)),
+          width: box.width,
+          height: box.height
+        }
+      });
+    }
+
+    (node.children || []).forEach(child => this.collect(child, depth + 1));
+  }
+
+  /**
+   * 查找与设计稿 px 矩形重叠的节点，排序规则与 DomMap.findOverlapping 一致
+   * @param {{x: number, y: number, width: number, height: number}} rect - 设计稿 px
+   * @param {number} limit - 最多返回的节点数量
+   */
+  findOverlapping(rect, limit = 3) {
+    const regionArea = rect.width * rect.height;
+    if (regionArea <= 0) return [];
+
+    return this.nodes
+      .map(entry => {
+        const overlap = DomMap.intersectionArea(rect, entry.rect);
+        const nodeArea = entry.rect.width * entry.rect.height;
+        const relevance = nodeArea > 0 ? (overlap / regionArea) * (overlap / nodeArea) : 0;
+        return { ...entry, overlap, relevance };
+      })
+      .filter(match => match.overlap > 0)
+      .sort((a, b) => b.relevance - a.relevance || b.depth - a.depth)
+      .slice(0, limit)
+      .map(({ node, rect: nodeRect, overlap }) => ({
+        id: node.id,
+        name: node.name,
+        type: node.type,
+        bbox: nodeRect,
+        coverage: Number((overlap / regionArea).toFixed(3)),
+        properties: FigmaNodeMap.describeProperties(node)
+      }));
+  }
+
+  /**
+   * 提取设计稿中声明的关键属性：填充、描边、圆角、字体
+   */
+  static describeProperties(node) {
+    const properties = {};
+
+    const fills = FigmaNodeMap.describePaints(node.fills);
+    if (fills.length > 0) properties.fills = fills;
+
+    const strokes = FigmaNodeMap.describePaints(node.strokes);
+    if (strokes.length > 0) {
+      properties.strokes = strokes;
+      properties.strokeWeight = node.strokeWeight;
+    }
+
+    if (node.rectangleCornerRadii) {
+      properties.cornerRadius = node.rectangleCornerRadii;
+    } else if (node.cornerRadius) {
+      properties.cornerRadius = node.cornerRadius;
+    }
+
+    if (node.type === 'TEXT' && node.style) {
+      const { fontFamily, fontWeight, fontSize, lineHeightPx, letterSpacing, textAlignHorizontal } = node.style;
+      properties.typography = { fontFamily, fontWeight, fontSize, lineHeightPx, letterSpacing, textAlignHorizontal };
+      if (node.characters) properties.characters = node.characters.slice(0, 80);
+    }
+
+    const effects = (node.effects || []).filter(effect => effect.visible !== false);
+    if (effects.length > 0) {
+      properties.effects = effects.map(effect => effect.type);
+    }
+
+    return properties;
+  }
+
+  static describePaints(paints = []) {
+    return paints
+      .filter(paint => paint.visible !== false)
+      .map(paint => {
+        if (paint.type === 'SOLID' && paint.color) {
+          const opacity = (paint.opacity ?? 1) * (paint.color.a ?? 1);
+          return FigmaNodeMap.toHex(paint.color) + (opacity < 1 ? ` ${Math.round(opacity * 100)}%` : '');
+        }
+        return paint.type;
+      });
+  }
+
+  static toHex({ r, g, b }) {
+    return '#' + [r, g, b].map(value => Math.round(value * 255).toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 生成差异区域的设计节点描述，例如 'region 2 ↔ Figma "Title" (12:34 TEXT): font 14px/20px Inter 500, fills #333333'
+   */
+  static describe(index, nodes) {
+    if (nodes.length === 0) {
+      return `region ${index} does not overlap any Figma node`;
+    }
+
+    const [first] = nodes;
+    const { typography, fills, strokes, strokeWeight, cornerRadius } = first.properties;
+    const parts = [];
+    if (typography) {
+      parts.push(`font ${typography.fontSize}px/${typography.lineHeightPx}px ${typography.fontFamily} ${typography.fontWeight}`);
+    }
+    if (fills) parts.push(`fills ${fills.join(', ')}`);
+    if (strokes) parts.push(`strokes ${strokes.join(', ')} ${strokeWeight}px`);
+    if (cornerRadius !== undefined) parts.push(`radius ${Array.isArray(cornerRadius) ? cornerRadius.join('/') : cornerRadius}px`);
+
+    return `region ${index} ↔ Figma "${first.name}" (${first.id} ${first.type})${parts.length > 0 ? `: ${parts.join(', ')}` : ''}`;
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * 图片对齐工具
+ * 在小范围平移窗口内搜索实际截图相对设计稿的最佳偏移，
+ * 用于把 1-3px 的整体/局部错位从"大面积差异"还原为可操作的定位修复
+ */
+
+import { PNG } from 'pngjs';
+
+// 每个候选偏移最多采样的像素数，保证大尺寸 3x 截图的搜索耗时可控
+const MAX_SAMPLES = 250000;
+
+export class ImageAligner {
+  constructor(options = {}) {
+    this.maxOffset = options.maxOffset ?? 9;
+    this.minImprovement = options.minImprovement ?? 0.05;
+  }
+
+  /**
+   * 搜索全局最佳平移
+   * 偏移 (dx, dy) 的含义：实际图片中的内容相对期望图片向右移动 dx、向下移动 dy 像素
+   * @param {PNG} expectedPng - 期望图片
+   * @param {PNG} actualPng - 实际图片（尺寸需一致）
+   * @returns {{dx: number, dy: number, cost: number, baselineCost: number, improvement: number}}
+   */
+  findBestOffset(expectedPng, actualPng) {
+    const { width, height } = expectedPng;
+    const expectedLuma = ImageAligner.toLuminance(expectedPng);
+    const actualLuma = ImageAligner.toLuminance(actualPng);
+    const stride = Math.max(1, Math.floor(Math.sqrt((width * height) / MAX_SAMPLES)));
+
+    return this.searchOffset(expectedLuma, actualLuma, width, height, {
+      left: 0,
+      top: 0,
+      right: width,
+      bottom: height
+    }, stride);
+  }
+
+  /**
+   * 对每个差异区域单独搜索局部平移
+   * @param {PNG} expectedPng - 期望图片
+   * @param {PNG} actualPng - 实际图片
+   * @param {Array<DiffRegion>} regions - ComparisonAnalyzer.identifyDiffRegions 的结果
+   * @returns {Array<{dx: number, dy: number, cost: number, baselineCost: number, improvement: number}>} 与 regions 一一对应
+   */
+  findRegionOffsets(expectedPng, actualPng, regions) {
+    const { width, height } = expectedPng;
+    const expectedLuma = ImageAligner.toLuminance(expectedPng);
+    const actualLuma = ImageAligner.toLuminance(actualPng);
+
+    return regions.map(region => {
+      // 区域向外扩展搜索半径，确保错位前后的内容都在窗口内
+      const bounds = {
+        left: Math.max(0, region.x - this.maxOffset),
+        top: Math.max(0, region.y - this.maxOffset),
+        right: Math.min(width, region.x + region.width + this.maxOffset),
+        bottom: Math.min(height, region.y + region.height + this.maxOffset)
+      };
+      const area = (bounds.right - bounds.left) * (bounds.bottom - bounds.top);
+      const stride = Math.max(1, Math.floor(Math.sqrt(area / MAX_SAMPLES)));
+
+      return this.searchOffset(expectedLuma, actualLuma, width, height, bounds, stride);
+    });
+  }
+
+  /**
+   * 将实际图片按偏移反向平移，使其与期望图片对齐
+   * 平移后空出的边缘用期望图片的像素填充，这部分不计入差异
+   * @returns {PNG} 对齐后的实际图片
+   */
+  static shiftImage(actualPng, expectedPng, dx, dy) {
+    const { width, height } = actualPng;
+    const shifted = new PNG({ width, height });
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const sourceX = x + dx;
+        const sourceY = y + dy;
+        const targetIdx = (width * y + x) << 2;
+        const inBounds = sourceX >= 0 && sourceX < width && sourceY >= 0 && sourceY < height;
+        const source = inBounds ? actualPng.data : expectedPng.data;
+        const sourceIdx = inBounds ? (width * sourceY + sourceX) << 2 : targetIdx;
+
+        shifted.data[targetIdx] = source[sourceIdx];
+        shifted.data[targetIdx + 1] = source[sourceIdx + 1];
+        shifted.data[targetIdx + 2] = source[sourceIdx + 2];
+        shifted.data[targetIdx + 3] = source[sourceIdx + 3];
+      }
+    }
+
+    return shifted;
+  }
+
+  /**
+   * 生成人类可读的偏移描述，例如 "actual is shifted +2px right, -1px up"
+   * @param {number} dx - 水平偏移（设计稿 px）
+   * @param {number} dy - 垂直偏移（设计稿 px）
+   */
+  static describeOffset(dx, dy) {
+    if (dx === 0 && dy === 0) {
+      return 'actual is aligned with expected';
+    }
+
+    const parts = [];
+    const format = value => `${value > 0 ? '+' : '-'}${Number(Math.abs(value).toFixed(2))}px`;
+    if (dx !== 0) parts.push(`${format(dx)} ${dx > 0 ? 'right' : 'left'}`);
+    if (dy !== 0) parts.push(`${format(dy)} ${dy > 0 ? 'down' : 'up'}`);
+
+    return `actual is shifted ${parts.join(', ')}`;
+  }
+
+  // 辅助方法
+
+  searchOffset(expectedLuma, actualLuma, width, height, bounds, stride) {
+    const baselineCost = this.offsetCost(expectedLuma, actualLuma, width, height, bounds, 0, 0, stride);
+    let best = { dx: 0, dy: 0, cost: baselineCost };
+
+    for (let dy = -this.maxOffset; dy <= this.maxOffset; dy++) {
+      for (let dx = -this.maxOffset; dx <= this.maxOffset; dx++) {
+        if (dx === 0 && dy === 0) continue;
+
+        const cost = this.offsetCost(expectedLuma, actualLuma, width, height, bounds, dx, dy, stride);
+        const closer = Math.abs(dx) + Math.abs(dy) < Math.abs(best.dx) + Math.abs(best.dy);
+        if (cost < best.cost || (cost === best.cost && closer)) {
+          best = { dx, dy, cost };
+        }
+      }
+    }
+
+    const improvement = baselineCost > 0 ? (baselineCost - best.cost) / baselineCost : 0;
+
+    // 改善不明显时视为没有偏移，避免把噪声解释成错位
+    if (improvement < this.minImprovement) {
+      return { dx: 0, dy: 0, cost: baselineCost, baselineCost, improvement: 0 };
+    }
+
+    return { ...best, baselineCost, improvement };
+  }
+
+  /**
+   * 计算偏移下重叠部分的平均亮度绝对差
+   */
+  offsetCost(expectedLuma, actualLuma, width, height, bounds, dx, dy, stride) {
+    let sum = 0;
+    let count = 0;
+
+    for (let y = bounds.top; y < bounds.bottom; y += stride) {
+      const actualY = y + dy;
+      if (actualY < 0 || actualY >= height) continue;
+
+      for (let x = bounds.left; x < bounds.right; x += stride) {
+        const actualX = x + dx;
+        if (actualX < 0 || actualX >= width) continue;
+
+        sum += Math.abs(expectedLuma[width * y + x] - actualLuma[width * actualY + actualX]);
+        count++;
+      }
+    }
+
+    return count > 0 ? sum / count : Infinity;
+  }
+
+  /**
+   * 合成到白色背景后的亮度，透明截图与不透明设计稿才能直接比较
+   */
+  static toLuminance(png) {
+    const { data } = png;
+    const luma = new Float32Array(png.width * png.height);
+
+    for (let i = 0; i < luma.length; i++) {
+      const idx = i << 2;
+      const alpha = data[idx + 3] / 255;
+      const lum = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+      luma[i] = lum * alpha + 255 * (1 - alpha);
+    }
+
+    return luma;
+  }
+}
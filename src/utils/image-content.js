@@ -0,0 +1,90 @@
+/**
+ * MCP 图片内容
+ * 把对比结果图片缩放并编码为 base64 PNG，作为 type: 'image' 内容块返回，
+ * 支持视觉的客户端无需再单独读取文件即可查看
+ */
+
+import sharp from 'sharp';
+import { PNG } from 'pngjs';
+
+// 返回图片的默认最大边长（px）
+export const DEFAULT_IMAGE_MAX_DIMENSION = 1024;
+
+// figma_compare 可返回的图片类型
+export const IMAGE_CONTENT_TYPES = ['diff', 'composite', 'heatmap'];
+
+/**
+ * 生成图片内容
+ * @param {string|Buffer|PNG} input - 图片路径、PNG 缓冲区或 pngjs 图片
+ * @param {Object} options
+ * @param {string} options.label - 图片说明，随图片一起返回给客户端
+ * @param {number} options.maxDimension - 最大边长，超出时等比缩小
+ * @returns {Promise<{label: string, mimeType: string, width: number, height: number, data: string}>}
+ */
+export async function createImageContent(input, { label, maxDimension = DEFAULT_IMAGE_MAX_DIMENSION }) {
+  const source = input instanceof PNG ? PNG.sync.write(input) : input;
+  const { data, info } = await sharp(source)
+    .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+    .png({ compressionLevel: 9 })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    label,
+    mimeType: 'image/png',
+    width: info.width,
+    height: info.height,
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * 横向拼接同尺寸图片（期望 | 实际 | 差异），图片之间留白
+ * @param {Array<PNG>} images - pngjs 图片，尺寸需一致
+ * @param {Object} options
+ * @param {number} options.gap - 图片间距（px），默认为宽度的 2%
+ * @returns {Promise<Buffer>} PNG 缓冲区
+ */
+export async function createSideBySide(images, { gap } = {}) {
+  const { width, height } = images[0];
+  gap = gap ?? Math.max(4, Math.round(width * 0.02));
+
+  return sharp({
+    create: {
+      width: width * images.length + gap * (images.length - 1),
+      height,
+      channels: 4,
+      background: { r: 255, g: 255, b: 255, alpha: 1 }
+    }
+  })
+    .composite(images.map((image, index) => ({
+      input: PNG.sync.write(image),
+      left: index * (width + gap),
+      top: 0
+    })))
+    .png()
+    .toBuffer();
+}
+
+/**
+ * 拆分工具结果：图片内容单独作为 image 块返回，其余部分序列化为 JSON 文本
+ * @param {Object} result - 工具执行结果，可包含 imageContent 数组
+ * @returns {Array<Object>} MCP content 数组
+ */
+export function toMcpContent(result) {
+  const { imageContent = [], ...data } = result || {};
+
+  if (imageContent.length > 0) {
+    data.images = imageContent.map(({ label, width, height }) => ({ label, width, height }));
+  }
+
+  return [
+    {
+      type: 'text',
+      text: JSON.stringify(data, null, 2)
+    },
+    ...imageContent.flatMap(image => [
+      { type: 'text', text: image.label },
+      { type: 'image', data: image.data, mimeType: image.mimeType }
+    ])
+  ];
+}
@@ -0,0 +1,341 @@
+/**
+ * 图片相似度指标
+ * 在 pixelmatch 像素计数之外提供结构相似度（SSIM）、逐通道平均绝对误差和 CIEDE2000 感知色差，
+ * 用于区分真实的布局问题与文本栅格化等渲染噪声
+ */
+
+// SSIM 常量（8 位图像，K1 = 0.01，K2 = 0.03）
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// ΔE00 小于该值时人眼基本无法分辨（Just Noticeable Difference）
+const DEFAULT_JND = 2.3;
+
+/**
+ * 可用于判定通过/失败的指标
+ * 每个指标都会被换算成 0-100 的分数，便于沿用同一套百分比标准
+ */
+export const SUPPORTED_METRICS = ['pixelmatch', 'ssim', 'mae', 'deltaE'];
+
+export class ImageMetrics {
+  constructor(options = {}) {
+    this.windowSize = options.windowSize || 8;
+    this.windowStep = options.windowStep || 4;
+    this.jnd = options.jnd || DEFAULT_JND;
+    this.background = options.background || [255, 255, 255];
+  }
+
+  /**
+   * 计算全部附加指标
+   * @param {PNG} expectedPng - 期望图片
+   * @param {PNG} actualPng - 实际图片（尺寸需与期望图片一致）
+   * @param {ComparisonMask|null} mask - 计分遮罩，被排除的像素不参与统计
+   * @returns {Object} ssim、channelMAE、perceptual 三组指标
+   */
+  computeAll(expectedPng, actualPng, mask = null) {
+    if (expectedPng.width !== actualPng.width || expectedPng.height !== actualPng.height) {
+      throw new Error(`Image dimensions mismatch: expected ${expectedPng.width}x${expectedPng.height}, got ${actualPng.width}x${actualPng.height}`);
+    }
+
+    return {
+      ssim: this.computeSSIM(expectedPng, actualPng, mask),
+      channelMAE: this.computeChannelMAE(expectedPng, actualPng, mask),
+      perceptual: this.computeColorDelta(expectedPng, actualPng, mask)
+    };
+  }
+
+  /**
+   * 基于亮度通道的滑动窗口 SSIM
+   * 有遮罩时只统计中心像素参与计分的窗口
+   * @returns {number} 平均 SSIM（0-1，1 表示结构完全一致）
+   */
+  computeSSIM(expectedPng, actualPng, mask = null) {
+    const { width, height } = expectedPng;
+    const expectedLuma = this.toLuminance(expectedPng);
+    const actualLuma = this.toLuminance(actualPng);
+
+    // 图片小于窗口时整张图作为一个窗口
+    const windowWidth = Math.min(this.windowSize, width);
+    const windowHeight = Math.min(this.windowSize, height);
+    let total = 0;
+    let windows = 0;
+
+    for (let top = 0; top + windowHeight <= height; top += this.windowStep) {
+      for (let left = 0; left + windowWidth <= width; left += this.windowStep) {
+        const center = width * (top + (windowHeight >> 1)) + left + (windowWidth >> 1);
+        if (mask && !mask.isIncluded(center)) continue;
+
+        total += this.windowSSIM(expectedLuma, actualLuma, width, left, top, windowWidth, windowHeight);
+        windows++;
+      }
+    }
+
+    return windows > 0 ? total / windows : 1;
+  }
+
+  windowSSIM(expectedLuma, actualLuma, width, left, top, windowWidth, windowHeight) {
+    const count = windowWidth * windowHeight;
+    let sumX = 0;
+    let sumY = 0;
+    let sumXX = 0;
+    let sumYY = 0;
+    let sumXY = 0;
+
+    for (let y = top; y < top + windowHeight; y++) {
+      for (let x = left; x < left + windowWidth; x++) {
+        const i = width * y + x;
+        const a = expectedLuma[i];
+        const b = actualLuma[i];
+        sumX += a;
+        sumY += b;
+        sumXX += a * a;
+        sumYY += b * b;
+        sumXY += a * b;
+      }
+    }
+
+    const meanX = sumX / count;
+    const meanY = sumY / count;
+    const varX = sumXX / count - meanX * meanX;
+    const varY = sumYY / count - meanY * meanY;
+    const covXY = sumXY / count - meanX * meanY;
+
+    return ((2 * meanX * meanY + SSIM_C1) * (2 * covXY + SSIM_C2)) /
+           ((meanX * meanX + meanY * meanY + SSIM_C1) * (varX + varY + SSIM_C2));
+  }
+
+  /**
+   * 逐通道平均绝对误差（0-255）
+   * @returns {{r: number, g: number, b: number, a: number, mean: number}}
+   */
+  computeChannelMAE(expectedPng, actualPng, mask = null) {
+    const { data: expected } = expectedPng;
+    const { data: actual } = actualPng;
+    const sums = [0, 0, 0, 0];
+
+    for (let idx = 0; idx < expected.length; idx += 4) {
+      if (mask && !mask.isIncluded(idx >> 2)) continue;
+      for (let c = 0; c < 4; c++) {
+        sums[c] += Math.abs(expected[idx + c] - actual[idx + c]);
+      }
+    }
+
+    const pixels = (mask ? mask.includedPixels : expected.length / 4) || 1;
+    const [r, g, b, a] = sums.map(sum => sum / pixels);
+
+    return { r, g, b, a, mean: (r + g + b) / 3 };
+  }
+
+  /**
+   * CIEDE2000 感知色差统计
+   * 只对颜色不同的像素计算 ΔE00，相同像素记为 0
+   * @returns {{meanDeltaE: number, maxDeltaE: number, perceptiblePixels: number, perceptualMatchPercentage: number, jnd: number}}
+   */
+  computeColorDelta(expectedPng, actualPng, mask = null) {
+    const { data: expected } = expectedPng;
+    const { data: actual } = actualPng;
+    const labCache = new Map();
+    const totalPixels = mask ? mask.includedPixels : expected.length / 4;
+    let sum = 0;
+    let max = 0;
+    let perceptible = 0;
+
+    for (let idx = 0; idx < expected.length; idx += 4) {
+      if (mask && !mask.isIncluded(idx >> 2)) continue;
+
+      const expectedRgb = this.compositePixel(expected, idx);
+      const actualRgb = this.compositePixel(actual, idx);
+
+      if (expectedRgb[0] === actualRgb[0] && expectedRgb[1] === actualRgb[1] && expectedRgb[2] === actualRgb[2]) {
+        continue;
+      }
+
+      const deltaE = ImageMetrics.deltaE2000(
+        this.cachedLab(labCache, expectedRgb),
+        this.cachedLab(labCache, actualRgb)
+      );
+
+      sum += deltaE;
+      if (deltaE > max) max = deltaE;
+      if (deltaE > this.jnd) perceptible++;
+    }
+
+    return {
+      meanDeltaE: totalPixels > 0 ? sum / totalPixels : 0,
+      maxDeltaE: max,
+      perceptiblePixels: perceptible,
+      perceptualMatchPercentage: totalPixels > 0 ? ((totalPixels - perceptible) / totalPixels) * 100 : 100,
+      jnd: this.jnd
+    };
+  }
+
+  /**
+   * 矩形范围内指定像素的平均 ΔE00，用于衡量单个差异区域的色差
+   * @param {{x: number, y: number, width: number, height: number}} rect - 比较像素矩形
+   * @param {Function} isIncluded - (idx) => boolean，只统计返回 true 的像素（如 diff.png 中的差异像素）
+   * @returns {number} 平均 ΔE00，没有像素时为 0
+   */
+  computeRegionDeltaE(expectedPng, actualPng, rect, isIncluded = () => true) {
+    const labCache = new Map();
+    let sum = 0;
+    let count = 0;
+
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      for (let x = rect.x; x < rect.x + rect.width; x++) {
+        const idx = (expectedPng.width * y + x) << 2;
+        if (!isIncluded(idx)) continue;
+
+        sum += ImageMetrics.deltaE2000(
+          this.cachedLab(labCache, this.compositePixel(expectedPng.data, idx)),
+          this.cachedLab(labCache, this.compositePixel(actualPng.data, idx))
+        );
+        count++;
+      }
+    }
+
+    return count > 0 ? sum / count : 0;
+  }
+
+  /**
+   * 将指定指标换算为 0-100 的分数
+   * @param {string} metric - pixelmatch | ssim | mae | deltaE
+   * @param {Object} metrics - computeAll 的结果，额外包含 matchPercentage
+   * @returns {number} 分数
+   */
+  static scoreFor(metric, metrics) {
+    switch (metric) {
+      case 'pixelmatch':
+        return metrics.matchPercentage;
+      case 'ssim':
+        return metrics.ssim * 100;
+      case 'mae':
+        return (1 - metrics.channelMAE.mean / 255) * 100;
+      case 'deltaE':
+        return metrics.perceptual.perceptualMatchPercentage;
+      default:
+        throw new Error(`Unsupported metric: ${metric}. Supported metrics: ${SUPPORTED_METRICS.join(', ')}`);
+    }
+  }
+
+  // 辅助方法
+
+  /**
+   * 将像素按透明度合成到背景色上，透明截图与不透明设计稿才能直接比较
+   */
+  compositePixel(data, idx) {
+    const alpha = data[idx + 3] / 255;
+    return [
+      Math.round(data[idx] * alpha + this.background[0] * (1 - alpha)),
+      Math.round(data[idx + 1] * alpha + this.background[1] * (1 - alpha)),
+      Math.round(data[idx + 2] * alpha + this.background[2] * (1 - alpha))
+    ];
+  }
+
+  toLuminance(png) {
+    const luma = new Float32Array(png.width * png.height);
+    for (let i = 0; i < luma.length; i++) {
+      const [r, g, b] = this.compositePixel(png.data, i << 2);
+      luma[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+    return luma;
+  }
+
+  cachedLab(cache, rgb) {
+    const key = (rgb[0] << 16) | (rgb[1] << 8) | rgb[2];
+    let lab = cache.get(key);
+    if (!lab) {
+      lab = ImageMetrics.rgbToLab(rgb);
+      cache.set(key, lab);
+    }
+    return lab;
+  }
+
+  /**
+   * sRGB（D65）转 CIELAB
+   */
+  static rgbToLab([r, g, b]) {
+    const linear = value => {
+      const v = value / 255;
+      return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+    };
+    const lr = linear(r);
+    const lg = linear(g);
+    const lb = linear(b);
+
+    const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+    const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) / 1.0;
+    const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+    const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  /**
+   * CIEDE2000 色差公式（kL = kC = kH = 1）
+   */
+  static deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+    const rad = Math.PI / 180;
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const meanC = (C1 + C2) / 2;
+    const G = 0.5 * (1 - Math.sqrt(meanC ** 7 / (meanC ** 7 + 25 ** 7)));
+
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+
+    const hue = (b, a) => {
+      if (a === 0 && b === 0) return 0;
+      const h = Math.atan2(b, a) / rad;
+      return h >= 0 ? h : h + 360;
+    };
+    const h1p = hue(b1, a1p);
+    const h2p = hue(b2, a2p);
+
+    const deltaLp = L2 - L1;
+    const deltaCp = C2p - C1p;
+
+    let deltahp = 0;
+    if (C1p * C2p !== 0) {
+      deltahp = h2p - h1p;
+      if (deltahp > 180) deltahp -= 360;
+      else if (deltahp < -180) deltahp += 360;
+    }
+    const deltaHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((deltahp / 2) * rad);
+
+    const meanLp = (L1 + L2) / 2;
+    const meanCp = (C1p + C2p) / 2;
+
+    let meanhp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+      if (Math.abs(h1p - h2p) <= 180) meanhp = (h1p + h2p) / 2;
+      else if (h1p + h2p < 360) meanhp = (h1p + h2p + 360) / 2;
+      else meanhp = (h1p + h2p - 360) / 2;
+    }
+
+    const T = 1 -
+      0.17 * Math.cos((meanhp - 30) * rad) +
+      0.24 * Math.cos(2 * meanhp * rad) +
+      0.32 * Math.cos((3 * meanhp + 6) * rad) -
+      0.20 * Math.cos((4 * meanhp - 63) * rad);
+
+    const deltaTheta = 30 * Math.exp(-(((meanhp - 275) / 25) ** 2));
+    const RC = 2 * Math.sqrt(meanCp ** 7 / (meanCp ** 7 + 25 ** 7));
+    const SL = 1 + (0.015 * (meanLp - 50) ** 2) / Math.sqrt(20 + (meanLp - 50) ** 2);
+    const SC = 1 + 0.045 * meanCp;
+    const SH = 1 + 0.015 * meanCp * T;
+    const RT = -Math.sin(2 * deltaTheta * rad) * RC;
+
+    return Math.sqrt(
+      (deltaLp / SL) ** 2 +
+      (deltaCp / SC) ** 2 +
+      (deltaHp / SH) ** 2 +
+      RT * (deltaCp / SC) * (deltaHp / SH)
+    );
+  }
+}
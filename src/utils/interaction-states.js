@@ -0,0 +1,138 @@
+/**
+ * 交互状态
+ * Figma 中 hover / focus / pressed / disabled 通常导出为单独的画板（expected.hover.png 等），
+ * snapdom_screenshot 在默认截图之后逐个触发这些状态并保存 actual.<state>.png，
+ * figma_compare 通过 state 参数把两者配对
+ */
+
+// 内置的交互动作；disabled 通过查询参数设置 disabled 属性实现
+export const STATE_ACTIONS = ['hover', 'focus', 'active', 'disabled', 'props'];
+
+// figma_compare 对比交互状态时的输出目录：results/states/<state>/
+export const STATES_DIR = 'states';
+
+// 等待状态切换触发的 transition / animation 结束的最长时间（毫秒）
+const TRANSITION_TIMEOUT = 2000;
+
+// 状态名的格式
+const STATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// focus 动作在目标元素本身不可聚焦时，聚焦其中第一个可聚焦元素
+const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, [tabindex], [contenteditable="true"]';
+
+export class InteractionStates {
+  /**
+   * 校验并规范化 states 参数
+   * 支持字符串简写（'hover'）和对象形式（{ name, action, selector, props }）
+   * @param {Array<string|Object>} states
+   * @returns {Array<{name: string, action: string, selector: string|null, props: Object|null}>}
+   */
+  static normalize(states = []) {
+    if (!Array.isArray(states)) {
+      throw new Error('❌ 参数错误: states 必须是数组');
+    }
+
+    const names = new Set();
+    return states.map(state => {
+      const spec = typeof state === 'string' ? { name: state } : state;
+      if (!spec || typeof spec !== 'object' || !InteractionStates.isValidName(spec.name)) {
+        throw new Error(`❌ 参数错误: states 中每一项需要由字母、数字、- 或 _ 组成的 name，收到: ${JSON.stringify(state)}`);
+      }
+
+      if (names.has(spec.name)) {
+        throw new Error(`❌ 参数错误: states 中的 name 重复: ${spec.name}`);
+      }
+      names.add(spec.name);
+
+      const action = spec.action || (STATE_ACTIONS.includes(spec.name) ? spec.name : (spec.props ? 'props' : null));
+      if (!STATE_ACTIONS.includes(action)) {
+        throw new Error(`❌ 参数错误: 状态 ${spec.name} 的 action 只支持 ${STATE_ACTIONS.join(' / ')}，收到: ${action}`);
+      }
+
+      if (spec.props !== undefined && (typeof spec.props !== 'object' || spec.props === null || Array.isArray(spec.props))) {
+        throw new Error(`❌ 参数错误: 状态 ${spec.name} 的 props 必须是对象`);
+      }
+
+      if (action === 'props' && !spec.props) {
+        throw new Error(`❌ 参数错误: 状态 ${spec.name} 的 action 为 props 时需要提供 props`);
+      }
+
+      const props = action === 'disabled' ? { disabled: true, ...spec.props } : (spec.props || null);
+      return { name: spec.name, action, selector: spec.selector || null, props };
+    });
+  }
+
+  /**
+   * 状态名会出现在文件名中，只允许字母、数字、- 和 _
+   */
+  static isValidName(name) {
+    return typeof name === 'string' && STATE_NAME_PATTERN.test(name);
+  }
+
+  /**
+   * 状态对应的文件名：actual.png + hover → actual.hover.png
+   */
+  static fileName(file, state) {
+    if (!state) return file;
+    return file.replace(/(\.[^.]+)$/, `.${state}$1`);
+  }
+
+  /**
+   * 在已打开的组件页面上触发状态
+   * props / disabled 已经通过页面地址的查询参数生效，这里只处理指针和焦点
+   * @param {Page} page - Puppeteer 页面
+   * @param {Object} state - normalize 之后的状态
+   * @param {string} targetSelector - 截图目标选择器，状态未指定 selector 时使用
+   * @returns {Promise<Function|null>} 截图之后需要执行的清理函数（释放鼠标）
+   */
+  static async apply(page, state, targetSelector) {
+    const selector = state.selector || targetSelector;
+
+    switch (state.action) {
+      case 'hover':
+        await page.hover(selector);
+        return null;
+
+      case 'active':
+        await page.hover(selector);
+        await page.mouse.down();
+        return () => page.mouse.up();
+
+      case 'focus': {
+        const focused = await page.evaluate((elementSelector, focusableSelector) => {
+          const element = document.querySelector(elementSelector);
+          if (!element) return false;
+          const target = element.matches(focusableSelector) ? element : element.querySelector(focusableSelector);
+          if (!target) return false;
+          target.focus();
+          return document.activeElement === target;
+        }, selector, FOCUSABLE_SELECTOR);
+
+        if (!focused) {
+          throw new Error(`State ${state.name}: no focusable element found for selector ${selector}`);
+        }
+        return null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 等待状态切换触发的有限次 transition / animation 结束，无限循环的动画不等待
+   * @param {Page} page - Puppeteer 页面
+   * @param {number} timeout - 最长等待时间（毫秒）
+   */
+  static async waitForTransitions(page, timeout = TRANSITION_TIMEOUT) {
+    await page.evaluate(maxWait => new Promise(resolve => {
+      // 等两帧，让 :hover / :focus 触发的 transition 开始
+      requestAnimationFrame(() => requestAnimationFrame(() => {
+        const finite = document.getAnimations()
+          .filter(animation => animation.effect && animation.effect.getComputedTiming().endTime !== Infinity);
+        Promise.all(finite.map(animation => animation.finished.catch(() => null))).then(resolve);
+        setTimeout(resolve, maxWait);
+      }));
+    }), timeout);
+  }
+}
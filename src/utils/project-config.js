@@ -0,0 +1,53 @@
+/**
+ * 项目配置
+ * Vue 项目根目录下的 figma-restoration.config.json，以及组件目录下的 metadata.json，
+ * 用于保存按项目/组件区分的工具配置（如质量门禁）
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// 项目根目录下的配置文件名
+export const PROJECT_CONFIG_FILE = 'figma-restoration.config.json';
+
+/**
+ * 读取 JSON 文件，文件不存在时返回 null，格式错误时抛出参数错误
+ */
+async function readJson(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`❌ 配置文件不是合法的 JSON: ${filePath} - ${error.message}`);
+  }
+}
+
+/**
+ * 读取项目配置
+ * @param {string} projectPath - Vue 项目路径
+ * @returns {Promise<{config: Object, path: string|null}>} 没有配置文件时 config 为空对象
+ */
+export async function loadProjectConfig(projectPath) {
+  const configPath = path.join(projectPath, PROJECT_CONFIG_FILE);
+  const config = await readJson(configPath);
+  return { config: config || {}, path: config ? configPath : null };
+}
+
+/**
+ * 读取组件的 metadata.json
+ * @param {string} projectPath - Vue 项目路径
+ * @param {string} componentName - 组件名称
+ * @returns {Promise<{metadata: Object, path: string|null}>} 没有 metadata.json 时 metadata 为空对象
+ */
+export async function loadComponentMetadata(projectPath, componentName) {
+  const metadataPath = path.join(projectPath, 'src', 'components', componentName, 'metadata.json');
+  const metadata = await readJson(metadataPath);
+  return { metadata: metadata || {}, path: metadata ? metadataPath : null };
+}
@@ -0,0 +1,196 @@
+/**
+ * 质量门禁
+ * 取代固定的 98% 标准：按项目（figma-restoration.config.json）和组件（metadata.json）配置阈值，
+ * 同时检查总分、单个差异区域面积、区域色差和 SSIM 下限，给出结构化的通过/失败结果
+ */
+
+import { PROJECT_CONFIG_FILE, loadProjectConfig, loadComponentMetadata } from './project-config.js';
+
+/**
+ * 默认门禁
+ * minScore: 所选 metric 的最低分数（0-100）
+ * maxRegionArea: 单个差异区域的最大面积（设计稿 px²），null 表示不检查
+ * maxColorDelta: 单个差异区域内差异像素的平均 ΔE00 上限，null 表示不检查
+ * minSsim: SSIM 下限（0-1），null 表示不检查
+ * statusLevels: 报告中 excellent / good / needs_improvement 状态的还原度下限
+ */
+export const DEFAULT_QUALITY_GATES = {
+  minScore: 98,
+  maxRegionArea: null,
+  maxColorDelta: null,
+  minSsim: null,
+  statusLevels: {
+    excellent: 95,
+    good: 90,
+    needsImprovement: 80
+  }
+};
+
+const GATE_NAMES = ['minScore', 'maxRegionArea', 'maxColorDelta', 'minSsim'];
+
+export class QualityGate {
+  /**
+   * @param {Object} gates - 门禁配置，未提供的项使用默认值
+   * @param {Array<string>} sources - 配置来源，按合并顺序排列
+   */
+  constructor(gates = {}, sources = ['default']) {
+    QualityGate.validate(gates);
+    this.gates = QualityGate.merge(DEFAULT_QUALITY_GATES, gates);
+    this.sources = sources;
+  }
+
+  /**
+   * 按 默认值 → 项目配置 → 项目配置中的组件配置 → 组件 metadata.json → 调用参数 的顺序合并门禁
+   * @param {string} projectPath - Vue 项目路径
+   * @param {string} componentName - 组件名称
+   * @param {Object} overrides - 调用参数中的 qualityGates
+   * @returns {Promise<QualityGate>}
+   */
+  static async load(projectPath, componentName, overrides = {}) {
+    const { config } = await loadProjectConfig(projectPath);
+    const { metadata } = await loadComponentMetadata(projectPath, componentName);
+    const { components = {}, ...projectGates } = config.qualityGates || {};
+
+    const layers = [
+      [PROJECT_CONFIG_FILE, projectGates],
+      [`${PROJECT_CONFIG_FILE}#components.${componentName}`, components[componentName]],
+      [`${componentName}/metadata.json`, metadata.qualityGates],
+      ['arguments', overrides]
+    ];
+
+    let gates = {};
+    const sources = ['default'];
+    layers.forEach(([source, layer]) => {
+      if (!layer || Object.keys(layer).length === 0) return;
+      try {
+        QualityGate.validate(layer);
+      } catch (error) {
+        throw new Error(`${error.message}（来源: ${source}）`);
+      }
+      gates = QualityGate.merge(gates, layer);
+      sources.push(source);
+    });
+
+    return new QualityGate(gates, sources);
+  }
+
+  static merge(base, layer) {
+    return {
+      ...base,
+      ...layer,
+      statusLevels: { ...base.statusLevels, ...layer.statusLevels }
+    };
+  }
+
+  /**
+   * 校验门禁配置，null 表示关闭该项检查
+   */
+  static validate(gates) {
+    if (typeof gates !== 'object' || Array.isArray(gates)) {
+      throw new Error('❌ 参数错误: qualityGates 必须是对象');
+    }
+
+    GATE_NAMES.forEach(name => {
+      const value = gates[name];
+      if (value !== undefined && value !== null && (!Number.isFinite(value) || value < 0)) {
+        throw new Error(`❌ 参数错误: qualityGates.${name} 必须是非负数或 null，收到: ${value}`);
+      }
+    });
+
+    if (gates.minSsim !== undefined && gates.minSsim !== null && gates.minSsim > 1) {
+      throw new Error(`❌ 参数错误: qualityGates.minSsim 取值范围为 0-1，收到: ${gates.minSsim}`);
+    }
+
+    Object.entries(gates.statusLevels || {}).forEach(([name, value]) => {
+      if (!Number.isFinite(value)) {
+        throw new Error(`❌ 参数错误: qualityGates.statusLevels.${name} 必须是数值，收到: ${value}`);
+      }
+    });
+  }
+
+  /**
+   * 区域相关的门禁需要先统计差异区域
+   */
+  get needsRegions() {
+    return this.gates.maxRegionArea !== null || this.gates.maxColorDelta !== null;
+  }
+
+  /**
+   * 执行门禁检查
+   * @param {Object} input
+   * @param {number} input.score - 所选 metric 的分数
+   * @param {string} input.metric - 驱动分数的指标
+   * @param {Object} input.metrics - ImageMetrics.computeAll 的结果
+   * @param {Array<{index: number, area: number, colorDelta: number}>} input.regions - 差异区域（设计稿 px²）
+   * @returns {{passed: boolean, failedChecks: Array, checks: Array, gates: Object, sources: Array<string>}}
+   */
+  evaluate({ score, metric, metrics, regions = [] }) {
+    const { minScore, maxRegionArea, maxColorDelta, minSsim } = this.gates;
+    const round = value => Number(value.toFixed(2));
+    const checks = [];
+
+    if (minScore !== null) {
+      checks.push({
+        check: 'minScore',
+        limit: minScore,
+        actual: round(score),
+        passed: score >= minScore,
+        message: `${metric} score ${score.toFixed(2)} ${score >= minScore ? '>=' : '<'} ${minScore}`
+      });
+    }
+
+    if (minSsim !== null) {
+      const ssim = metrics.ssim;
+      checks.push({
+        check: 'minSsim',
+        limit: minSsim,
+        actual: Number(ssim.toFixed(4)),
+        passed: ssim >= minSsim,
+        message: `SSIM ${ssim.toFixed(4)} ${ssim >= minSsim ? '>=' : '<'} ${minSsim}`
+      });
+    }
+
+    if (maxRegionArea !== null) {
+      const largest = QualityGate.maxBy(regions, 'area');
+      const area = largest ? largest.area : 0;
+      checks.push({
+        check: 'maxRegionArea',
+        limit: maxRegionArea,
+        actual: round(area),
+        region: largest ? largest.index : null,
+        passed: area <= maxRegionArea,
+        message: largest
+          ? `largest diff region (region ${largest.index}) covers ${area.toFixed(2)} design px² ${area <= maxRegionArea ? '<=' : '>'} ${maxRegionArea}`
+          : 'no diff regions'
+      });
+    }
+
+    if (maxColorDelta !== null) {
+      const worst = QualityGate.maxBy(regions, 'colorDelta');
+      const colorDelta = worst ? worst.colorDelta : 0;
+      checks.push({
+        check: 'maxColorDelta',
+        limit: maxColorDelta,
+        actual: round(colorDelta),
+        region: worst ? worst.index : null,
+        passed: colorDelta <= maxColorDelta,
+        message: worst
+          ? `region ${worst.index} mean ΔE00 ${colorDelta.toFixed(2)} ${colorDelta <= maxColorDelta ? '<=' : '>'} ${maxColorDelta}`
+          : 'no diff regions'
+      });
+    }
+
+    const failedChecks = checks.filter(check => !check.passed);
+    return {
+      passed: failedChecks.length === 0,
+      failedChecks,
+      checks,
+      gates: this.gates,
+      sources: this.sources
+    };
+  }
+
+  static maxBy(items, key) {
+    return items.reduce((best, item) => (!best || item[key] > best[key] ? item : best), null);
+  }
+}
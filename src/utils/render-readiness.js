@@ -0,0 +1,236 @@
+/**
+ * 截图前的渲染就绪等待
+ * 依次等待网络空闲、web 字体加载、图片解码、CSS 动画/过渡结束（或强制关闭），
+ * 最后要求目标元素连续 N 帧截图完全一致，并记录每个条件的耗时，便于排查截图慢或截到半成品的原因
+ */
+
+// 按执行顺序排列的就绪条件
+export const READINESS_CONDITIONS = ['network', 'fonts', 'images', 'animations', 'frames'];
+
+// animations 的处理方式：等待有限动画结束 / 强制关闭 / 不处理
+export const ANIMATION_MODES = ['wait', 'disable', 'ignore'];
+
+export const DEFAULT_READINESS = {
+  networkIdle: true,
+  fonts: true,
+  images: true,
+  animations: 'wait',
+  stableFrames: 2,
+  timeout: 5000
+};
+
+// 没有新请求持续多久视为网络空闲（毫秒）
+const NETWORK_IDLE_TIME = 300;
+
+// 连续帧一致检查的最大帧数上限
+const MAX_STABLE_FRAMES = 10;
+
+// animations: 'disable' 时注入的样式
+export const DISABLE_ANIMATIONS_CSS = `*, *::before, *::after {
+  animation-duration: 0s !important;
+  animation-delay: 0s !important;
+  animation-iteration-count: 1 !important;
+  transition-duration: 0s !important;
+  transition-delay: 0s !important;
+}`;
+
+export class RenderReadiness {
+  /**
+   * 校验并规范化 readiness 参数，未指定的条件使用 DEFAULT_READINESS
+   * @param {Object} readiness
+   * @returns {{networkIdle: boolean, fonts: boolean, images: boolean, animations: string, stableFrames: number, timeout: number}}
+   */
+  static normalize(readiness = {}) {
+    if (!readiness || typeof readiness !== 'object' || Array.isArray(readiness)) {
+      throw new Error('❌ 参数错误: readiness 必须是对象');
+    }
+
+    const options = { ...DEFAULT_READINESS, ...readiness };
+
+    ['networkIdle', 'fonts', 'images'].forEach(key => {
+      if (typeof options[key] !== 'boolean') {
+        throw new Error(`❌ 参数错误: readiness.${key} 必须是布尔值，收到: ${options[key]}`);
+      }
+    });
+
+    if (!ANIMATION_MODES.includes(options.animations)) {
+      throw new Error(`❌ 参数错误: readiness.animations 只支持 ${ANIMATION_MODES.join(' / ')}，收到: ${options.animations}`);
+    }
+
+    if (!Number.isInteger(options.stableFrames) || options.stableFrames < 0 || options.stableFrames > MAX_STABLE_FRAMES) {
+      throw new Error(`❌ 参数错误: readiness.stableFrames 必须是 0-${MAX_STABLE_FRAMES} 之间的整数，收到: ${options.stableFrames}`);
+    }
+
+    if (!Number.isFinite(options.timeout) || options.timeout <= 0) {
+      throw new Error(`❌ 参数错误: readiness.timeout 必须是正数，收到: ${options.timeout}`);
+    }
+
+    const { networkIdle, fonts, images, animations, stableFrames, timeout } = options;
+    return { networkIdle, fonts, images, animations, stableFrames, timeout };
+  }
+
+  /**
+   * 依次等待各就绪条件；单个条件超时不会中断截图，只在报告中标记为 timeout
+   * @param {Page} page - Puppeteer 页面
+   * @param {string} targetSelector - 截图目标选择器，用于连续帧检查
+   * @param {Object} options - normalize 之后的参数
+   * @returns {Promise<{ready: boolean, totalMs: number, conditions: Array<{name: string, status: string, ms: number, detail: Object|null}>}>}
+   */
+  static async wait(page, targetSelector, options = DEFAULT_READINESS) {
+    const steps = {
+      network: options.networkIdle && (() => RenderReadiness.waitForNetworkIdle(page, options.timeout)),
+      fonts: options.fonts && (() => RenderReadiness.waitForFonts(page, options.timeout)),
+      images: options.images && (() => RenderReadiness.waitForImages(page, options.timeout)),
+      animations: options.animations !== 'ignore' && (() => (options.animations === 'disable'
+        ? RenderReadiness.disableAnimations(page)
+        : RenderReadiness.waitForAnimations(page, options.timeout))),
+      frames: options.stableFrames > 1 && (() => RenderReadiness.waitForStableFrames(page, targetSelector, options.stableFrames, options.timeout))
+    };
+
+    const startedAt = Date.now();
+    const conditions = [];
+    for (const name of READINESS_CONDITIONS) {
+      if (!steps[name]) {
+        conditions.push({ name, status: 'skipped', ms: 0, detail: null });
+        continue;
+      }
+
+      const conditionStartedAt = Date.now();
+      const { ready, ...detail } = await steps[name]();
+      conditions.push({
+        name,
+        status: ready ? 'ready' : 'timeout',
+        ms: Date.now() - conditionStartedAt,
+        detail: Object.keys(detail).length > 0 ? detail : null
+      });
+    }
+
+    return {
+      ready: conditions.every(condition => condition.status !== 'timeout'),
+      totalMs: Date.now() - startedAt,
+      conditions
+    };
+  }
+
+  /**
+   * 等待 NETWORK_IDLE_TIME 内没有新的请求
+   */
+  static async waitForNetworkIdle(page, timeout) {
+    try {
+      await page.waitForNetworkIdle({ idleTime: NETWORK_IDLE_TIME, timeout });
+      return { ready: true };
+    } catch (error) {
+      return { ready: false, error: error.message };
+    }
+  }
+
+  /**
+   * 等待 document.fonts.ready，并记录加载失败的字体
+   */
+  static async waitForFonts(page, timeout) {
+    return page.evaluate(maxWait => new Promise(resolve => {
+      const summary = () => {
+        const faces = Array.from(document.fonts);
+        return {
+          loaded: faces.filter(face => face.status === 'loaded').length,
+          failed: faces.filter(face => face.status === 'error').map(face => face.family)
+        };
+      };
+      const timer = setTimeout(() => resolve({ ready: false, ...summary() }), maxWait);
+      document.fonts.ready.then(() => {
+        clearTimeout(timer);
+        resolve({ ready: true, ...summary() });
+      });
+    }), timeout);
+  }
+
+  /**
+   * 等待所有 <img> 加载并解码；loading="lazy" 的图片改为立即加载，否则视口外的图片永远不会加载
+   */
+  static async waitForImages(page, timeout) {
+    return page.evaluate(maxWait => new Promise(resolve => {
+      const images = Array.from(document.images);
+      images.filter(image => image.loading === 'lazy').forEach(image => { image.loading = 'eager'; });
+
+      const pending = images.map(image => (image.complete
+        ? Promise.resolve()
+        : new Promise(done => {
+          image.addEventListener('load', done, { once: true });
+          image.addEventListener('error', done, { once: true });
+        })).then(() => image.decode().catch(() => null)));
+
+      const summary = () => ({
+        total: images.length,
+        broken: images.filter(image => image.complete && image.naturalWidth === 0).map(image => image.currentSrc || image.src)
+      });
+      const timer = setTimeout(() => resolve({ ready: false, ...summary() }), maxWait);
+      Promise.all(pending).then(() => {
+        clearTimeout(timer);
+        resolve({ ready: true, ...summary() });
+      });
+    }), timeout);
+  }
+
+  /**
+   * 等待有限次的动画和过渡结束；无限循环的动画无法结束，只记录数量（可改用 animations: 'disable'）
+   */
+  static async waitForAnimations(page, timeout) {
+    return page.evaluate(maxWait => new Promise(resolve => {
+      const running = document.getAnimations().filter(animation => animation.playState === 'running');
+      const infinite = running.filter(animation => animation.effect && animation.effect.getComputedTiming().endTime === Infinity).length;
+      const finite = running.filter(animation => animation.effect && animation.effect.getComputedTiming().endTime !== Infinity);
+
+      const timer = setTimeout(() => resolve({ ready: false, running: finite.length, infinite }), maxWait);
+      Promise.all(finite.map(animation => animation.finished.catch(() => null))).then(() => {
+        clearTimeout(timer);
+        resolve({ ready: true, running: finite.length, infinite });
+      });
+    }), timeout);
+  }
+
+  /**
+   * 注入样式把动画和过渡时长归零，并让正在运行的动画直接跳到结束状态
+   */
+  static async disableAnimations(page) {
+    await page.addStyleTag({ content: DISABLE_ANIMATIONS_CSS });
+    const disabled = await page.evaluate(() => {
+      const animations = document.getAnimations();
+      animations.forEach(animation => {
+        const { endTime } = animation.effect ? animation.effect.getComputedTiming() : { endTime: Infinity };
+        if (endTime === Infinity) animation.cancel();
+        else animation.finish();
+      });
+      return animations.length;
+    });
+    return { ready: true, disabled };
+  }
+
+  /**
+   * 逐帧截取目标元素，直到连续 frames 帧完全一致
+   */
+  static async waitForStableFrames(page, targetSelector, frames, timeout) {
+    const element = await page.$(targetSelector);
+    if (!element) {
+      return { ready: false, error: `Component selector ${targetSelector} not found` };
+    }
+
+    const deadline = Date.now() + timeout;
+    let previous = null;
+    let identical = 1;
+    let captured = 0;
+
+    while (Date.now() < deadline) {
+      await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => resolve())));
+      const frame = await element.screenshot({ type: 'png', omitBackground: true });
+      captured++;
+
+      identical = previous && frame.equals(previous) ? identical + 1 : 1;
+      if (identical >= frames) {
+        return { ready: true, captured };
+      }
+      previous = frame;
+    }
+
+    return { ready: false, captured, identical };
+  }
+}
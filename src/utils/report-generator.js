@@ -7,12 +7,15 @@ import fs from 'fs/promises';
 import path from 'path';
 import { PNG } from 'pngjs';
 import { ensureDirectory } from './path-config.js';
+import { DEFAULT_QUALITY_GATES } from './quality-gate.js';
 
 export class ReportGenerator {
   constructor(options = {}) {
     this.version = options.version || '1.0.0';
     this.includeHeatmap = options.includeHeatmap !== false;
     this.includeThumbnails = options.includeThumbnails !== false;
+    // 状态等级的还原度下限，来自质量门禁配置
+    this.statusLevels = { ...DEFAULT_QUALITY_GATES.statusLevels, ...options.statusLevels };
   }
 
   /**
@@ -20,9 +23,11 @@ export class ReportGenerator {
    * @param {string} componentName - 组件名称
    * @param {Object} comparisonResult - 对比分析结果
    * @param {string} outputDir - 输出目录
+   * @param {Object} options
+   * @param {{expected: string, actual: string}} options.images - 输入图片路径，默认为 outputDir 下的 expected.png / actual.png
    * @returns {Promise<ComparisonReport>} 生成的报告对象
    */
-  async generateReport(componentName, comparisonResult, outputDir) {
+  async generateReport(componentName, comparisonResult, outputDir, options = {}) {
     try {
       await ensureDirectory(outputDir);
 
@@ -44,7 +49,8 @@ export class ReportGenerator {
         images: {
           expected: path.join(outputDir, 'expected.png'),
           actual: path.join(outputDir, 'actual.png'),
-          diff: path.join(outputDir, 'diff.png')
+          diff: path.join(outputDir, 'diff.png'),
+          ...options.images
         },
         analysis: {
           matchPercentage: comparisonResult.matchPercentage,
@@ -199,7 +205,9 @@ export class ReportGenerator {
     markdown += `## 🖼️ 图片对比\n\n`;
     markdown += `| 原始设计 | 实际截图 | 差异对比 |\n`;
     markdown += `|----------|----------|----------|\n`;
-    markdown += `| ![Expected](expected.png) | ![Actual](actual.png) | ![Diff](diff.png) |\n\n`;
+    // 图片链接相对于报告所在目录（即 diff.png 所在目录）
+    const link = imagePath => path.relative(path.dirname(report.images.diff), imagePath).split(path.sep).join('/');
+    markdown += `| ![Expected](${link(report.images.expected)}) | ![Actual](${link(report.images.actual)}) | ![Diff](diff.png) |\n\n`;
 
     // 差异区域分析
     if (analysis.regions && analysis.regions.length > 0) {
@@ -264,9 +272,10 @@ export class ReportGenerator {
    * @returns {string} 状态等级
    */
   determineStatus(matchPercentage) {
-    if (matchPercentage >= 95) return 'excellent';
-    if (matchPercentage >= 90) return 'good';
-    if (matchPercentage >= 80) return 'needs_improvement';
+    const { excellent, good, needsImprovement } = this.statusLevels;
+    if (matchPercentage >= excellent) return 'excellent';
+    if (matchPercentage >= good) return 'good';
+    if (matchPercentage >= needsImprovement) return 'needs_improvement';
     return 'poor';
   }
 
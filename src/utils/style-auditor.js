@@ -0,0 +1,445 @@
+/**
+ * 样式审计
+ * 把 Figma 节点与页面元素按位置配对，逐属性比较设计稿声明的样式与浏览器计算样式，
+ * 输出带容差的属性级差异列表；尺寸与边框规则沿用 src/restoration-tips 中总结的经验
+ */
+
+// 默认容差（px，颜色为 0-255 通道差）
+export const DEFAULT_STYLE_TOLERANCES = {
+  size: 1,
+  spacing: 1,
+  fontSize: 0.5,
+  lineHeight: 1,
+  letterSpacing: 0.1,
+  color: 3,
+  radius: 1,
+  borderWidth: 0.5,
+  shadow: 1
+};
+
+// 相关的还原经验文档
+const TIPS = {
+  boxModel: 'src/restoration-tips/边框盒模型差异-Figma与Web尺寸计算.md',
+  sizing: 'src/restoration-tips/Layout容器sizing-hug与fixed的关键差异.md'
+};
+
+// 参与审计的节点类型；GROUP、VECTOR 等没有可对应的 CSS 样式
+const AUDITED_TYPES = ['FRAME', 'COMPONENT', 'INSTANCE', 'RECTANGLE', 'ELLIPSE', 'TEXT'];
+
+// 支持圆角的节点类型
+const RADIUS_TYPES = ['FRAME', 'COMPONENT', 'INSTANCE', 'RECTANGLE'];
+
+export class StyleAuditor {
+  /**
+   * @param {Object} options
+   * @param {Object} options.tolerances - 覆盖默认容差
+   * @param {number} options.matchThreshold - 节点与元素配对所需的最小 IoU
+   */
+  constructor(options = {}) {
+    this.tolerances = { ...DEFAULT_STYLE_TOLERANCES, ...options.tolerances };
+    this.matchThreshold = options.matchThreshold ?? 0.5;
+  }
+
+  /**
+   * 审计所有 Figma 节点
+   * @param {FigmaNodeMap} figmaNodes - 设计节点
+   * @param {DomMap} domMap - 页面元素
+   * @param {Object} options
+   * @param {Object<string, Object>} options.mappings - 手动指定的 节点 ID → DOM 映射元素
+   * @returns {{matches: Array, unmatchedNodes: Array, mismatches: Array, summary: Object}}
+   */
+  audit(figmaNodes, domMap, { mappings = {} } = {}) {
+    const entries = figmaNodes.nodes.filter(entry => AUDITED_TYPES.includes(entry.node.type));
+    const matches = [];
+    const unmatchedNodes = [];
+    const mismatches = [];
+    let checkedProperties = 0;
+
+    entries.forEach(entry => {
+      const element = mappings[entry.node.id] || this.findElement(entry, domMap);
+      if (!element) {
+        unmatchedNodes.push({ id: entry.node.id, name: entry.node.name, type: entry.node.type, bbox: entry.rect });
+        return;
+      }
+
+      const context = {
+        node: entry.node,
+        rect: entry.rect,
+        element,
+        box: domMap.toDesignRect(element.bbox),
+        styles: element.styles
+      };
+      const results = this.auditNode(context);
+
+      checkedProperties += results.checked;
+      matches.push({
+        nodeId: entry.node.id,
+        nodeName: entry.node.name,
+        elementPath: element.path,
+        mapped: Boolean(mappings[entry.node.id]),
+        mismatches: results.mismatches.length
+      });
+      results.mismatches.forEach(mismatch => mismatches.push({
+        nodeId: entry.node.id,
+        nodeName: entry.node.name,
+        nodeType: entry.node.type,
+        elementPath: element.path,
+        ...mismatch
+      }));
+    });
+
+    const byProperty = {};
+    mismatches.forEach(mismatch => {
+      byProperty[mismatch.property] = (byProperty[mismatch.property] || 0) + 1;
+    });
+
+    return {
+      matches,
+      unmatchedNodes,
+      mismatches,
+      summary: {
+        auditedNodes: entries.length,
+        matchedNodes: matches.length,
+        unmatchedNodes: unmatchedNodes.length,
+        checkedProperties,
+        mismatches: mismatches.length,
+        byProperty
+      }
+    };
+  }
+
+  /**
+   * 按包围盒 IoU 为节点寻找对应元素；文本节点只匹配含文本的元素，文本相同时优先
+   */
+  findElement(entry, domMap) {
+    const isText = entry.node.type === 'TEXT';
+    let best = null;
+
+    domMap.elements.forEach(element => {
+      if (isText && !element.text) return;
+
+      const box = domMap.toDesignRect(element.bbox);
+      let score = StyleAuditor.iou(entry.rect, box);
+      if (score < this.matchThreshold) return;
+
+      if (isText && entry.node.characters && entry.node.characters.trim() === element.text) {
+        score += 1;
+      }
+      if (!best || score > best.score) {
+        best = { element, score };
+      }
+    });
+
+    return best ? best.element : null;
+  }
+
+  auditNode(context) {
+    const mismatches = [];
+    let checked = 0;
+    const record = result => {
+      checked++;
+      if (result) mismatches.push(result);
+    };
+
+    this.checkSize(context).forEach(record);
+
+    if (context.node.type === 'TEXT') {
+      this.checkTypography(context).forEach(record);
+    } else {
+      this.checkFill(context).forEach(record);
+      this.checkPadding(context).forEach(record);
+      this.checkGap(context).forEach(record);
+      this.checkRadius(context).forEach(record);
+      this.checkBorder(context).forEach(record);
+      this.checkEffects(context).forEach(record);
+    }
+
+    return { checked, mismatches };
+  }
+
+  /**
+   * 尺寸：描边按 strokeAlign 计入外框（Figma 描边不占内容尺寸），提示按 hug/fixed/fill 给出
+   */
+  checkSize({ node, rect, box, styles }) {
+    const strokeWeight = StyleAuditor.visiblePaints(node.strokes).length > 0 ? (node.strokeWeight || 0) : 0;
+    const growth = { OUTSIDE: 2, CENTER: 1, INSIDE: 0 }[node.strokeAlign || 'INSIDE'] * strokeWeight;
+    const results = [];
+
+    [['width', 'Horizontal'], ['height', 'Vertical']].forEach(([dimension, axis]) => {
+      const expected = rect[dimension] + growth;
+      const result = this.compareNumber(dimension, expected, box[dimension], this.tolerances.size);
+      if (result) {
+        result.hint = this.sizingHint(node, dimension, axis, expected, growth);
+        result.tip = TIPS.sizing;
+      }
+      results.push(result);
+    });
+
+    // 有描边时统一使用 border-box，尺寸才能直接对应设计稿
+    if (strokeWeight > 0 && styles['box-sizing']) {
+      results.push(styles['box-sizing'] === 'border-box' ? null : {
+        property: 'box-sizing',
+        expected: 'border-box',
+        actual: styles['box-sizing'],
+        hint: '设置 box-sizing: border-box，边框不再压缩内容区域',
+        tip: TIPS.boxModel
+      });
+    }
+
+    return results;
+  }
+
+  sizingHint(node, dimension, axis, expected, growth) {
+    const sizing = node[`layoutSizing${axis}`];
+    const strokeNote = growth > 0 ? `（含 ${growth}px 描边）` : '';
+
+    if (sizing === 'HUG') {
+      return `Figma 为 hug sizing：不要设置固定 ${dimension}，让容器由内容撑开`;
+    }
+    if (sizing === 'FILL') {
+      return `Figma 为 fill sizing：使用 ${dimension}: 100% 或 flex: 1 填充父容器`;
+    }
+    return `${dimension}: ${expected}px${strokeNote}`;
+  }
+
+  checkTypography({ node, styles }) {
+    const style = node.style || {};
+    const results = [];
+
+    if (style.fontFamily) {
+      const actual = StyleAuditor.primaryFontFamily(styles['font-family']);
+      results.push(actual.toLowerCase() === style.fontFamily.toLowerCase() ? null : {
+        property: 'font-family',
+        expected: style.fontFamily,
+        actual,
+        hint: `font-family: '${style.fontFamily}'`
+      });
+    }
+
+    if (style.fontSize) {
+      results.push(this.compareNumber('font-size', style.fontSize, StyleAuditor.parsePx(styles['font-size']), this.tolerances.fontSize));
+    }
+
+    if (style.fontWeight) {
+      const actual = Number(styles['font-weight']);
+      results.push(actual === style.fontWeight ? null : {
+        property: 'font-weight',
+        expected: style.fontWeight,
+        actual,
+        hint: `font-weight: ${style.fontWeight}`
+      });
+    }
+
+    if (style.lineHeightPx) {
+      const actual = StyleAuditor.parsePx(styles['line-height']);
+      results.push(actual === null
+        ? { property: 'line-height', expected: style.lineHeightPx, actual: styles['line-height'], unit: 'px', hint: `line-height: ${style.lineHeightPx}px` }
+        : this.compareNumber('line-height', style.lineHeightPx, actual, this.tolerances.lineHeight));
+    }
+
+    if (style.letterSpacing !== undefined) {
+      const actual = styles['letter-spacing'] === 'normal' ? 0 : StyleAuditor.parsePx(styles['letter-spacing']);
+      results.push(this.compareNumber('letter-spacing', style.letterSpacing, actual, this.tolerances.letterSpacing));
+    }
+
+    const [fill] = StyleAuditor.visiblePaints(node.fills);
+    if (fill && fill.type === 'SOLID') {
+      results.push(this.compareColor('color', StyleAuditor.figmaColor(fill), styles.color));
+    }
+
+    return results;
+  }
+
+  checkFill({ node, styles }) {
+    const paints = StyleAuditor.visiblePaints(node.fills);
+    if (paints.length === 0) {
+      const actual = StyleAuditor.parseColor(styles['background-color']);
+      return [!actual || actual.a === 0 ? null : {
+        property: 'background-color',
+        expected: 'transparent',
+        actual: styles['background-color'],
+        hint: 'Figma 节点没有填充，移除 background-color'
+      }];
+    }
+
+    // 渐变、图片填充无法与单一颜色比较
+    const [fill] = paints;
+    return fill.type === 'SOLID' ? [this.compareColor('background-color', StyleAuditor.figmaColor(fill), styles['background-color'])] : [];
+  }
+
+  checkPadding({ node, styles }) {
+    if (!node.layoutMode || node.layoutMode === 'NONE') return [];
+
+    return ['Top', 'Right', 'Bottom', 'Left'].map(side => this.compareNumber(
+      `padding-${side.toLowerCase()}`,
+      node[`padding${side}`] || 0,
+      StyleAuditor.parsePx(styles[`padding-${side.toLowerCase()}`]),
+      this.tolerances.spacing
+    ));
+  }
+
+  checkGap({ node, styles }) {
+    if (!node.layoutMode || node.layoutMode === 'NONE' || node.primaryAxisAlignItems === 'SPACE_BETWEEN') return [];
+
+    const property = node.layoutMode === 'HORIZONTAL' ? 'column-gap' : 'row-gap';
+    const actual = styles[property] === 'normal' ? 0 : StyleAuditor.parsePx(styles[property]);
+    const result = this.compareNumber(property, node.itemSpacing || 0, actual, this.tolerances.spacing);
+    if (result) {
+      result.hint = `gap: ${node.itemSpacing || 0}px（如使用 margin 实现间距，请确认子元素 margin）`;
+    }
+    return [result];
+  }
+
+  checkRadius({ node, styles }) {
+    if (!RADIUS_TYPES.includes(node.type)) return [];
+
+    const radii = node.rectangleCornerRadii || Array(4).fill(node.cornerRadius || 0);
+    return ['top-left', 'top-right', 'bottom-right', 'bottom-left'].map((corner, index) => {
+      const actual = StyleAuditor.parsePx(styles[`border-${corner}-radius`]);
+      // 百分比圆角（如 50%）无法直接比较
+      return actual === null ? null : this.compareNumber(`border-${corner}-radius`, radii[index], actual, this.tolerances.radius);
+    });
+  }
+
+  checkBorder({ node, styles }) {
+    const strokes = StyleAuditor.visiblePaints(node.strokes);
+    const expected = strokes.length > 0 ? (node.strokeWeight || 0) : 0;
+    const actual = StyleAuditor.parsePx(styles['border-top-width']);
+    const results = [this.compareNumber('border-width', expected, actual, this.tolerances.borderWidth)];
+
+    if (strokes.length > 0 && strokes[0].type === 'SOLID' && actual > 0) {
+      results.push(this.compareColor('border-color', StyleAuditor.figmaColor(strokes[0]), styles['border-color']));
+    }
+
+    return results;
+  }
+
+  checkEffects({ node, styles }) {
+    const expected = (node.effects || [])
+      .filter(effect => effect.visible !== false && (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW'))
+      .map(effect => ({
+        x: effect.offset ? effect.offset.x : 0,
+        y: effect.offset ? effect.offset.y : 0,
+        blur: effect.radius || 0,
+        spread: effect.spread || 0,
+        color: StyleAuditor.figmaColor({ color: effect.color }),
+        inset: effect.type === 'INNER_SHADOW'
+      }));
+    const actual = StyleAuditor.parseBoxShadow(styles['box-shadow']);
+    const expectedText = expected.map(StyleAuditor.formatShadow).join(', ') || 'none';
+
+    if (expected.length !== actual.length) {
+      return [{
+        property: 'box-shadow',
+        expected: expectedText,
+        actual: styles['box-shadow'] || 'none',
+        hint: `box-shadow: ${expectedText}`
+      }];
+    }
+
+    // CSS 中阴影顺序与 Figma 效果列表相反（先声明的在最上层）
+    const ordered = [...actual].reverse();
+    const different = expected.some((shadow, index) => {
+      const other = ordered[index];
+      return shadow.inset !== other.inset ||
+        ['x', 'y', 'blur', 'spread'].some(key => Math.abs(shadow[key] - other[key]) > this.tolerances.shadow) ||
+        !this.colorsMatch(shadow.color, other.color);
+    });
+
+    return [different ? {
+      property: 'box-shadow',
+      expected: expectedText,
+      actual: styles['box-shadow'],
+      hint: `box-shadow: ${expectedText}`
+    } : null];
+  }
+
+  compareNumber(property, expected, actual, tolerance) {
+    if (actual === null || actual === undefined || Number.isNaN(actual)) return null;
+
+    const difference = Number((actual - expected).toFixed(2));
+    if (Math.abs(difference) <= tolerance) return null;
+
+    return { property, expected, actual, difference, tolerance, unit: 'px', hint: `${property}: ${expected}px` };
+  }
+
+  compareColor(property, expected, actualCss) {
+    const actual = StyleAuditor.parseColor(actualCss);
+    if (actual && this.colorsMatch(expected, actual)) return null;
+
+    const expectedCss = StyleAuditor.formatColor(expected);
+    return {
+      property,
+      expected: expectedCss,
+      actual: actualCss,
+      tolerance: this.tolerances.color,
+      hint: `${property}: ${expectedCss}`
+    };
+  }
+
+  colorsMatch(expected, actual) {
+    return ['r', 'g', 'b'].every(channel => Math.abs(expected[channel] - actual[channel]) <= this.tolerances.color) &&
+      Math.abs(expected.a - actual.a) <= 0.02;
+  }
+
+  // 辅助方法
+
+  static visiblePaints(paints = []) {
+    return paints.filter(paint => paint.visible !== false);
+  }
+
+  static figmaColor({ color, opacity = 1 }) {
+    return {
+      r: Math.round(color.r * 255),
+      g: Math.round(color.g * 255),
+      b: Math.round(color.b * 255),
+      a: Number(((color.a ?? 1) * opacity).toFixed(3))
+    };
+  }
+
+  static formatColor({ r, g, b, a }) {
+    return a >= 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${a})`;
+  }
+
+  static parseColor(value) {
+    const match = /rgba?\(\s*([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\s*\)/.exec(value || '');
+    if (!match) return null;
+    return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]), a: match[4] === undefined ? 1 : Number(match[4]) };
+  }
+
+  static parsePx(value) {
+    const match = /^(-?[\d.]+)px$/.exec(String(value || '').trim());
+    return match ? Number(match[1]) : null;
+  }
+
+  static primaryFontFamily(value = '') {
+    return value.split(',')[0].trim().replace(/^["']|["']$/g, '');
+  }
+
+  /**
+   * 解析计算样式中的 box-shadow，例如 "rgba(0, 0, 0, 0.1) 0px 2px 4px 0px, rgb(0, 0, 0) 0px 0px 0px 1px inset"
+   */
+  static parseBoxShadow(value) {
+    if (!value || value === 'none') return [];
+
+    return value.split(/,(?![^(]*\))/).map(part => {
+      const color = StyleAuditor.parseColor(part) || { r: 0, g: 0, b: 0, a: 1 };
+      const lengths = part.replace(/rgba?\([^)]*\)/, '').match(/-?[\d.]+px/g) || [];
+      const [x = 0, y = 0, blur = 0, spread = 0] = lengths.map(length => parseFloat(length));
+      return { x, y, blur, spread, color, inset: /inset/.test(part) };
+    });
+  }
+
+  static formatShadow({ x, y, blur, spread, color, inset }) {
+    return `${inset ? 'inset ' : ''}${x}px ${y}px ${blur}px ${spread}px ${StyleAuditor.formatColor(color)}`;
+  }
+
+  static iou(a, b) {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    if (width <= 0 || height <= 0) return 0;
+
+    const intersection = width * height;
+    return intersection / (a.width * a.height + b.width * b.height - intersection);
+  }
+}
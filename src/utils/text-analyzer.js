@@ -0,0 +1,314 @@
+/**
+ * 文本感知比较
+ * 按 DOM 映射中的文本行盒分别比较期望与实际图片中的字形范围（基线、宽度、行数），
+ * 几何、墨迹颜色和墨迹覆盖率都一致的文本框只剩字体抗锯齿/子像素渲染噪声，框内亮度差低于阈值的像素从主分数中排除；
+ * 换行、截断、偏移、颜色和字重等真实的文字问题仍然保留在分数中并单独报告
+ */
+
+import { ImageMetrics } from './image-metrics.js';
+
+// 允许的字形几何误差（设计稿 px）
+export const DEFAULT_TEXT_TOLERANCE = 1;
+
+// 与背景亮度相差超过该值的像素视为字形墨迹，低于该值的抗锯齿边缘不影响包围盒
+const INK_THRESHOLD = 64;
+
+// 允许的平均墨迹色差（CIEDE2000），超过时视为文字颜色不同
+const INK_COLOR_TOLERANCE = 10;
+
+// 允许的墨迹像素数相对差异，超过时视为字重或字符不同
+const INK_COVERAGE_TOLERANCE = 0.2;
+
+// 几何一致的文本框内，亮度差不超过该值的像素视为抗锯齿噪声并排除
+const NOISE_THRESHOLD = INK_THRESHOLD;
+
+// 文本行盒向外扩展的范围（设计稿 px），容纳期望图片中轻微偏移的字形
+const BOX_PADDING = 2;
+
+// 高度不足字号该比例的墨迹行（如 i 的点、声调符号）并入相邻行，不单独计为一行
+const MIN_LINE_RATIO = 0.4;
+
+export class TextAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {number} options.pixelRatio - 每个设计稿 px 对应的比较像素数
+   * @param {number} options.tolerance - 允许的字形几何误差（设计稿 px）
+   */
+  constructor(options = {}) {
+    this.pixelRatio = options.pixelRatio ?? 1;
+    this.tolerance = options.tolerance ?? DEFAULT_TEXT_TOLERANCE;
+  }
+
+  /**
+   * 比较所有文本框
+   * @param {PNG} expectedPng - 期望图片
+   * @param {PNG} actualPng - 实际图片
+   * @param {Array} textBoxes - DomMap.textBoxes() 的结果（设计稿 px）
+   * @returns {{summary: Object, issues: Array, excludedPixels: Uint8Array|null}} excludedPixels 中 1 表示排除的比较像素
+   */
+  analyze(expectedPng, actualPng, textBoxes) {
+    const issues = [];
+    const excludedPixels = new Uint8Array(expectedPng.width * expectedPng.height);
+    const byIssue = {};
+    let analyzed = 0;
+    let excluded = 0;
+    let excludedCount = 0;
+
+    textBoxes.forEach(textBox => {
+      const region = this.paddedRegion(textBox.box, expectedPng.width, expectedPng.height);
+      if (region.width <= 0 || region.height <= 0) return;
+
+      const minLineHeight = (textBox.fontSize || 0) * MIN_LINE_RATIO * this.pixelRatio;
+      const expected = TextAnalyzer.measure(expectedPng, region.pixels, minLineHeight);
+      const actual = TextAnalyzer.measure(actualPng, region.pixels, minLineHeight);
+      if (!expected.ink && !actual.ink) return;
+
+      analyzed++;
+      const entry = this.compare(textBox, expected, actual);
+
+      if (entry.issues.length === 0) {
+        excluded++;
+        excludedCount += TextAnalyzer.excludeNoise(expectedPng, actualPng, region.pixels, excludedPixels);
+        return;
+      }
+
+      entry.issues.forEach(issue => {
+        byIssue[issue] = (byIssue[issue] || 0) + 1;
+      });
+      issues.push(entry);
+    });
+
+    return {
+      summary: {
+        textBoxes: analyzed,
+        excluded,
+        excludedPixels: excludedCount,
+        withIssues: issues.length,
+        byIssue
+      },
+      issues,
+      excludedPixels: excludedCount > 0 ? excludedPixels : null
+    };
+  }
+
+  /**
+   * 对比单个文本框的字形几何，返回差异与问题类型
+   */
+  compare(textBox, expected, actual) {
+    const entry = {
+      path: textBox.path,
+      selector: textBox.selector,
+      text: textBox.text,
+      design: textBox.box,
+      domLineCount: textBox.lineCount,
+      truncated: textBox.truncated,
+      issues: []
+    };
+
+    if (!expected.ink) {
+      entry.issues.push('unexpected-text');
+      return entry;
+    }
+
+    if (!actual.ink) {
+      entry.issues.push('missing-text');
+      return entry;
+    }
+
+    const toDesign = value => Number((value / this.pixelRatio).toFixed(2));
+    entry.expected = { ink: this.toDesignRect(expected.ink), lines: expected.lines.length };
+    entry.actual = { ink: this.toDesignRect(actual.ink), lines: actual.lines.length };
+    // 首行墨迹底边近似基线，同一段文字的下伸部相同，差值即基线偏移
+    entry.baselineShift = toDesign(actual.lines[0].bottom - expected.lines[0].bottom);
+    entry.horizontalShift = toDesign(actual.ink.x - expected.ink.x);
+    entry.widthDelta = toDesign(actual.ink.width - expected.ink.width);
+
+    const tolerance = this.tolerance;
+    const fewerLines = actual.lines.length < expected.lines.length;
+
+    // 墨迹包围盒一致时，颜色、字重或字符不同仍会体现在平均墨迹颜色和墨迹像素数上
+    entry.inkColorDelta = Number(ImageMetrics.deltaE2000(
+      ImageMetrics.rgbToLab(expected.color),
+      ImageMetrics.rgbToLab(actual.color)
+    ).toFixed(2));
+    entry.coverageDelta = Number(((actual.coverage - expected.coverage) / expected.coverage).toFixed(3));
+
+    if (actual.lines.length !== expected.lines.length) {
+      // 换行后宽度、基线和墨迹量必然不同，只报告换行本身
+      entry.issues.push('line-wrap');
+    } else {
+      if (Math.abs(entry.baselineShift) > tolerance) entry.issues.push('baseline-shift');
+      if (Math.abs(entry.horizontalShift) > tolerance) entry.issues.push('horizontal-shift');
+      if (entry.widthDelta > tolerance) entry.issues.push('width-overflow');
+      if (entry.widthDelta < -tolerance) entry.issues.push('width-shortfall');
+      if (entry.inkColorDelta > INK_COLOR_TOLERANCE) entry.issues.push('color-mismatch');
+      // 宽度变化也会改变墨迹量，几何一致时才比较覆盖率
+      if (entry.issues.length === 0 && Math.abs(entry.coverageDelta) > INK_COVERAGE_TOLERANCE) entry.issues.push('weight-mismatch');
+    }
+
+    // 页面上的截断只有在比设计稿少显示内容时才算问题，设计稿本身带省略号时不报告
+    if (textBox.truncated && (fewerLines || entry.widthDelta < -tolerance)) {
+      entry.issues.push('truncation');
+    }
+
+    return entry;
+  }
+
+  /**
+   * 文本行盒加边距后的比较像素范围
+   */
+  paddedRegion(box, imageWidth, imageHeight) {
+    const design = {
+      x: Math.max(0, box.x - BOX_PADDING),
+      y: Math.max(0, box.y - BOX_PADDING),
+      width: box.width + BOX_PADDING * 2,
+      height: box.height + BOX_PADDING * 2
+    };
+
+    const left = Math.max(0, Math.floor(design.x * this.pixelRatio));
+    const top = Math.max(0, Math.floor(design.y * this.pixelRatio));
+    const right = Math.min(imageWidth, Math.ceil((design.x + design.width) * this.pixelRatio));
+    const bottom = Math.min(imageHeight, Math.ceil((design.y + design.height) * this.pixelRatio));
+
+    return {
+      pixels: { x: left, y: top, width: right - left, height: bottom - top },
+      width: right - left,
+      height: bottom - top
+    };
+  }
+
+  toDesignRect({ x, y, width, height }) {
+    const round = value => Number((value / this.pixelRatio).toFixed(2));
+    return { x: round(x), y: round(y), width: round(width), height: round(height) };
+  }
+
+  /**
+   * 测量区域内的字形墨迹：包围盒、按行投影得到的文本行、墨迹像素数与平均颜色
+   * 背景取区域边框像素亮度的中位数，透明像素按白色背景合成
+   * @returns {{ink: Object|null, lines: Array<{top: number, bottom: number}>, coverage: number, color: number[]|null}}
+   */
+  static measure(png, rect, minLineHeight = 0) {
+    const luminanceAt = (x, y) => TextAnalyzer.luminance(png, png.width * y + x);
+    const colorSum = [0, 0, 0];
+    let coverage = 0;
+
+    const right = rect.x + rect.width - 1;
+    const bottom = rect.y + rect.height - 1;
+    const border = [];
+    for (let x = rect.x; x <= right; x++) {
+      border.push(luminanceAt(x, rect.y), luminanceAt(x, bottom));
+    }
+    for (let y = rect.y + 1; y < bottom; y++) {
+      border.push(luminanceAt(rect.x, y), luminanceAt(right, y));
+    }
+    border.sort((a, b) => a - b);
+    const background = border[Math.floor(border.length / 2)];
+
+    const inkRows = new Uint8Array(rect.height);
+    let minX = Infinity;
+    let maxX = -Infinity;
+    for (let y = rect.y; y <= bottom; y++) {
+      for (let x = rect.x; x <= right; x++) {
+        if (Math.abs(luminanceAt(x, y) - background) > INK_THRESHOLD) {
+          TextAnalyzer.composite(png, png.width * y + x).forEach((value, channel) => { colorSum[channel] += value; });
+          coverage++;
+          inkRows[y - rect.y] = 1;
+          minX = Math.min(minX, x);
+          maxX = Math.max(maxX, x);
+        }
+      }
+    }
+
+    const lines = TextAnalyzer.findLines(inkRows, minLineHeight).map(line => ({
+      top: line.top + rect.y,
+      bottom: line.bottom + rect.y
+    }));
+
+    if (lines.length === 0) {
+      return { ink: null, lines, coverage: 0, color: null };
+    }
+
+    const top = lines[0].top;
+    return {
+      ink: { x: minX, y: top, width: maxX - minX + 1, height: lines[lines.length - 1].bottom - top },
+      lines,
+      coverage,
+      color: colorSum.map(sum => Math.round(sum / coverage))
+    };
+  }
+
+  /**
+   * 标记区域内两张图片亮度差不超过 NOISE_THRESHOLD 的像素，差异更大的像素仍然计分
+   * @param {Uint8Array} excludedPixels - 排除标记（原地修改）
+   * @returns {number} 新标记的像素数
+   */
+  static excludeNoise(expectedPng, actualPng, rect, excludedPixels) {
+    let count = 0;
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      for (let x = rect.x; x < rect.x + rect.width; x++) {
+        const index = expectedPng.width * y + x;
+        if (excludedPixels[index]) continue;
+        if (Math.abs(TextAnalyzer.luminance(expectedPng, index) - TextAnalyzer.luminance(actualPng, index)) <= NOISE_THRESHOLD) {
+          excludedPixels[index] = 1;
+          count++;
+        }
+      }
+    }
+    return count;
+  }
+
+  /**
+   * 按白色背景合成透明像素后的 RGB
+   */
+  static composite(png, index) {
+    const idx = index << 2;
+    const alpha = png.data[idx + 3] / 255;
+    return [0, 1, 2].map(channel => png.data[idx + channel] * alpha + 255 * (1 - alpha));
+  }
+
+  static luminance(png, index) {
+    const [r, g, b] = TextAnalyzer.composite(png, index);
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+  }
+
+  /**
+   * 把连续的墨迹行合并为文本行，过矮的片段并入相邻行
+   * @param {Uint8Array} inkRows - 每行是否有墨迹
+   * @param {number} minLineHeight - 独立成行的最小高度（比较像素）
+   * @returns {Array<{top: number, bottom: number}>} bottom 为开区间
+   */
+  static findLines(inkRows, minLineHeight = 0) {
+    const runs = [];
+    let start = -1;
+    for (let y = 0; y <= inkRows.length; y++) {
+      const ink = y < inkRows.length && inkRows[y] === 1;
+      if (ink && start < 0) start = y;
+      if (!ink && start >= 0) {
+        runs.push({ top: start, bottom: y });
+        start = -1;
+      }
+    }
+
+    const lines = [];
+    let pending = null;
+    runs.forEach(run => {
+      const merged = pending ? { top: pending.top, bottom: run.bottom } : run;
+      if (merged.bottom - merged.top < minLineHeight) {
+        pending = merged;
+        return;
+      }
+      pending = null;
+      lines.push(merged);
+    });
+
+    if (pending) {
+      if (lines.length > 0) {
+        lines[lines.length - 1].bottom = pending.bottom;
+      } else {
+        lines.push(pending);
+      }
+    }
+
+    return lines;
+  }
+}
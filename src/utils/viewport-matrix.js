@@ -0,0 +1,109 @@
+/**
+ * 视口矩阵
+ * snapdom_screenshot 在一次调用中按多个视口（宽高和 deviceScaleFactor）截图并保存 actual.<name>.png，
+ * 每个视口的尺寸和倍率记录在 results/viewports.json 中，
+ * figma_compare 通过 viewport 参数与 Figma 移动端/平板/桌面画板导出的 expected.<name>.png 配对
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// results 目录下记录视口截图参数的文件
+export const VIEWPORTS_FILE = 'viewports.json';
+
+// figma_compare 对比视口截图时的输出目录：results/viewports/<name>/
+export const VIEWPORTS_DIR = 'viewports';
+
+// 未指定 scale 时使用的 deviceScaleFactor，与默认截图一致
+export const DEFAULT_VIEWPORT_SCALE = 3;
+
+// deviceScaleFactor 的取值范围
+const MAX_VIEWPORT_SCALE = 4;
+
+// 视口名会出现在文件名中
+const VIEWPORT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+export class ViewportMatrix {
+  /**
+   * 校验并规范化 viewports 参数
+   * @param {Array<{name: string, width: number, height: number, scale?: number}>} viewports
+   * @returns {Array<{name: string, width: number, height: number, scale: number}>}
+   */
+  static normalize(viewports = []) {
+    if (!Array.isArray(viewports)) {
+      throw new Error('❌ 参数错误: viewports 必须是数组');
+    }
+
+    const names = new Set();
+    return viewports.map(viewport => {
+      if (!viewport || typeof viewport !== 'object' || !ViewportMatrix.isValidName(viewport.name)) {
+        throw new Error(`❌ 参数错误: viewports 中每一项需要由字母、数字、- 或 _ 组成的 name，收到: ${JSON.stringify(viewport)}`);
+      }
+
+      if (names.has(viewport.name)) {
+        throw new Error(`❌ 参数错误: viewports 中的 name 重复: ${viewport.name}`);
+      }
+      names.add(viewport.name);
+
+      const { name, width, height, scale = DEFAULT_VIEWPORT_SCALE } = viewport;
+      [['width', width], ['height', height]].forEach(([key, value]) => {
+        if (!Number.isInteger(value) || value <= 0) {
+          throw new Error(`❌ 参数错误: 视口 ${name} 的 ${key} 必须是正整数，收到: ${value}`);
+        }
+      });
+
+      if (!Number.isFinite(scale) || scale <= 0 || scale > MAX_VIEWPORT_SCALE) {
+        throw new Error(`❌ 参数错误: 视口 ${name} 的 scale 取值范围为 (0, ${MAX_VIEWPORT_SCALE}]，收到: ${scale}`);
+      }
+
+      return { name, width, height, scale };
+    });
+  }
+
+  /**
+   * 视口名只允许字母、数字、- 和 _
+   */
+  static isValidName(name) {
+    return typeof name === 'string' && VIEWPORT_NAME_PATTERN.test(name);
+  }
+
+  /**
+   * 记录本次截图的视口，按名称合并到已有的 viewports.json
+   * @param {string} resultsDir - 截图所在的 results 目录
+   * @param {Array<{name: string, width: number, height: number, scale: number, path: string}>} captures
+   * @returns {Promise<string>} viewports.json 路径
+   */
+  static async save(resultsDir, captures) {
+    const viewportsPath = path.join(resultsDir, VIEWPORTS_FILE);
+    const stored = await ViewportMatrix.read(resultsDir);
+    const timestamp = new Date().toISOString();
+
+    captures.forEach(({ name, width, height, scale, path: capturePath }) => {
+      stored[name] = { width, height, scale, file: path.basename(capturePath), timestamp };
+    });
+
+    await fs.writeFile(viewportsPath, JSON.stringify({ viewports: stored }, null, 2));
+    return viewportsPath;
+  }
+
+  /**
+   * 读取已记录的视口，没有记录时返回空对象
+   */
+  static async read(resultsDir) {
+    try {
+      const data = JSON.parse(await fs.readFile(path.join(resultsDir, VIEWPORTS_FILE), 'utf8'));
+      return data.viewports || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * 读取单个视口的截图参数
+   * @returns {Promise<{width: number, height: number, scale: number, file: string, timestamp: string}|null>}
+   */
+  static async load(resultsDir, name) {
+    const stored = await ViewportMatrix.read(resultsDir);
+    return stored[name] || null;
+  }
+}